@@ -0,0 +1,8 @@
+/**
+ * Bridge module index
+ *
+ * This file exports the bridges between the stdio and HTTP+SSE transports
+ */
+
+export { StdioToSseBridge } from './stdio-to-sse-bridge.js';
+export { SseToStdioBridge } from './sse-to-stdio-bridge.js';
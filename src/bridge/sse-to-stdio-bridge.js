@@ -0,0 +1,95 @@
+/**
+ * SseToStdioBridge puts a stdio front on a remote HTTP+SSE MCP server
+ *
+ * Hosts that can only launch stdio servers (e.g. Cursor's .cursor/mcp.json) run the
+ * bridge as their server command; it connects to the remote server and relays
+ * JSON-RPC messages unchanged between its own stdin/stdout and the SSE session.
+ *
+ * - Dropped SSE connections are resumed by SseClientTransport (see its reconnect option)
+ * - Requests the remote server rejects at the HTTP level (auth, rate limits) are
+ *   answered with the JSON-RPC error, so the host is not left waiting
+ * - The bridge closes when stdin ends or the remote session is gone for good
+ */
+import { JSONRPC_VERSION, ErrorCode, McpError } from '../core/index.js';
+import { SseClientTransport } from '../client/index.js';
+import { StdioTransport } from '../transports/index.js';
+
+class SseToStdioBridge {
+  // options: url (the remote SSE endpoint), headers (e.g. Authorization), reconnect (see SseClientTransport),
+  // stdin, stdout, stderr (default: this process's streams)
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('SseToStdioBridge requires a url');
+    }
+
+    this.options = options;
+    this.remote = new SseClientTransport({
+      url: options.url,
+      headers: options.headers,
+      reconnect: options.reconnect
+    });
+    this._stdin = options.stdin ?? process.stdin;
+    this.local = new StdioTransport(
+      this._stdin,
+      options.stdout ?? process.stdout,
+      options.stderr ?? process.stderr
+    );
+    this._closed = false;
+
+    this.onclose = null;  // () => void - Called once the bridge has closed
+  }
+
+  // Connect to the remote server, then start reading stdin
+  async start() {
+    this.remote.onmessage = (message) => {
+      this.local.send(message).catch(error => this._log(`failed to write to stdout: ${error.message}`));
+    };
+    this.remote.onerror = (error) => this._log(`remote: ${error.message}`);
+    this.remote.onreconnecting = (attempt, delay) => this._log(`connection lost, reconnecting in ${delay}ms (attempt ${attempt})`);
+    this.remote.onreconnect = () => this._log('reconnected');
+    this.remote.onclose = () => this.close();
+
+    this.local.onmessage = (message) => this._relayToRemote(message);
+    this.local.onerror = (error) => this._log(`stdio: ${error.message}`);
+
+    await this.remote.start();
+    this._log(`connected to ${this.options.url} (session ${this.remote.sessionId})`);
+
+    await this.local.start();
+    this._stdin.once('end', () => this.close());
+  }
+
+  async close() {
+    if (this._closed) return;
+    this._closed = true;
+
+    await this.remote.close();
+    await this.local.close();
+    this.onclose?.();
+  }
+
+  // POST a message to the remote server - if it is rejected, answer its requests with the error
+  async _relayToRemote(message) {
+    try {
+      await this.remote.send(message);
+    } catch (error) {
+      this._log(`failed to relay message: ${error.message}`);
+
+      const rpcError = error instanceof McpError
+        ? error.toJSON()
+        : { code: ErrorCode.ConnectionClosed, message: error.message };
+      const requests = (Array.isArray(message) ? message : [message])
+        .filter(entry => entry && 'id' in entry && 'method' in entry);
+      for (const request of requests) {
+        await this.local.send({ jsonrpc: JSONRPC_VERSION, id: request.id, error: rpcError }).catch(() => {});
+      }
+    }
+  }
+
+  // Diagnostics go to stderr - stdout is reserved for MCP messages
+  _log(message) {
+    (this.options.stderr ?? process.stderr).write(`SseToStdioBridge: ${message}\n`);
+  }
+}
+
+export { SseToStdioBridge };
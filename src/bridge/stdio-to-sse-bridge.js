@@ -0,0 +1,317 @@
+/**
+ * StdioToSseBridge exposes a stdio MCP server over HTTP+SSE
+ *
+ * The bridge spawns the server command (our stdio example or any third-party binary)
+ * and relays JSON-RPC messages between it and the clients of an HttpSseTransport.
+ * Two modes:
+ *
+ * - 'per-session' (default): every SSE session gets its own child process and
+ *   messages are relayed unchanged. Each client sees a server of its own.
+ *
+ * - 'shared': one child serves every session. The bridge performs the initialize
+ *   handshake once and answers each session's initialize from it, agreeing to the
+ *   protocol version the session asked for when it is one we support. Requests are
+ *   re-sent with the bridge's own IDs and responses are mapped back to the
+ *   session and ID they came from. Server state (log level, subscriptions) is
+ *   shared, notifications go to every session, and server requests such as
+ *   sampling are not supported.
+ */
+import { JSONRPC_VERSION, ErrorCode, McpError, InvalidRequest } from '../core/index.js';
+import { McpClient, StdioClientTransport } from '../client/index.js';
+import { HttpSseTransport } from '../transports/index.js';
+
+const BRIDGE_CLIENT_INFO = {
+  name: 'mcp-stdio-to-sse-bridge',
+  version: '0.1.0'
+};
+
+const MODES = ['per-session', 'shared'];
+
+class StdioToSseBridge {
+  // options: command, args, env, cwd, stderr (the child's stderr, default 'inherit'),
+  // mode ('per-session' or 'shared'), timeout (ms to wait for the child's answers in shared mode),
+  // transport (an HttpSseTransport, or the options to create one)
+  constructor(options = {}) {
+    if (!options.command) {
+      throw new Error('StdioToSseBridge requires a command');
+    }
+    if (options.mode && !MODES.includes(options.mode)) {
+      throw new Error(`Unknown bridge mode: ${options.mode} (expected ${MODES.join(' or ')})`);
+    }
+
+    this.options = {
+      args: [],
+      stderr: 'inherit',
+      mode: 'per-session',
+      ...options
+    };
+
+    this.transport = options.transport instanceof HttpSseTransport
+      ? options.transport
+      : new HttpSseTransport(options.transport);
+
+    // Per-session mode: sessionId => { child, ready } - ready resolves once the child is running
+    this._children = new Map();
+
+    // Shared mode: the McpClient talking to the single child, and its initialize result
+    this._client = null;
+    this._initializeResult = null;
+
+    // Shared mode: requests being relayed - "sessionId id" => AbortController
+    this._inFlight = new Map();
+  }
+
+  get mode() {
+    return this.options.mode;
+  }
+
+  // Number of server processes currently running
+  get processCount() {
+    return this.mode === 'shared' ? Number(this._client !== null) : this._children.size;
+  }
+
+  // Start serving - in shared mode the child is spawned and initialized first
+  async start() {
+    if (this.mode === 'shared') {
+      await this._startSharedChild();
+    }
+
+    this.transport.onmessage = (message, sessionId) => {
+      const relay = this.mode === 'shared'
+        ? this._relayShared(message, sessionId)
+        : this._relayToChild(message, sessionId);
+      relay.catch(error => console.error(`Bridge: failed to relay message from session ${sessionId}:`, error));
+    };
+    this.transport.onsessionclose = (sessionId) => this._onSessionClose(sessionId);
+    this.transport.onerror = (error) => console.error('Bridge: transport error:', error);
+
+    await this.transport.start();
+  }
+
+  async close() {
+    await this.transport.close();
+
+    const children = [...this._children.values()];
+    this._children.clear();
+    await Promise.allSettled(children.map(({ child }) => child.close()));
+
+    await this._client?.close();
+    this._client = null;
+  }
+
+  // Per-session mode
+
+  // Forward a session's message to its child, spawning the child on first use
+  async _relayToChild(message, sessionId) {
+    let entry = this._children.get(sessionId);
+    if (!entry) {
+      // Nothing would ever stop a child spawned for a session the transport does not hold
+      if (!this.transport.sessionIds.includes(sessionId)) {
+        console.error(`Bridge: dropping message for unknown session ${sessionId}`);
+        return;
+      }
+      entry = this._spawnChild(sessionId);
+      this._children.set(sessionId, entry);
+    }
+
+    try {
+      await entry.ready;
+    } catch (error) {
+      // The server could not be started - fail the session's requests and end the session
+      await this._failRequests(message, sessionId, error);
+      this.transport.closeSession(sessionId);
+      return;
+    }
+
+    // The session closed while its child was starting - _onSessionClose stopped the child
+    if (this._children.get(sessionId) !== entry) return;
+
+    await entry.child.send(stripSessionId(message));
+  }
+
+  _spawnChild(sessionId) {
+    const { command, args, env, cwd, stderr } = this.options;
+    const child = new StdioClientTransport({ command, args, env, cwd, stderr });
+
+    child.onmessage = (message) => {
+      this.transport.send(message, sessionId)
+        .catch(error => console.error(`Bridge: failed to send to session ${sessionId}:`, error.message));
+    };
+    child.onerror = (error) => console.error(`Bridge: server for session ${sessionId}:`, error.message);
+    // The server exited - the session cannot continue without it
+    child.onclose = () => {
+      if (this._children.get(sessionId)?.child !== child) return;
+      this._children.delete(sessionId);
+      this.transport.closeSession(sessionId);
+    };
+
+    console.error(`Bridge: starting ${command} for session ${sessionId}`);
+    return { child, ready: child.start() };
+  }
+
+  // Answer every request in a message with an error
+  async _failRequests(message, sessionId, error) {
+    const requests = (Array.isArray(message) ? message : [message])
+      .filter(entry => entry && 'id' in entry && 'method' in entry);
+
+    for (const request of requests) {
+      await this.transport.send({
+        jsonrpc: JSONRPC_VERSION,
+        id: request.id,
+        error: { code: ErrorCode.InternalError, message: error.message }
+      }, sessionId).catch(() => {});
+    }
+  }
+
+  // Shared mode
+
+  async _startSharedChild() {
+    const { command, args, env, cwd, stderr, timeout } = this.options;
+
+    const client = new McpClient(BRIDGE_CLIENT_INFO, { timeout });
+    this._initializeResult = await client.connect(new StdioClientTransport({ command, args, env, cwd, stderr }));
+    this._client = client;
+
+    // Server notifications (logging, list_changed, ...) go to every session
+    // Progress is routed to the request that asked for it instead
+    client.on('notification', (notification) => {
+      if (notification.method === 'notifications/progress') return;
+      this.transport.send(notification).catch(() => {});
+    });
+    client.on('error', (error) => console.error('Bridge: shared server:', error.message));
+    client.on('close', () => {
+      if (this._client !== client) return;
+      console.error('Bridge: shared server exited, closing all sessions');
+      this._client = null;
+      for (const sessionId of this.transport.sessionIds) {
+        this.transport.closeSession(sessionId);
+      }
+    });
+  }
+
+  // Relay a session's message (or batch) to the shared child and send back the responses
+  async _relayShared(message, sessionId) {
+    if (Array.isArray(message)) {
+      const responses = (await Promise.all(message.map(entry => this._relaySharedEntry(entry, sessionId))))
+        .filter(Boolean);
+      if (responses.length > 0) {
+        await this.transport.send(responses, sessionId);
+      }
+      return;
+    }
+
+    const response = await this._relaySharedEntry(message, sessionId);
+    if (response) {
+      await this.transport.send(response, sessionId);
+    }
+  }
+
+  // Returns the response to send back, or null for notifications and responses
+  async _relaySharedEntry(message, sessionId) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return errorResponse(null, new InvalidRequest('Invalid Request: Not a valid JSON-RPC 2.0 message'));
+    }
+    const { id, method, params = {} } = stripSessionId(message);
+
+    // Responses from the session would answer server requests, which shared mode does not relay
+    if (!method) return null;
+
+    if (!('id' in message)) {
+      this._relaySharedNotification(method, params, sessionId);
+      return null;
+    }
+
+    // The bridge re-sends requests with its own IDs, so it has to reject invalid ones itself
+    if (typeof id !== 'string' && !Number.isInteger(id)) {
+      return errorResponse(null, new InvalidRequest('Invalid Request: id must be a string or an integer'));
+    }
+
+    // Every session gets the handshake the bridge already performed, with the version the
+    // shared server negotiated - a session that asked for another one can tell the mismatch
+    if (method === 'initialize') {
+      return { jsonrpc: JSONRPC_VERSION, id, result: this._initializeResult };
+    }
+
+    if (!this._client) {
+      return errorResponse(id, new McpError(ErrorCode.ConnectionClosed, 'Server is not running'));
+    }
+
+    // The child sees the bridge's request ID; the session gets its own back
+    const key = inFlightKey(sessionId, id);
+    const controller = new AbortController();
+    this._inFlight.set(key, controller);
+
+    const progressToken = params._meta?.progressToken;
+    const onprogress = progressToken === undefined ? undefined : (progress) => {
+      this.transport.send({
+        jsonrpc: JSONRPC_VERSION,
+        method: 'notifications/progress',
+        params: { progressToken, ...progress }
+      }, sessionId).catch(() => {});
+    };
+
+    try {
+      const result = await this._client.request(method, params, { signal: controller.signal, onprogress });
+      return { jsonrpc: JSONRPC_VERSION, id, result };
+    } catch (error) {
+      // Cancelled requests get no response
+      if (controller.signal.aborted) return null;
+      return errorResponse(id, error);
+    } finally {
+      this._inFlight.delete(key);
+    }
+  }
+
+  _relaySharedNotification(method, params, sessionId) {
+    switch (method) {
+      // The bridge already completed the handshake with the child
+      case 'notifications/initialized':
+        return;
+      // Cancel our request to the child - McpClient tells the child about it
+      case 'notifications/cancelled':
+        this._inFlight.get(inFlightKey(sessionId, params.requestId))?.abort();
+        return;
+      default:
+        this._client?.notification(method, params).catch(() => {});
+    }
+  }
+
+  _onSessionClose(sessionId) {
+    // Per-session mode: the session's server goes away with it
+    const entry = this._children.get(sessionId);
+    if (entry) {
+      this._children.delete(sessionId);
+      entry.child.close().catch(() => {});
+    }
+
+    // Shared mode: stop relaying the session's requests
+    for (const [key, controller] of this._inFlight) {
+      if (key.startsWith(`${sessionId} `)) controller.abort();
+    }
+  }
+}
+
+// HttpSseTransport tags messages with their session - the child must not see that
+function stripSessionId(message) {
+  if (Array.isArray(message)) {
+    return message.map(stripSessionId);
+  }
+  if (!message || typeof message !== 'object') {
+    return message;
+  }
+  const { _sessionId, ...rest } = message;
+  return rest;
+}
+
+function inFlightKey(sessionId, id) {
+  return `${sessionId} ${JSON.stringify(id)}`;
+}
+
+function errorResponse(id, error) {
+  const rpcError = error instanceof McpError
+    ? error.toJSON()
+    : { code: ErrorCode.InternalError, message: error.message || 'Internal error' };
+  return { jsonrpc: JSONRPC_VERSION, id, error: rpcError };
+}
+
+export { StdioToSseBridge };
@@ -0,0 +1,9 @@
+/**
+ * Client module index
+ * 
+ * This file exports the MCP client and its transport implementations
+ */
+
+export { McpClient } from './mcp-client.js';
+export { StdioClientTransport } from './stdio-client-transport.js';
+export { SseClientTransport } from './sse-client-transport.js';
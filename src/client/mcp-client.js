@@ -0,0 +1,348 @@
+/**
+ * Transport-agnostic MCP client
+ *
+ * This is the client side of the protocol implemented by McpServer:
+ * - Correlates responses with requests and times out requests that get no answer
+ * - Performs the initialize handshake and stores what the server advertised
+ * - Emits server notifications as 'notification' events, and under their method prefixed
+ *   with 'notification:' (e.g. client.on('notification:notifications/message', ...))
+ * - Answers requests the server sends (ping, sampling, ...) with registered handlers
+ * - Reports transport and protocol errors to onerror and 'error' listeners, if there are
+ *   any - a stray line from a server never throws
+ *
+ * It talks to the server through a client transport with the same contract as
+ * the server transports: start(), send(message), close() and the onmessage,
+ * onclose and onerror callbacks. See StdioClientTransport.
+ * See: https://spec.modelcontextprotocol.io/specification/2025-03-26/basic/lifecycle/
+ */
+import { EventEmitter } from 'node:events';
+import {
+  JSONRPC_VERSION,
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  ErrorCode,
+  McpError
+} from '../core/index.js';
+
+const CLIENT_INFO = {
+  name: 'simple-mcp-client',
+  version: '0.1.0'
+};
+
+class McpClient extends EventEmitter {
+  // options: capabilities (advertised to the server), timeout (default request timeout in ms)
+  constructor(clientInfo = CLIENT_INFO, options = {}) {
+    super();
+
+    this.clientInfo = clientInfo;
+    this.options = options;
+    this.capabilities = { ...options.capabilities };
+
+    this.transport = null;
+
+    // Auto-incrementing ID counter for outgoing requests
+    this.requestId = 0;
+
+    // Outgoing requests awaiting a response - request ID => { resolve, reject, onprogress }
+    this._pendingRequests = new Map();
+
+    // Handlers for requests the server sends us - method => handler(params)
+    this.requestHandlers = new Map();
+    this.requestHandlers.set('ping', async () => ({}));
+
+    // Called with non-fatal errors (transport errors, unexpected messages) - (error) => void
+    // 'error' events are emitted too, but only when someone listens for them
+    this.onerror = null;
+
+    // Filled in by the initialize handshake
+    this.serverInfo = null;
+    this.serverCapabilities = null;
+    this.protocolVersion = null;
+    this.instructions = null;
+  }
+
+  // Answer a server request method (e.g. sampling/createMessage, roots/list)
+  // Handlers can throw McpErrors (e.g. InvalidParams) to answer with a specific error code
+  setRequestHandler(method, handler) {
+    this.requestHandlers.set(method, handler);
+  }
+
+  // Connect through a client transport and perform the initialize handshake
+  // Resolves with the server's initialize result
+  async connect(transport) {
+    if (this.transport) {
+      throw new Error('Already connected');
+    }
+
+    this.transport = transport;
+    transport.onmessage = (message) => this._onMessage(message);
+    transport.onclose = () => this._onClose();
+    transport.onerror = (error) => this._reportError(error);
+
+    try {
+      await transport.start();
+    } catch (error) {
+      this.transport = null;
+      throw error;
+    }
+
+    try {
+      return await this._initialize();
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+  }
+
+  // Close the transport - pending requests fail
+  async close() {
+    const transport = this.transport;
+    if (!transport) return;
+
+    await transport.close();
+    this._onClose();
+  }
+
+  // Send initialize, check the negotiated version and confirm with notifications/initialized
+  async _initialize() {
+    const result = await this.request('initialize', {
+      protocolVersion: LATEST_PROTOCOL_VERSION,
+      capabilities: this.capabilities,
+      clientInfo: this.clientInfo
+    });
+
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+      throw new Error(`Server protocol version is not supported: ${result.protocolVersion}`);
+    }
+
+    this.serverInfo = result.serverInfo;
+    this.serverCapabilities = result.capabilities || {};
+    this.protocolVersion = result.protocolVersion;
+    this.instructions = result.instructions;
+
+    await this.notification('notifications/initialized');
+    return result;
+  }
+
+  // Send a request and wait for its result
+  // Options: timeout in ms (default options.timeout or 60s), signal (AbortSignal to cancel),
+  // onprogress(progress) to receive notifications/progress for this request
+  async request(method, params, options = {}) {
+    params = params ?? {};
+    if (!this.transport) {
+      throw new Error('Not connected');
+    }
+
+    const { timeout: timeoutMs = this.options.timeout ?? 60000, signal, onprogress } = options;
+    signal?.throwIfAborted();
+
+    const id = this.requestId++;
+    const request = {
+      jsonrpc: JSONRPC_VERSION,
+      id,
+      method,
+      params
+    };
+
+    // Ask for progress updates using the request ID as the progress token
+    if (onprogress) {
+      request.params = { ...params, _meta: { ...params._meta, progressToken: id } };
+    }
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+        this._pendingRequests.delete(id);
+      };
+
+      // Stop waiting and tell the server to stop working on the request
+      const cancel = (reason) => {
+        cleanup();
+        this.notification('notifications/cancelled', { requestId: id, reason: reason.message })
+          .catch(error => this._reportError(error));
+        reject(reason);
+      };
+      const onAbort = () => cancel(signal.reason instanceof Error ? signal.reason : new Error('Request cancelled'));
+
+      const timeout = setTimeout(() => cancel(new Error(`Request timed out: ${method}`)), timeoutMs);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this._pendingRequests.set(id, {
+        onprogress,
+        resolve: (result) => {
+          cleanup();
+          resolve(result);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      });
+
+      this.transport.send(request).catch(error => {
+        cleanup();
+        reject(error);
+      });
+    });
+  }
+
+  // Send a notification (no response expected)
+  async notification(method, params = {}) {
+    if (!this.transport) {
+      throw new Error('Not connected');
+    }
+
+    await this.transport.send({ jsonrpc: JSONRPC_VERSION, method, params });
+  }
+
+  // Route an incoming message - a response, a server request or a notification
+  _onMessage(message) {
+    if (Array.isArray(message)) {
+      message.forEach(entry => this._onMessage(entry));
+      return;
+    }
+
+    if (message?.jsonrpc !== JSONRPC_VERSION) {
+      this._reportError(new Error('Received a message that is not JSON-RPC 2.0'));
+      return;
+    }
+
+    if ('id' in message && 'method' in message) {
+      this._handleRequest(message);
+    } else if ('method' in message) {
+      this._handleNotification(message);
+    } else if ('id' in message) {
+      this._handleResponse(message);
+    }
+  }
+
+  // Match a response to its pending request
+  _handleResponse(response) {
+    const pending = this._pendingRequests.get(response.id);
+    if (!pending) {
+      this._reportError(new Error(`Received response for unknown request ID: ${response.id}`));
+      return;
+    }
+
+    // Error responses are rebuilt as typed errors (InvalidParams, ResourceNotFound, ...)
+    if (response.error) {
+      pending.reject(McpError.fromJSON(response.error));
+    } else {
+      pending.resolve(response.result);
+    }
+  }
+
+  // Answer a request the server sent us
+  async _handleRequest(request) {
+    const { id, method, params } = request;
+    const handler = this.requestHandlers.get(method);
+
+    let response;
+    if (!handler) {
+      response = { jsonrpc: JSONRPC_VERSION, id, error: { code: ErrorCode.MethodNotFound, message: `Method not found: ${method}` } };
+    } else {
+      try {
+        const result = await handler(params || {});
+        response = { jsonrpc: JSONRPC_VERSION, id, result };
+      } catch (error) {
+        const rpcError = error instanceof McpError
+          ? error.toJSON()
+          : { code: ErrorCode.InternalError, message: error.message || 'Internal error' };
+        response = { jsonrpc: JSONRPC_VERSION, id, error: rpcError };
+      }
+    }
+
+    try {
+      await this.transport?.send(response);
+    } catch (error) {
+      this._reportError(error);
+    }
+  }
+
+  // Report a non-fatal error without throwing - an EventEmitter 'error' without listeners would
+  _reportError(error) {
+    this.onerror?.(error);
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  // Progress goes to the request that asked for it; everything is also emitted
+  // as an event named after the method, and as a generic 'notification' event
+  _handleNotification(notification) {
+    const { method } = notification;
+    const params = notification.params ?? {};
+
+    if (method === 'notifications/progress') {
+      const { progressToken, ...progress } = params;
+      this._pendingRequests.get(progressToken)?.onprogress?.(progress);
+    }
+
+    // The prefix keeps server-chosen names apart from the client's own events ('error', 'close')
+    this.emit('notification', notification);
+    this.emit(`notification:${method}`, params);
+  }
+
+  // The transport closed - fail everything still waiting for an answer
+  _onClose() {
+    if (!this.transport) return;
+    this.transport = null;
+
+    for (const pending of this._pendingRequests.values()) {
+      pending.reject(new Error('Connection closed'));
+    }
+    this._pendingRequests.clear();
+
+    this.emit('close');
+  }
+
+  // Helpers for common requests
+
+  async ping(options) {
+    return this.request('ping', {}, options);
+  }
+
+  async listTools(params = {}, options) {
+    return this.request('tools/list', params, options);
+  }
+
+  // Pass { onprogress } to receive progress updates from long-running tools
+  async callTool(name, args = {}, options) {
+    return this.request('tools/call', { name, arguments: args }, options);
+  }
+
+  async listResources(params = {}, options) {
+    return this.request('resources/list', params, options);
+  }
+
+  async listResourceTemplates(params = {}, options) {
+    return this.request('resources/templates/list', params, options);
+  }
+
+  async readResource(uri, options) {
+    return this.request('resources/read', { uri }, options);
+  }
+
+  async subscribeResource(uri, options) {
+    return this.request('resources/subscribe', { uri }, options);
+  }
+
+  async unsubscribeResource(uri, options) {
+    return this.request('resources/unsubscribe', { uri }, options);
+  }
+
+  async listPrompts(params = {}, options) {
+    return this.request('prompts/list', params, options);
+  }
+
+  async getPrompt(name, args = {}, options) {
+    return this.request('prompts/get', { name, arguments: args }, options);
+  }
+
+  async setLoggingLevel(level, options) {
+    return this.request('logging/setLevel', { level }, options);
+  }
+}
+
+export { McpClient };
@@ -0,0 +1,251 @@
+// SseClientTransport is the client side of the MCP HTTP+SSE transport
+// See: https://spec.modelcontextprotocol.io/specification/2024-11-05/basic/transports/#http-with-sse
+//
+// Key requirements:
+// 1. The client opens an SSE connection to the server
+// 2. The server's first event is "endpoint", carrying the URL the client must POST messages to
+// 3. Every server message (responses, notifications, requests) arrives as a "message" event
+// 4. The endpoint URL may be relative - it is resolved against the SSE URL
+//
+// When the connection drops, the transport reconnects with exponential backoff, asking
+// for the same session and sending Last-Event-ID so the server replays missed messages.
+// Requests in flight are not failed while it reconnects.
+import EventSource from 'eventsource';
+import fetch from 'node-fetch';
+import { McpError } from '../core/index.js';
+
+class SseClientTransport {
+  // options: url (the SSE endpoint), headers (added to every HTTP request),
+  // connectTimeout (ms to wait for the endpoint event, default 10s),
+  // reconnect ({ maxRetries, initialDelay, maxDelay } in ms, or false to disable)
+  constructor(options = {}) {
+    const {
+      url,
+      headers = {},
+      connectTimeout = 10000,
+      reconnect = {}
+    } = typeof options === 'string' ? { url: options } : options;
+    if (!url) {
+      throw new Error('SseClientTransport requires a url');
+    }
+
+    this.url = new URL(url);
+    this.headers = headers;
+    this.connectTimeout = connectTimeout;
+    this.reconnect = reconnect === false ? null : {
+      maxRetries: 10,
+      initialDelay: 500,
+      maxDelay: 10000,
+      ...reconnect
+    };
+
+    this._eventSource = null;
+    this._reconnectTimer = null;
+    this._reconnectAttempt = 0;
+
+    // URL to POST messages to, from the server's endpoint event
+    this.endpoint = null;
+
+    // ID of the last message event received - sent as Last-Event-ID when reconnecting
+    this.lastEventId = null;
+
+    // Event handlers that can be set by the client
+    this.onmessage = null;       // (message: object) => void - Called for each server message
+    this.onclose = null;         // () => void - Called when the connection is closed for good
+    this.onerror = null;         // (error: Error) => void - Called when an error occurs
+    this.onreconnecting = null;  // (attempt, delay) => void - Called before each reconnection attempt
+    this.onreconnect = null;     // () => void - Called when the session was resumed
+  }
+
+  // The session ID the server assigned, taken from the endpoint URL
+  get sessionId() {
+    return this.endpoint?.searchParams.get('sessionId') ?? null;
+  }
+
+  // Open the SSE connection - resolves once the server announced its endpoint
+  async start() {
+    if (this._eventSource) throw new Error('SseClientTransport already started!');
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this._closeEventSource();
+        reject(new Error(`Timed out waiting for the endpoint event from ${this.url}`));
+      }, this.connectTimeout);
+
+      this._connect(this.url, this.headers, {
+        onEndpoint: () => {
+          clearTimeout(timeout);
+          resolve();
+        },
+        onFailure: (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        }
+      });
+    });
+  }
+
+  // Open an EventSource and wire up its events
+  // onEndpoint is called when the endpoint event arrives, onFailure if the connection drops before
+  _connect(url, headers, { onEndpoint, onFailure }) {
+    const eventSource = new EventSource(url.toString(), { headers });
+    this._eventSource = eventSource;
+    let connected = false;
+
+    eventSource.addEventListener('endpoint', (event) => {
+      try {
+        this.endpoint = new URL(event.data, this.url);
+      } catch (error) {
+        this._reportError(new Error(`Invalid endpoint URL from server: ${event.data}`));
+        return;
+      }
+
+      connected = true;
+      onEndpoint();
+    });
+
+    eventSource.addEventListener('message', (event) => {
+      if (event.lastEventId) {
+        this.lastEventId = event.lastEventId;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        this._reportError(new Error(`Failed to parse SSE message: ${error.message}`));
+        return;
+      }
+      this.onmessage?.(message);
+    });
+
+    eventSource.onerror = (event) => {
+      // EventSource would retry on its own, without the session ID - we reconnect ourselves
+      if (this._eventSource === eventSource) {
+        this._closeEventSource();
+      }
+
+      const error = new Error(`SSE connection error${event?.message ? `: ${event.message}` : ''}`);
+      error.status = event?.status;
+
+      if (!connected) {
+        onFailure(error);
+        return;
+      }
+
+      // Reconnect first - a throwing error handler must not stop it
+      this._scheduleReconnect();
+      this._reportError(error);
+    };
+  }
+
+  // Try to resume the session after a delay, doubling it after each failed attempt
+  _scheduleReconnect() {
+    if (!this.reconnect || this._reconnectAttempt >= this.reconnect.maxRetries) {
+      this.close();
+      return;
+    }
+
+    const { initialDelay, maxDelay } = this.reconnect;
+    const attempt = ++this._reconnectAttempt;
+    const delay = Math.min(initialDelay * 2 ** (attempt - 1), maxDelay);
+    this.onreconnecting?.(attempt, delay);
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+
+      // Ask for the same session and for everything after the last event we saw
+      const url = new URL(this.url);
+      url.searchParams.set('sessionId', this.sessionId);
+      const headers = { ...this.headers };
+      if (this.lastEventId !== null) {
+        headers['Last-Event-ID'] = this.lastEventId;
+      }
+
+      this._connect(url, headers, {
+        onEndpoint: () => {
+          this._reconnectAttempt = 0;
+          this.onreconnect?.();
+        },
+        onFailure: (error) => {
+          // The server no longer knows the session - it cannot be resumed
+          if (error.status === 404) {
+            this._reportError(new Error(`Session ${this.sessionId} expired, cannot reconnect`));
+            this.close();
+            return;
+          }
+          this._scheduleReconnect();
+        }
+      });
+    }, delay);
+  }
+
+  async close() {
+    if (!this.endpoint && !this._eventSource) return;
+
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._closeEventSource();
+    this.endpoint = null;
+    this.onclose?.();
+  }
+
+  // POST a message to the endpoint announced by the server
+  // This also works while reconnecting - the server keeps the session and buffers its replies
+  async send(message) {
+    return this.sendRaw(JSON.stringify(message));
+  }
+
+  // POST an already serialized body as-is - the conformance runner uses it to send malformed JSON
+  async sendRaw(data) {
+    if (!this.endpoint) {
+      throw new Error('Cannot send message: transport not connected');
+    }
+
+    const response = await fetch(this.endpoint.toString(), {
+      method: 'POST',
+      headers: {
+        ...this.headers,
+        'Content-Type': 'application/json'
+      },
+      body: data
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw httpError(response.status, errorText);
+    }
+  }
+
+  // Tell onerror about an error - it runs inside EventSource callbacks, so it must not throw
+  _reportError(error) {
+    try {
+      this.onerror?.(error);
+    } catch (handlerError) {
+      console.error('SseClientTransport: onerror handler failed:', handlerError);
+    }
+  }
+
+  _closeEventSource() {
+    this._eventSource?.close();
+    this._eventSource = null;
+  }
+}
+
+// Error for a rejected POST - a typed McpError when the body is a JSON-RPC error
+// (e.g. RateLimited with data.retryAfter), with the HTTP status attached
+function httpError(status, body) {
+  let rpcError = null;
+  try {
+    rpcError = JSON.parse(body).error;
+  } catch (error) {
+    // Not a JSON-RPC error body
+  }
+
+  if (!rpcError?.message) {
+    return Object.assign(new Error(`HTTP error ${status}: ${body}`), { status });
+  }
+  return Object.assign(McpError.fromJSON(rpcError), { status });
+}
+
+export { SseClientTransport };
@@ -0,0 +1,153 @@
+// StdioClientTransport is the client side of the MCP stdio transport
+// See: https://spec.modelcontextprotocol.io/specification/2024-11-05/basic/transports/#stdio
+//
+// The client launches the server as a child process:
+// 1. Messages are written to the server's stdin and read from its stdout, one JSON-RPC message per line
+// 2. The server's stderr is for logging - passed through to ours by default
+// 3. Closing the transport closes the server's stdin, and kills the server if it does not exit
+import { spawn } from 'node:child_process';
+
+class StdioClientTransport {
+  // options: command, args, env (merged over process.env), cwd,
+  // stderr ('inherit', 'pipe' or 'ignore'), closeTimeout (ms to wait for exit before SIGTERM),
+  // killTimeout (ms to wait after SIGTERM before SIGKILL)
+  constructor(options = {}) {
+    if (!options.command) {
+      throw new Error('StdioClientTransport requires a command');
+    }
+
+    this.options = {
+      args: [],
+      stderr: 'inherit',
+      closeTimeout: 2000,
+      killTimeout: 2000,
+      ...options
+    };
+
+    // The spawned server process
+    this._process = null;
+
+    // Buffer to store incomplete incoming data
+    this._buffer = '';
+
+    // Event handlers that can be set by the client
+    this.onmessage = null;  // (message: object) => void - Called when a valid JSON-RPC message is received
+    this.onclose = null;    // () => void - Called when the server process exits
+    this.onerror = null;    // (error: Error) => void - Called when an error occurs
+  }
+
+  // The server's stderr stream when started with stderr: 'pipe'
+  get stderr() {
+    return this._process?.stderr ?? null;
+  }
+
+  // Process ID of the spawned server
+  get pid() {
+    return this._process?.pid;
+  }
+
+  // Spawn the server - resolves once the process is running
+  async start() {
+    if (this._process) throw new Error('StdioClientTransport already started!');
+
+    const { command, args, env, cwd, stderr } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        cwd,
+        env: { ...process.env, ...env },
+        stdio: ['pipe', 'pipe', stderr]
+      });
+      this._process = child;
+
+      child.once('spawn', resolve);
+      child.once('error', (error) => {
+        // Failing to spawn (e.g. unknown command) fails start(); later errors are reported
+        if (child.pid === undefined) {
+          this._process = null;
+          reject(new Error(`Failed to start ${command}: ${error.message}`));
+          return;
+        }
+        this.onerror?.(error);
+      });
+
+      child.once('exit', () => {
+        this._process = null;
+        this.onclose?.();
+      });
+
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', this._onData);
+
+      // Writing to a server that already exited is reported, not thrown
+      child.stdin.on('error', (error) => this.onerror?.(error));
+    });
+  }
+
+  // Close the server's stdin and wait for it to exit: SIGTERM after closeTimeout,
+  // then SIGKILL after killTimeout for a server that ignores SIGTERM
+  async close() {
+    const child = this._process;
+    if (!child) return;
+
+    await new Promise((resolve) => {
+      let killTimer;
+      const termTimer = setTimeout(() => {
+        child.kill('SIGTERM');
+        killTimer = setTimeout(() => child.kill('SIGKILL'), this.options.killTimeout);
+      }, this.options.closeTimeout);
+      child.once('exit', () => {
+        clearTimeout(termTimer);
+        clearTimeout(killTimer);
+        resolve();
+      });
+      child.stdin.end();
+    });
+  }
+
+  async send(message) {
+    // JSON.stringify never emits raw newlines, so each message stays on one line
+    return this.sendRaw(JSON.stringify(message));
+  }
+
+  // Write an already serialized line as-is - the conformance runner uses it to send malformed JSON
+  async sendRaw(data) {
+    if (!this._process) {
+      throw new Error('Cannot send message: transport not started');
+    }
+
+    return new Promise((resolve, reject) => {
+      this._process.stdin.write(data + '\n', (error) => {
+        if (error) {
+          reject(new Error(`Failed to send message: ${error.message}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Arrow function to preserve 'this' context
+  _onData = (chunk) => {
+    this._buffer += chunk;
+
+    // Last line might be incomplete, keep it in buffer
+    const lines = this._buffer.split('\n');
+    this._buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        this.onerror?.(new Error(`Failed to parse JSON from server: ${error.message}`));
+        continue;
+      }
+      this.onmessage?.(message);
+    }
+  }
+}
+
+export { StdioClientTransport };
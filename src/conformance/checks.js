@@ -0,0 +1,265 @@
+/**
+ * Protocol conformance checks
+ *
+ * Each check gets a context with:
+ * - probe(): a fresh, started ProtocolProbe (raw JSON-RPC, not initialized yet)
+ * - client(): a fresh McpClient that completed the initialize handshake
+ * - skip(reason): mark the check as not applicable to this server
+ *
+ * A check passes when run() resolves and fails when it throws.
+ * Every check opens its own connection, so one failure does not cascade into the next.
+ * See: https://spec.modelcontextprotocol.io/specification/2025-03-26/basic/
+ */
+import {
+  JSONRPC_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  ErrorCode,
+  validateSchema
+} from '../core/index.js';
+import { isResponse } from './probe.js';
+
+// Thrown by context.skip()
+class SkipCheck extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'SkipCheck';
+  }
+}
+
+// Thrown when the server does not behave as the spec requires
+class CheckFailure extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CheckFailure';
+  }
+}
+
+// Shape of a tool in tools/list - inputSchema must describe an object
+const TOOL_SCHEMA = {
+  type: 'object',
+  required: ['name', 'inputSchema'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    inputSchema: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { const: 'object' },
+        properties: { type: 'object' },
+        required: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    annotations: { type: 'object' }
+  }
+};
+
+// tools/list pages to follow before giving up on nextCursor
+const MAX_TOOL_PAGES = 20;
+
+const CHECKS = [
+  {
+    id: 'handshake',
+    name: 'Initialize handshake',
+    async run({ client }) {
+      const mcp = await client();
+      expect(typeof mcp.serverInfo?.name === 'string', 'serverInfo.name must be a string');
+      expect(typeof mcp.serverInfo?.version === 'string', 'serverInfo.version must be a string');
+      expect(isObject(mcp.serverCapabilities), 'capabilities must be an object');
+      expect(
+        SUPPORTED_PROTOCOL_VERSIONS.includes(mcp.protocolVersion),
+        `protocolVersion ${mcp.protocolVersion} is not a known MCP version`
+      );
+      await mcp.ping();
+    }
+  },
+  {
+    id: 'version-negotiation',
+    name: 'Unsupported protocol version is negotiated',
+    async run({ probe }) {
+      const connection = await probe();
+      const response = await connection.initialize({ protocolVersion: '1999-01-01' });
+      expect(!response.error, `initialize failed instead of negotiating: ${describeError(response.error)}`);
+      const version = response.result?.protocolVersion;
+      expect(typeof version === 'string', 'initialize result must include a protocolVersion');
+      expect(version !== '1999-01-01', 'server accepted a protocol version it cannot support');
+    }
+  },
+  {
+    id: 'version-echo',
+    name: 'Supported protocol versions are echoed',
+    async run({ probe }) {
+      const answers = [];
+      for (const requested of SUPPORTED_PROTOCOL_VERSIONS) {
+        const connection = await probe();
+        const response = await connection.initialize({ protocolVersion: requested });
+        expect(!response.error, `initialize with ${requested} failed: ${describeError(response.error)}`);
+        answers.push(response.result.protocolVersion);
+      }
+      // A server may support only some versions, but must echo at least one of ours
+      expect(
+        answers.some((version, index) => version === SUPPORTED_PROTOCOL_VERSIONS[index]),
+        `server echoed none of ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')} (answered ${answers.join(', ')})`
+      );
+    }
+  },
+  {
+    id: 'ping',
+    name: 'Ping returns an empty result',
+    async run({ probe }) {
+      const connection = await probe();
+      await expectInitialized(connection);
+      const response = await connection.request({ jsonrpc: JSONRPC_VERSION, id: 'ping-1', method: 'ping' });
+      expect(isObject(response.result), `ping must return a result object, got ${JSON.stringify(response)}`);
+    }
+  },
+  {
+    id: 'malformed-json',
+    name: 'Malformed JSON gets a parse error',
+    async run({ probe }) {
+      const connection = await probe();
+      await expectInitialized(connection);
+      await connection.sendRaw('{"jsonrpc": "2.0", "id": "malformed", "method": "ping"');
+
+      const response = await connection.waitFor(isResponse);
+      expectErrorCode(response, ErrorCode.ParseError);
+      expect(response.id === null, `parse error must have id null, got ${JSON.stringify(response.id)}`);
+
+      // The connection must survive bad input
+      const ping = await connection.request({ jsonrpc: JSONRPC_VERSION, id: 'after-malformed', method: 'ping' });
+      expect(isObject(ping.result), 'ping failed after malformed input');
+    }
+  },
+  {
+    id: 'unknown-method',
+    name: 'Unknown methods get method not found',
+    async run({ probe }) {
+      const connection = await probe();
+      await expectInitialized(connection);
+      const response = await connection.request({
+        jsonrpc: JSONRPC_VERSION,
+        id: 'unknown-1',
+        method: 'conformance/does-not-exist'
+      });
+      expectErrorCode(response, ErrorCode.MethodNotFound);
+    }
+  },
+  {
+    id: 'id-types',
+    name: 'Integer (including 0) and string IDs are echoed exactly',
+    async run({ probe }) {
+      const connection = await probe();
+      await expectInitialized(connection);
+      for (const id of [0, 42, 'request-a', '0']) {
+        // Wait for any response, so an ID of the wrong type is reported instead of timing out
+        const response = connection.waitFor(isResponse);
+        await connection.send({ jsonrpc: JSONRPC_VERSION, id, method: 'ping' });
+        const { id: echoed, result, error } = await response;
+        expect(echoed === id, `sent id ${JSON.stringify(id)}, response had id ${JSON.stringify(echoed)}`);
+        expect(isObject(result), `ping with id ${JSON.stringify(id)} failed: ${describeError(error)}`);
+      }
+    }
+  },
+  {
+    id: 'null-id',
+    name: 'Requests with a null ID are rejected',
+    async run({ probe }) {
+      const connection = await probe();
+      await expectInitialized(connection);
+      await connection.send({ jsonrpc: JSONRPC_VERSION, id: null, method: 'ping' });
+
+      const response = await connection.waitFor(isResponse);
+      expect(!('result' in response), 'server answered a request with a null id (MCP request IDs must not be null)');
+      expectErrorCode(response, ErrorCode.InvalidRequest);
+    }
+  },
+  {
+    id: 'notifications',
+    name: 'Notifications get no response',
+    async run({ probe }) {
+      const connection = await probe();
+      await expectInitialized(connection);
+      await connection.send({ jsonrpc: JSONRPC_VERSION, method: 'notifications/conformance/unknown', params: {} });
+      await connection.send({
+        jsonrpc: JSONRPC_VERSION,
+        method: 'notifications/cancelled',
+        params: { requestId: 'never-sent', reason: 'conformance check' }
+      });
+
+      // Messages are handled in order, so anything sent for the notifications arrives before this
+      await connection.request({ jsonrpc: JSONRPC_VERSION, id: 'after-notifications', method: 'ping' });
+      const replies = connection.received.filter(isResponse);
+      expect(replies.length === 0, `server responded to a notification: ${JSON.stringify(replies[0])}`);
+    }
+  },
+  {
+    id: 'tools-list',
+    name: 'tools/list returns valid tool definitions',
+    async run({ probe, skip }) {
+      const connection = await probe();
+      const init = await expectInitialized(connection);
+      if (!init.result.capabilities?.tools) {
+        skip('server does not advertise the tools capability');
+      }
+
+      const tools = [];
+      let cursor;
+      for (let page = 0; page < MAX_TOOL_PAGES; page++) {
+        const response = await connection.request({
+          jsonrpc: JSONRPC_VERSION,
+          id: `tools-list-${page}`,
+          method: 'tools/list',
+          params: cursor ? { cursor } : {}
+        });
+        expect(!response.error, `tools/list failed: ${describeError(response.error)}`);
+        expect(Array.isArray(response.result?.tools), 'tools/list result must have a tools array');
+        tools.push(...response.result.tools);
+
+        cursor = response.result.nextCursor;
+        if (!cursor) break;
+      }
+
+      const problems = [];
+      const names = new Set();
+      for (const [index, tool] of tools.entries()) {
+        const label = typeof tool?.name === 'string' ? tool.name : `#${index}`;
+        for (const error of validateSchema(TOOL_SCHEMA, tool)) {
+          problems.push(`${label}: ${error.pointer || '/'} ${error.message}`);
+        }
+        if (names.has(tool?.name)) {
+          problems.push(`${label}: duplicate tool name`);
+        }
+        names.add(tool?.name);
+      }
+      expect(problems.length === 0, problems.join('; '));
+    }
+  }
+];
+
+// Initialize a probe connection, failing the check if the server refuses
+async function expectInitialized(connection) {
+  const response = await connection.initialize();
+  expect(!response.error, `initialize failed: ${describeError(response.error)}`);
+  return response;
+}
+
+function expect(condition, message) {
+  if (!condition) {
+    throw new CheckFailure(message);
+  }
+}
+
+function expectErrorCode(response, code) {
+  expect(response.error, `expected error ${code}, got ${JSON.stringify(response.result ?? response)}`);
+  expect(response.error.code === code, `expected error ${code}, got ${describeError(response.error)}`);
+}
+
+function describeError(error) {
+  return error ? `${error.code} ${error.message}` : 'none';
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export { CHECKS, CheckFailure, SkipCheck };
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * MCP protocol conformance runner
+ *
+ * Runs the protocol checks against a stdio server command or an HTTP+SSE URL,
+ * prints a pass/fail report and exits with code 1 if any check failed:
+ *   node src/conformance/cli.js -- node path/to/server.js
+ *   node src/conformance/cli.js --url http://localhost:5000/sse
+ *
+ * Everything runs locally - no network access is needed beyond the server itself.
+ */
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { runConformance } from './runner.js';
+import { CHECKS } from './checks.js';
+
+const SYMBOLS = { passed: '✓', failed: '✗', skipped: '-' };
+
+async function main() {
+  const argv = yargs(hideBin(process.argv))
+    .usage('$0 [options] [-- command [args...]]')
+    .option('url', {
+      type: 'string',
+      description: 'HTTP+SSE endpoint of the server (instead of a stdio command)'
+    })
+    .option('header', {
+      alias: 'H',
+      type: 'array',
+      string: true,
+      default: [],
+      description: 'HTTP header to send, as "Name: value" (repeatable)'
+    })
+    .option('timeout', {
+      type: 'number',
+      default: 5000,
+      description: 'Milliseconds to wait for each response'
+    })
+    .option('check', {
+      type: 'array',
+      string: true,
+      choices: CHECKS.map(check => check.id),
+      description: 'Only run these checks (repeatable)'
+    })
+    .option('json', {
+      type: 'boolean',
+      default: false,
+      description: 'Print the report as JSON'
+    })
+    .option('verbose', {
+      type: 'boolean',
+      default: false,
+      description: "Show the stdio server's stderr"
+    })
+    .check((args) => {
+      if (!args.url && args._.length === 0) {
+        throw new Error('Pass a server command after "--" or an HTTP+SSE --url');
+      }
+      return true;
+    })
+    .help()
+    .argv;
+
+  const target = argv.url
+    ? { url: argv.url, headers: parseHeaders(argv.header) }
+    : { command: String(argv._[0]), args: argv._.slice(1).map(String) };
+
+  if (!argv.json) {
+    console.log(`MCP conformance checks for ${argv.url || argv._.join(' ')}\n`);
+  }
+
+  const report = await runConformance(target, {
+    timeout: argv.timeout,
+    only: argv.check,
+    stderr: argv.verbose ? 'inherit' : 'ignore',
+    onresult: argv.json ? null : printResult
+  });
+
+  if (argv.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`\n${report.passed} passed, ${report.failed} failed, ${report.skipped} skipped`);
+  }
+
+  process.exit(report.failed > 0 ? 1 : 0);
+}
+
+function printResult({ name, status, message, duration }) {
+  console.log(`${SYMBOLS[status]} ${name} (${duration}ms)`);
+  if (message) {
+    console.log(`    ${message}`);
+  }
+}
+
+// "Name: value" strings to a headers object
+function parseHeaders(headers) {
+  return Object.fromEntries(headers.map((header) => {
+    const index = header.indexOf(':');
+    if (index === -1) {
+      throw new Error(`Invalid header (expected "Name: value"): ${header}`);
+    }
+    return [header.slice(0, index).trim(), header.slice(index + 1).trim()];
+  }));
+}
+
+main().catch((error) => {
+  console.error('Conformance run failed:', error.message);
+  process.exit(2);
+});
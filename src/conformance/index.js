@@ -0,0 +1,9 @@
+/**
+ * Conformance module index
+ *
+ * This file exports the protocol conformance runner and its checks
+ */
+
+export { runConformance } from './runner.js';
+export { CHECKS, CheckFailure, SkipCheck } from './checks.js';
+export { ProtocolProbe } from './probe.js';
@@ -0,0 +1,131 @@
+/**
+ * Raw JSON-RPC probe for conformance checks
+ *
+ * McpClient hides the wire format: it picks request IDs, always sends valid JSON
+ * and performs the handshake itself. The checks need to control all of that,
+ * so ProtocolProbe drives a client transport directly:
+ * - request(message) sends a message as-is and waits for the response with the same ID
+ * - sendRaw(data) sends bytes that may not be JSON at all
+ * - every message from the server is recorded, so checks can look for unexpected replies
+ */
+import { JSONRPC_VERSION, LATEST_PROTOCOL_VERSION, ErrorCode, McpError } from '../core/index.js';
+
+class ProtocolProbe {
+  // transport: a started-or-not client transport (StdioClientTransport, SseClientTransport, ...)
+  // options: timeout (ms to wait for each response, default 5000)
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.timeout = options.timeout ?? 5000;
+
+    // Every message received from the server, in order
+    this.received = [];
+
+    // Waiters for the next matching message - { match, resolve }
+    this._waiters = [];
+  }
+
+  async start() {
+    this.transport.onmessage = (message) => this._onMessage(message);
+    this.transport.onerror = () => {};
+    await this.transport.start();
+  }
+
+  async close() {
+    await this.transport.close();
+  }
+
+  // Send a message object as-is and wait for the response carrying the same ID
+  async request(message, options = {}) {
+    const response = this.waitFor(entry => isResponse(entry) && entry.id === message.id, options);
+    await this.send(message);
+    return response;
+  }
+
+  // Send a message object as-is without waiting
+  async send(message) {
+    return this.sendRaw(JSON.stringify(message));
+  }
+
+  // Send an already serialized payload - HTTP transports may answer it in the POST response,
+  // which is recorded like any other message
+  async sendRaw(data) {
+    try {
+      await this.transport.sendRaw(data);
+    } catch (error) {
+      if (!(error instanceof McpError)) throw error;
+      this._onMessage({ jsonrpc: JSONRPC_VERSION, id: null, error: error.toJSON() });
+    }
+  }
+
+  // Resolve with the first message (already received or future) for which match(message) is true
+  // Rejects after options.timeout ms
+  waitFor(match, { timeout = this.timeout } = {}) {
+    const index = this.received.findIndex(match);
+    if (index !== -1) {
+      return Promise.resolve(this.received.splice(index, 1)[0]);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { match, resolve: null };
+      const timer = setTimeout(() => {
+        this._waiters.splice(this._waiters.indexOf(waiter), 1);
+        reject(new Error(`No matching message from the server within ${timeout}ms`));
+      }, timeout);
+      waiter.resolve = (message) => {
+        clearTimeout(timer);
+        resolve(message);
+      };
+      this._waiters.push(waiter);
+    });
+  }
+
+  // Run the initialize handshake with the given params (merged over defaults)
+  // Resolves with the initialize response; sends notifications/initialized when it succeeded
+  async initialize(params = {}, id = 'initialize') {
+    const response = await this.request({
+      jsonrpc: JSONRPC_VERSION,
+      id,
+      method: 'initialize',
+      params: {
+        protocolVersion: LATEST_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'mcp-conformance', version: '0.1.0' },
+        ...params
+      }
+    });
+
+    if (response.result) {
+      await this.send({ jsonrpc: JSONRPC_VERSION, method: 'notifications/initialized' });
+    }
+    return response;
+  }
+
+  _onMessage(message) {
+    // We declare no client capabilities, so server requests get "method not found"
+    if (message && 'method' in message && 'id' in message) {
+      this.send({
+        jsonrpc: JSONRPC_VERSION,
+        id: message.id,
+        error: { code: ErrorCode.MethodNotFound, message: `Method not found: ${message.method}` }
+      }).catch(() => {});
+    }
+
+    const waiter = this._waiters.find(entry => entry.match(message));
+    if (waiter) {
+      this._waiters.splice(this._waiters.indexOf(waiter), 1);
+      waiter.resolve(message);
+      return;
+    }
+    this.received.push(message);
+  }
+}
+
+// A response has an ID and a result or an error
+function isResponse(message) {
+  return message !== null
+    && typeof message === 'object'
+    && 'id' in message
+    && ('result' in message || 'error' in message);
+}
+
+export { ProtocolProbe, isResponse };
@@ -0,0 +1,131 @@
+/**
+ * Conformance runner
+ *
+ * Runs the protocol checks against one server and collects a report.
+ * The server is described by a target:
+ * - { command, args, env, cwd } - a stdio server, spawned once per check
+ * - { url, headers } - an HTTP+SSE server endpoint
+ *
+ * Checks use StdioClientTransport / SseClientTransport for raw probes, and
+ * McpClient / McpSseClient for the client-level handshake.
+ */
+import { McpClient, StdioClientTransport, SseClientTransport } from '../client/index.js';
+import { McpSseClient } from '../examples/http-sse-client.js';
+import { ProtocolProbe } from './probe.js';
+import { CHECKS, SkipCheck } from './checks.js';
+
+const CLIENT_INFO = {
+  name: 'mcp-conformance',
+  version: '0.1.0'
+};
+
+// Run the checks against a target
+// options: timeout (ms per response, default 5000), only (list of check IDs to run),
+// stderr (stdio servers' stderr: 'ignore' by default, 'inherit' to see it),
+// onresult(result) called as each check finishes
+// Resolves with { target, passed, failed, skipped, results: [{ id, name, status, message, duration }] }
+async function runConformance(target, options = {}) {
+  const { timeout = 5000, only, onresult } = options;
+  const checks = only ? CHECKS.filter(check => only.includes(check.id)) : CHECKS;
+
+  const report = { target: describeTarget(target), passed: 0, failed: 0, skipped: 0, results: [] };
+
+  for (const check of checks) {
+    const result = await runCheck(check, target, { ...options, timeout });
+    report[result.status]++;
+    report.results.push(result);
+    onresult?.(result);
+  }
+
+  return report;
+}
+
+// Run one check with its own connections, closing them afterwards
+async function runCheck(check, target, options) {
+  const opened = [];
+  const context = {
+    probe: async () => {
+      const probe = new ProtocolProbe(createTransport(target, options), { timeout: options.timeout });
+      opened.push(probe);
+      await probe.start();
+      return probe;
+    },
+    client: async () => {
+      const client = createClient(target, options);
+      client.on('error', () => {});
+      opened.push(client);
+      await connectClient(client, target, options);
+      return client;
+    },
+    skip: (reason) => {
+      throw new SkipCheck(reason);
+    }
+  };
+
+  const startedAt = Date.now();
+  let status = 'passed';
+  let message = null;
+  try {
+    // A server that never answers must not hang the run
+    await withTimeout(check.run(context), options.timeout * 4, `${check.id} did not finish`);
+  } catch (error) {
+    status = error instanceof SkipCheck ? 'skipped' : 'failed';
+    message = error.message;
+  } finally {
+    await Promise.allSettled(opened.map(connection => connection.close()));
+  }
+
+  return { id: check.id, name: check.name, status, message, duration: Date.now() - startedAt };
+}
+
+function createTransport(target, options) {
+  if (target.url) {
+    return new SseClientTransport({
+      url: target.url,
+      headers: target.headers,
+      connectTimeout: options.timeout,
+      reconnect: false
+    });
+  }
+
+  return new StdioClientTransport({
+    command: target.command,
+    args: target.args,
+    env: target.env,
+    cwd: target.cwd,
+    stderr: options.stderr ?? 'ignore'
+  });
+}
+
+function createClient(target, options) {
+  if (target.url) {
+    return new McpSseClient({
+      serverUrl: target.url,
+      headers: target.headers,
+      reconnect: false,
+      clientInfo: CLIENT_INFO,
+      timeout: options.timeout
+    });
+  }
+  return new McpClient(CLIENT_INFO, { timeout: options.timeout });
+}
+
+function connectClient(client, target, options) {
+  return client instanceof McpSseClient
+    ? client.connect()
+    : client.connect(createTransport(target, options));
+}
+
+function describeTarget(target) {
+  return target.url || [target.command, ...(target.args || [])].join(' ');
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export { runConformance };
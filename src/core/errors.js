@@ -0,0 +1,148 @@
+/**
+ * Typed MCP / JSON-RPC errors
+ *
+ * Handlers throw these to answer a request with a specific JSON-RPC error;
+ * McpServer sends their code, message and data as-is. Any other exception
+ * becomes an InternalError (or, for tools, an isError result).
+ * Clients rebuild the same classes from error responses so callers can
+ * branch on `error.code` or use instanceof.
+ *
+ * See: https://www.jsonrpc.org/specification#error_object
+ */
+
+// Standard JSON-RPC codes, plus the MCP and application codes this library uses
+const ErrorCode = {
+  ParseError: -32700,
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InvalidParams: -32602,
+  InternalError: -32603,
+
+  // Server-defined range (-32000 to -32099)
+  ConnectionClosed: -32000,
+  ResourceNotFound: -32002,
+  UpstreamUnavailable: -32003,
+  RateLimited: -32029,
+
+  // HTTP transport errors, with the codes of the reference SDK
+  // BadRequest shares -32000 with ConnectionClosed; both only ever reach the client as error objects
+  BadRequest: -32000,
+  SessionNotFound: -32001
+};
+
+class McpError extends Error {
+  // Application errors can use any integer code outside the reserved JSON-RPC range
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    if (data !== undefined && data !== null) {
+      this.data = data;
+    }
+  }
+
+  // The JSON-RPC error object sent to the other side
+  toJSON() {
+    const error = { code: this.code, message: this.message };
+    if (this.data !== undefined) {
+      error.data = this.data;
+    }
+    return error;
+  }
+
+  // Rebuild a typed error from a JSON-RPC error object
+  static fromJSON({ code, message, data } = {}) {
+    const ErrorClass = ERROR_CLASSES[code];
+    return ErrorClass
+      ? new ErrorClass(message, data)
+      : new McpError(code ?? ErrorCode.InternalError, message || 'Unknown error', data);
+  }
+}
+
+// Invalid JSON was received
+class ParseError extends McpError {
+  constructor(message = 'Parse error', data) {
+    super(ErrorCode.ParseError, message, data);
+    this.name = 'ParseError';
+  }
+}
+
+// The JSON sent is not a valid request (or not allowed right now)
+class InvalidRequest extends McpError {
+  constructor(message = 'Invalid Request', data) {
+    super(ErrorCode.InvalidRequest, message, data);
+    this.name = 'InvalidRequest';
+  }
+}
+
+// The method does not exist or is not available
+class MethodNotFound extends McpError {
+  constructor(message = 'Method not found', data) {
+    super(ErrorCode.MethodNotFound, message, data);
+    this.name = 'MethodNotFound';
+  }
+}
+
+// Invalid method parameters (unknown tool, arguments failing the schema, ...)
+class InvalidParams extends McpError {
+  constructor(message = 'Invalid params', data) {
+    super(ErrorCode.InvalidParams, message, data);
+    this.name = 'InvalidParams';
+  }
+}
+
+// Something went wrong on the other side
+class InternalError extends McpError {
+  constructor(message = 'Internal error', data) {
+    super(ErrorCode.InternalError, message, data);
+    this.name = 'InternalError';
+  }
+}
+
+// resources/read for a URI the server does not have
+class ResourceNotFound extends McpError {
+  constructor(message = 'Resource not found', data) {
+    super(ErrorCode.ResourceNotFound, message, data);
+    this.name = 'ResourceNotFound';
+  }
+}
+
+// A gateway upstream that should serve the request is not connected
+class UpstreamUnavailable extends McpError {
+  constructor(message = 'Upstream unavailable', data) {
+    super(ErrorCode.UpstreamUnavailable, message, data);
+    this.name = 'UpstreamUnavailable';
+  }
+}
+
+// A rate limit or quota was hit - data.retryAfter is the number of seconds to wait
+class RateLimited extends McpError {
+  constructor(message = 'Rate limit exceeded', data) {
+    super(ErrorCode.RateLimited, message, data);
+    this.name = 'RateLimited';
+  }
+}
+
+const ERROR_CLASSES = {
+  [ErrorCode.ParseError]: ParseError,
+  [ErrorCode.InvalidRequest]: InvalidRequest,
+  [ErrorCode.MethodNotFound]: MethodNotFound,
+  [ErrorCode.InvalidParams]: InvalidParams,
+  [ErrorCode.InternalError]: InternalError,
+  [ErrorCode.ResourceNotFound]: ResourceNotFound,
+  [ErrorCode.UpstreamUnavailable]: UpstreamUnavailable,
+  [ErrorCode.RateLimited]: RateLimited
+};
+
+export {
+  ErrorCode,
+  McpError,
+  ParseError,
+  InvalidRequest,
+  MethodNotFound,
+  InvalidParams,
+  InternalError,
+  ResourceNotFound,
+  UpstreamUnavailable,
+  RateLimited
+};
@@ -9,4 +9,23 @@ export {
   JSONRPC_VERSION, 
   LATEST_PROTOCOL_VERSION,
   SUPPORTED_PROTOCOL_VERSIONS
-} from './mcp-server.js'; 
+} from './mcp-server.js';
+export { validateSchema, compileSchema } from './schema-validator.js';
+export { UriTemplate } from './uri-template.js';
+export { Logger, LOG_LEVELS } from './logger.js';
+export { McpSession } from './session.js';
+export { MetricsRegistry, McpMetrics, Counter, Gauge, Histogram } from './metrics.js';
+
+export { TokenBucket, DailyQuota } from './rate-limiter.js';
+export {
+  ErrorCode,
+  McpError,
+  ParseError,
+  InvalidRequest,
+  MethodNotFound,
+  InvalidParams,
+  InternalError,
+  ResourceNotFound,
+  UpstreamUnavailable,
+  RateLimited
+} from './errors.js';
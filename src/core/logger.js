@@ -0,0 +1,60 @@
+/**
+ * Server logger implementing the MCP logging utility
+ * See: https://spec.modelcontextprotocol.io/specification/2024-11-05/server/utilities/logging/
+ *
+ * Log messages go to stderr (always safe, even for stdio servers). Loggers bound
+ * to a session - the one in a handler's context - also send them to that client as
+ * notifications/message; each client picks its own minimum level with logging/setLevel.
+ * The server-wide logger only writes to stderr, so one client never sees another's traffic.
+ */
+import { format } from 'node:util';
+
+// RFC 5424 syslog severities, from least to most severe
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Compare two levels - true if `level` is at least as severe as `minimum`
+function isLevelEnabled(level, minimum) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimum);
+}
+
+class Logger {
+  // sink(level, data, { name, sessionId, scoped }) delivers each log message
+  // A scoped logger also sends to its own session; an unscoped one only writes to stderr
+  constructor(sink, { name, sessionId, scoped = false } = {}) {
+    this._sink = sink;
+    this.name = name;
+    this.sessionId = sessionId;
+    this.scoped = scoped;
+  }
+
+  // Log at the given level
+  // A single argument is sent to clients as-is (any JSON value); several are formatted into a string
+  log(level, ...args) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Invalid log level: ${level}`);
+    }
+
+    const data = args.length === 1 && !(args[0] instanceof Error) ? args[0] : format(...args);
+    this._sink(level, data, { name: this.name, sessionId: this.sessionId, scoped: this.scoped });
+  }
+
+  // Create a logger with a different name, or bound to a single session by passing sessionId
+  // (an undefined sessionId is the single session of a stdio transport)
+  child(options = {}) {
+    const bindsSession = 'sessionId' in options;
+    return new Logger(this._sink, {
+      name: options.name ?? this.name,
+      sessionId: bindsSession ? options.sessionId : this.sessionId,
+      scoped: this.scoped || bindsSession
+    });
+  }
+}
+
+// Shorthand methods - logger.debug(...), logger.info(...), ...
+for (const level of LOG_LEVELS) {
+  Logger.prototype[level] = function (...args) {
+    this.log(level, ...args);
+  };
+}
+
+export { Logger, LOG_LEVELS, isLevelEnabled };
@@ -7,11 +7,26 @@
  * This server follows the MCP specification for server-side implementation
  * See: https://spec.modelcontextprotocol.io/specification/2024-11-05/
  */
+import { validateSchema, compileSchema } from './schema-validator.js';
+import { UriTemplate } from './uri-template.js';
+import { Logger, LOG_LEVELS, isLevelEnabled } from './logger.js';
+import { McpSession } from './session.js';
+import { rateLimitError, TokenBucket, DailyQuota } from './rate-limiter.js';
+import { compose } from './middleware.js';
+import { McpMetrics } from './metrics.js';
+import {
+  ErrorCode,
+  McpError,
+  InvalidRequest,
+  MethodNotFound,
+  InvalidParams,
+  ResourceNotFound
+} from './errors.js';
 
 // Protocol and version constants
 const JSONRPC_VERSION = '2.0';  // MCP uses JSON-RPC 2.0 as its base protocol
-const LATEST_PROTOCOL_VERSION = '2024-11-05';  // Current MCP protocol version
-const SUPPORTED_PROTOCOL_VERSIONS = [LATEST_PROTOCOL_VERSION, '2024-10-07'];  // For backwards compatibility
+const LATEST_PROTOCOL_VERSION = '2025-03-26';  // Current MCP protocol version
+const SUPPORTED_PROTOCOL_VERSIONS = [LATEST_PROTOCOL_VERSION, '2024-11-05', '2024-10-07'];  // For backwards compatibility
 const SERVER_INFO = {
   name: 'simple-mcp-server',
   version: '0.1.0'
@@ -27,22 +42,78 @@ class McpServer {
     this.options = options;
     
     // Transport layer - handles raw message exchange
+    // The first connected transport is the primary one; more can be connected
+    // to serve the same server over several transports side by side
     this.transport = null;
+    this._transports = new Set();
+    
+    // Client sessions - session ID => McpSession
+    // Each session holds its negotiated state and knows the transport its replies go back on
+    this._sessions = new Map();
+    
+    // Sessions of transports without session IDs (stdio) - transport => McpSession
+    this._defaultSessions = new Map();
+    
+    // Lifecycle hooks for application code
+    this.oninitialized = null;   // (session) => void - Client completed the initialization handshake
+    this.onsessionclosed = null; // (session) => void - Client session ended
     
     // Server capabilities - advertised during initialization
     // Capabilities determine which protocol features are available
-    this.capabilities = options.capabilities || {};
+    this.capabilities = { ...options.capabilities };
     
     // Request handlers map method names to their implementations
     this.requestHandlers = new Map();
     
-    // Track pending responses to outgoing requests
-    this._responseHandlers = new Map();
-    this.requestId = 0;  // Auto-incrementing request ID counter
+    // Middleware pipelines - requests (use), incoming notifications (useNotification)
+    // and outgoing messages (useOutgoing), each run in registration order
+    this._requestMiddleware = [];
+    this._notificationMiddleware = [];
+    this._outgoingMiddleware = [];
+    
+    // Prometheus metrics (options.metrics: an McpMetrics, or true to create one)
+    // Requests are counted by the first middleware, so it sees every request
+    this.metrics = options.metrics === true ? new McpMetrics() : options.metrics || null;
+    if (this.metrics) {
+      this.use(this.metrics.requestMiddleware({
+        isKnownMethod: (method) => this.requestHandlers.has(method),
+        isKnownTool: (name) => this._tools.has(name)
+      }));
+      this.useOutgoing(this.metrics.outgoingMiddleware());
+    }
+    
+    // Tool registry - maps tool names to { definition, handler }
+    // tools/list and tools/call are served from here once a tool is registered
+    this._tools = new Map();
     
-    // Client information received during initialization
-    this._clientCapabilities = null;  // Features supported by the client
-    this._clientVersion = null;       // Client protocol version
+    // Resource registries - static resources by URI and templates by URI template
+    // resources/* methods are served from here once a resource or template is registered
+    this._resources = new Map();
+    this._resourceTemplates = new Map();
+    
+    // Prompt registry - maps prompt names to { definition, handler }
+    // prompts/list and prompts/get are served from here once a prompt is registered
+    this._prompts = new Map();
+    
+    // Auto-incrementing ID counter for outgoing requests
+    // Pending responses are tracked on the session the request was sent to
+    this.requestId = 0;
+    
+    // Rate limits (options.limits) - all optional:
+    // requestsPerSecond and burst per session, maxConcurrentToolCalls per session,
+    // toolQuotas: { toolName: calls per day } per principal (or per session without auth)
+    this._limits = { ...options.limits };
+    this._toolQuotas = new Map(
+      Object.entries(this._limits.toolQuotas || {}).map(([name, limit]) => [name, new DailyQuota(limit)])
+    );
+    
+    // Logging - server-wide messages only go to stderr; session loggers (handler context.logger)
+    // also send notifications/message to their client, which sets its minimum level with
+    // logging/setLevel (options.logLevel until then)
+    this._defaultLogLevel = options.logLevel || 'info';
+    this._stderrLogLevel = options.stderrLogLevel || 'debug';
+    this.logger = new Logger(this._emitLog.bind(this), { name: serverInfo.name });
+    this.capabilities.logging = { ...this.capabilities.logging };
     
     // Register core protocol handlers
     
@@ -51,72 +122,696 @@ class McpServer {
     
     // Ping handler - Basic protocol utility for connection health checks
     this.setRequestHandler('ping', () => ({}));
+    
+    // Logging handler - client sets the minimum level of notifications/message it receives
+    this.setRequestHandler('logging/setLevel', (params, context) => {
+      if (!LOG_LEVELS.includes(params.level)) {
+        throw new InvalidParams(`Invalid log level: ${params.level}`, { levels: LOG_LEVELS });
+      }
+      
+      context.session.logLevel = params.level;
+      return {};
+    });
   }
 
   // Connect to a transport layer (e.g., stdio, HTTP+SSE)
   // The transport handles raw message exchange
   async connect(transport) {
-    this.transport = transport;
+    if (!this.transport) {
+      this.transport = transport;
+    }
+    this._transports.add(transport);
     
     // Set up transport event handlers for the MCP message lifecycle
-    transport.onmessage = this._onMessage.bind(this);  // Incoming messages
-    transport.onclose = () => console.error('Connection closed');  // Connection termination
-    transport.onerror = (error) => console.error('Transport error:', error);  // Transport errors
+    transport.onsessionopen = (sessionId) => {  // A client connected to a multi-session transport
+      this._openSession(transport, sessionId);
+    };
+    transport.onmessage = (message, sessionId = message?._sessionId, info = {}) => {  // Incoming messages
+      const session = this._resolveSession(transport, sessionId);
+      if (!session) {
+        this.logger.warning(`Dropping message for unknown session ${sessionId}`);
+        return;
+      }
+      // Authenticating transports tell us who sent the message
+      if (info.principal) session.principal = info.principal;
+      this._onMessage(message, session);
+    };
+    transport.onsessionclose = (sessionId) => {  // A single client disconnected
+      this._closeSession(this._sessions.get(sessionId));
+    };
+    transport.onclose = () => {  // Connection termination
+      this.logger.debug('Connection closed');
+      for (const session of [...this._sessions.values()]) {
+        if (session.transport === transport) this._closeSession(session);
+      }
+    };
+    transport.onerror = (error) => this.logger.error('Transport error:', error);  // Transport errors
+    transport.onstatus = () => this.getStatusSummary();  // Extra state for status endpoints
+    
+    // Transports that report their own metrics (HttpSseTransport) share the server's registry
+    if (this.metrics && 'metrics' in transport && !transport.metrics) {
+      transport.metrics = this.metrics;
+    }
+    
+    // Transports that log their traffic do it through the server-wide logger, at debug level
+    if ('logger' in transport && !transport.logger) {
+      transport.logger = this.logger;
+    }
     
     // Start the transport and begin accepting messages
     await transport.start();
     return this;
   }
 
-  // Gracefully close the connection
+  // Gracefully close all connections
   async close() {
-    if (this.transport) {
-      await this.transport.close();
-      this.transport = null;
+    for (const transport of this._transports) {
+      await transport.close();
+    }
+    for (const session of [...this._sessions.values()]) {
+      this._closeSession(session);
+    }
+    this._transports.clear();
+    this.transport = null;
+  }
+
+  // Start a session the transport announced
+  _openSession(transport, sessionId) {
+    if (this._sessions.has(sessionId)) return;
+    const session = new McpSession(transport, sessionId);
+    this._sessions.set(session.id, session);
+    this.logger.debug(`New session ${session.id}`);
+  }
+
+  // Find the session a message belongs to
+  // Transports without session IDs (stdio, in-memory) get one default session each;
+  // IDs the transport never announced through onsessionopen resolve to nothing
+  _resolveSession(transport, transportSessionId) {
+    if (transportSessionId === undefined) {
+      let session = this._defaultSessions.get(transport);
+      if (!session) {
+        session = new McpSession(transport);
+        this._defaultSessions.set(transport, session);
+        this._sessions.set(session.id, session);
+      }
+      return session;
+    }
+    
+    return this._sessions.get(transportSessionId) ?? null;
+  }
+
+  // Forget a session whose client went away
+  _closeSession(session) {
+    if (!session || !this._sessions.has(session.id)) return;
+    
+    this._sessions.delete(session.id);
+    if (this._defaultSessions.get(session.transport) === session) {
+      this._defaultSessions.delete(session.transport);
+    }
+    session.close();
+    this.logger.debug(`Session ${session.id} closed`);
+    this._runHook('onsessionclosed', session);
+  }
+
+  // Call an application lifecycle hook - a failing hook must not break the server
+  async _runHook(name, session) {
+    try {
+      await this[name]?.(session);
+    } catch (error) {
+      this.logger.error(`Error in ${name} hook:`, error);
+    }
+  }
+
+  // Look up a session by ID
+  // Without an ID this is the only session, if there is exactly one (e.g. a stdio server)
+  getSession(sessionId) {
+    if (sessionId !== undefined) {
+      return this._sessions.get(sessionId);
     }
+    return this._sessions.size === 1 ? this._sessions.values().next().value : undefined;
+  }
+
+  // All connected client sessions
+  get sessions() {
+    return [...this._sessions.values()];
   }
 
   // Handle incoming messages according to JSON-RPC and MCP specs
-  _onMessage(message) {
-    // Log for debugging (MCP allows logging on stderr)
-    console.error('Received message:', JSON.stringify(message, null, 2));
+  _onMessage(message, session) {
+    // Log for debugging
+    this.logger.debug('Received message:', JSON.stringify(message, null, 2));
+    
+    // Replies are sent asynchronously - a failed send (e.g. the client went away) is only logged
+    const logSendFailure = (error) => this.logger.error(`Failed to answer session ${session.id}:`, error);
+    
+    // Batch: an array of messages answered with a single array of responses
+    if (Array.isArray(message)) {
+      this._handleBatch(message, session).catch(logSendFailure);
+      return;
+    }
     
     // Validate JSON-RPC version as required by spec
-    if (message.jsonrpc !== JSONRPC_VERSION) {
-      return this._sendError(message.id, -32600, 'Invalid Request: Not a valid JSON-RPC 2.0 message');
+    if (!isJsonRpcMessage(message)) {
+      this._sendError(message?.id ?? null, ErrorCode.InvalidRequest, 'Invalid Request: Not a valid JSON-RPC 2.0 message', null, session)
+        .catch(logSendFailure);
+      return;
+    }
+    
+    // MCP requests need a string or integer ID - unlike plain JSON-RPC, null is not allowed
+    if ('id' in message && 'method' in message && !isValidRequestId(message.id)) {
+      this._sendError(null, ErrorCode.InvalidRequest, 'Invalid Request: id must be a string or an integer', null, session)
+        .catch(logSendFailure);
+      return;
     }
     
     // Route message based on JSON-RPC message type:
     if ('id' in message && 'method' in message) {
       // Request: Has ID and method, expects response
-      this._handleRequest(message);
+      this._handleRequest(message, session).catch(logSendFailure);
     } else if (!('id' in message) && 'method' in message) {
       // Notification: Has method but no ID, no response expected
-      this._handleNotification(message);
+      this._handleNotification(message, session);
     } else if ('id' in message && ('result' in message || 'error' in message)) {
       // Response: Has ID and result/error, matches a previous request
-      this._handleResponse(message);
+      this._handleResponse(message, session);
     } else {
       // Invalid message format
       if ('id' in message) {
-        this._sendError(message.id, -32600, 'Invalid Request');
+        this._sendError(message.id, ErrorCode.InvalidRequest, 'Invalid Request', null, session)
+          .catch(logSendFailure);
       }
     }
   }
 
+  // Handle a JSON-RPC batch
+  // Entries are processed concurrently and all request responses are sent back as one array.
+  // A batch of only notifications/responses gets no reply
+  async _handleBatch(messages, session) {
+    // An empty batch is itself an invalid request
+    if (messages.length === 0) {
+      return this._sendError(null, ErrorCode.InvalidRequest, 'Invalid Request: Empty batch', null, session);
+    }
+    
+    const responses = await Promise.all(messages.map(async (message) => {
+      if (!isJsonRpcMessage(message)) {
+        return this._errorResponse(message?.id ?? null, ErrorCode.InvalidRequest, 'Invalid Request: Not a valid JSON-RPC 2.0 message');
+      }
+      
+      if ('id' in message && 'method' in message) {
+        if (!isValidRequestId(message.id)) {
+          return this._errorResponse(null, ErrorCode.InvalidRequest, 'Invalid Request: id must be a string or an integer');
+        }
+        
+        // The handshake cannot be batched - it must complete before anything else is sent
+        if (message.method === 'initialize') {
+          return this._errorResponse(message.id, ErrorCode.InvalidRequest, 'Invalid Request: initialize must not be part of a batch');
+        }
+        return this._processRequest(message, session);
+      } else if (!('id' in message) && 'method' in message) {
+        await this._handleNotification(message, session);
+      } else if ('id' in message && ('result' in message || 'error' in message)) {
+        this._handleResponse(message, session);
+      } else {
+        return this._errorResponse(message.id ?? null, ErrorCode.InvalidRequest, 'Invalid Request');
+      }
+      return null;
+    }));
+    
+    const batch = responses.filter(Boolean);
+    if (batch.length > 0) {
+      await this._send(session, batch);
+    }
+  }
+
   // Register a handler for a specific method
   // This is how the server implements its capabilities
   setRequestHandler(method, handler) {
     this.requestHandlers.set(method, handler);
   }
 
+  // Add request middleware: async (ctx, next) => result
+  // ctx has id, method, params, session, sessionId, principal, signal and a state object.
+  // next() runs the rest of the pipeline (lifecycle and rate limit checks, then the handler)
+  // and resolves with the result or rejects with the error. Return a value without calling
+  // next() to answer the request yourself, or throw an McpError to reject it
+  use(middleware) {
+    this._requestMiddleware.push(checkMiddleware(middleware));
+    return this;
+  }
+
+  // Add middleware for incoming notifications: async (ctx, next) => void
+  // ctx has method, params, session, sessionId, principal and a state object;
+  // not calling next() drops the notification
+  useNotification(middleware) {
+    this._notificationMiddleware.push(checkMiddleware(middleware));
+    return this;
+  }
+
+  // Add middleware for outgoing messages (responses, notifications, requests and batches):
+  // async (ctx, next) => void. ctx has message, session and sessionId. Assign a new object
+  // to ctx.message to change what is sent - the same message may go to several sessions.
+  // Not calling next() drops the message. Logging to a session from here would send another message
+  useOutgoing(middleware) {
+    this._outgoingMiddleware.push(checkMiddleware(middleware));
+    return this;
+  }
+
+  // Send a message to a session through the outgoing middleware
+  async _send(session, message) {
+    if (this._outgoingMiddleware.length === 0) {
+      return session.send(message);
+    }
+    
+    const ctx = { type: 'outgoing', message, session, sessionId: session.id };
+    await compose(this._outgoingMiddleware)(ctx, () => session.send(ctx.message));
+  }
+
+  // Register a tool with its definition (name, description, inputSchema)
+  // and the handler invoked by tools/call with the tool arguments
+  registerTool(definition, handler) {
+    if (!definition || !definition.name) {
+      throw new Error('Tool definition must have a name');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for tool ${definition.name} must be a function`);
+    }
+    if (this._tools.has(definition.name)) {
+      throw new Error(`Tool ${definition.name} is already registered`);
+    }
+    try {
+      compileSchema(definition.inputSchema);
+    } catch (error) {
+      throw new Error(`Tool ${definition.name} has an invalid inputSchema: ${error.message}`);
+    }
+    
+    // The first registered tool enables the tools protocol feature
+    if (this._tools.size === 0) {
+      this._enableTools();
+    }
+    
+    this._tools.set(definition.name, { definition, handler });
+    this._sendListChanged('tools');
+    return this;
+  }
+
+  // Remove a previously registered tool
+  // Returns true if the tool existed
+  removeTool(name) {
+    const removed = this._tools.delete(name);
+    if (removed) {
+      this._sendListChanged('tools');
+    }
+    return removed;
+  }
+
+  // Advertise the tools capability and serve tools/list and tools/call from the registry
+  _enableTools() {
+    this.capabilities.tools = { listChanged: true, ...this.capabilities.tools };
+    
+    this.setRequestHandler('tools/list', () => ({
+      tools: [...this._tools.values()].map(tool => tool.definition)
+    }));
+    
+    this.setRequestHandler('tools/call', async (params, context) => {
+      const { name, arguments: args } = params;
+      const tool = this._tools.get(name);
+      
+      // Unknown tools are a protocol error, not a tool execution error
+      if (!tool) {
+        throw new InvalidParams(`Unknown tool: ${name}`);
+      }
+      
+      // Validate arguments against the advertised inputSchema
+      // so handlers only ever see valid input
+      const toolArgs = args || {};
+      if (tool.definition.inputSchema) {
+        const errors = validateSchema(tool.definition.inputSchema, toolArgs);
+        if (errors.length > 0) {
+          throw new InvalidParams('Invalid params', { tool: name, errors });
+        }
+      }
+      
+      this._checkToolLimits(name, context);
+      
+      context.session.activeToolCalls++;
+      try {
+        return await tool.handler(toolArgs, context);
+      } catch (error) {
+        // Tool failures are reported in the result so the model can see them;
+        // McpErrors and cancellations stay protocol errors
+        if (error instanceof McpError || context.signal.aborted) throw error;
+        this.logger.warning(`Tool ${name} failed: ${error.message}`);
+        return {
+          content: [{ type: 'text', text: error.message || 'Tool execution failed' }],
+          isError: true
+        };
+      } finally {
+        context.session.activeToolCalls--;
+      }
+    });
+  }
+
+  // Enforce the concurrent tools/call limit and the tool's daily quota
+  // Throws a rate limit error carrying data.retryAfter
+  _checkToolLimits(name, { session, principal }) {
+    const { maxConcurrentToolCalls } = this._limits;
+    if (maxConcurrentToolCalls && session.activeToolCalls >= maxConcurrentToolCalls) {
+      throw rateLimitError(`Too many concurrent tool calls (max ${maxConcurrentToolCalls})`, 1, {
+        limit: 'maxConcurrentToolCalls'
+      });
+    }
+    
+    // Quotas follow the authenticated user across sessions when there is one
+    const quota = this._toolQuotas.get(name);
+    const retryAfter = quota ? quota.consume(principal?.subject ?? session.id) : 0;
+    if (retryAfter > 0) {
+      throw rateLimitError(`Daily quota exceeded for tool ${name} (${quota.limit} calls)`, retryAfter, {
+        limit: 'toolQuota',
+        tool: name
+      });
+    }
+  }
+
+  // Current state of the rate limiters, e.g. for a transport's /status endpoint
+  getLimiterStatus() {
+    const { requestsPerSecond = null, burst = requestsPerSecond, maxConcurrentToolCalls = null } = this._limits;
+    
+    const sessions = {};
+    for (const session of this.sessions) {
+      sessions[session.id] = {
+        activeToolCalls: session.activeToolCalls,
+        requestTokens: session.requestBucket ? Math.floor(session.requestBucket.tokens) : burst
+      };
+    }
+    
+    return {
+      requestsPerSecond,
+      burst,
+      maxConcurrentToolCalls,
+      toolQuotas: Object.fromEntries([...this._toolQuotas].map(([name, quota]) => [name, quota.status()])),
+      sessions
+    };
+  }
+
+  // Limiter state as aggregate counts, without session IDs or principals
+  // Status endpoints are unauthenticated, and a session ID is enough to take over its stream
+  getStatusSummary() {
+    const { toolQuotas, sessions, ...limits } = this.getLimiterStatus();
+    const sessionStates = Object.values(sessions);
+    
+    return {
+      ...limits,
+      activeToolCalls: sessionStates.reduce((total, session) => total + session.activeToolCalls, 0),
+      throttledSessions: sessionStates.filter(session => session.requestTokens !== null && session.requestTokens < 1).length,
+      toolQuotas: Object.fromEntries(Object.entries(toolQuotas).map(([name, { limit, used, resetsAt }]) => [name, {
+        limit,
+        callers: Object.keys(used).length,
+        exhausted: Object.values(used).filter(count => count >= limit).length,
+        resetsAt
+      }]))
+    };
+  }
+
+  // Register a static resource with its definition (uri, name, description, mimeType)
+  // The handler is called by resources/read with (uri, context) and returns its contents
+  registerResource(definition, handler) {
+    if (!definition || !definition.uri) {
+      throw new Error('Resource definition must have a uri');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for resource ${definition.uri} must be a function`);
+    }
+    if (this._resources.has(definition.uri)) {
+      throw new Error(`Resource ${definition.uri} is already registered`);
+    }
+    
+    this._enableResources();
+    this._resources.set(definition.uri, { definition, handler });
+    this._sendListChanged('resources');
+    return this;
+  }
+
+  // Register a resource template with its definition (uriTemplate, name, description, mimeType)
+  // The handler is called by resources/read with (uri, variables, context) for matching URIs
+  registerResourceTemplate(definition, handler) {
+    if (!definition || !definition.uriTemplate) {
+      throw new Error('Resource template definition must have a uriTemplate');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for resource template ${definition.uriTemplate} must be a function`);
+    }
+    if (this._resourceTemplates.has(definition.uriTemplate)) {
+      throw new Error(`Resource template ${definition.uriTemplate} is already registered`);
+    }
+    
+    this._enableResources();
+    this._resourceTemplates.set(definition.uriTemplate, {
+      definition,
+      handler,
+      template: new UriTemplate(definition.uriTemplate)
+    });
+    this._sendListChanged('resources');
+    return this;
+  }
+
+  // Remove a previously registered resource
+  // Returns true if the resource existed
+  removeResource(uri) {
+    const removed = this._resources.delete(uri);
+    if (removed) {
+      this._sendListChanged('resources');
+    }
+    return removed;
+  }
+
+  // Remove a previously registered resource template
+  // Returns true if the template existed
+  removeResourceTemplate(uriTemplate) {
+    const removed = this._resourceTemplates.delete(uriTemplate);
+    if (removed) {
+      this._sendListChanged('resources');
+    }
+    return removed;
+  }
+
+  // Notify subscribed sessions that a resource has changed
+  // Clients re-read the resource with resources/read when they receive this
+  async notifyResourceUpdated(uri) {
+    for (const session of this.sessions) {
+      if (!session.subscriptions.has(uri)) continue;
+      
+      try {
+        await this.notification('notifications/resources/updated', { uri }, session.id);
+      } catch (error) {
+        // The session is gone - drop its subscription
+        this.logger.warning(`Failed to notify session ${session.id} about ${uri}:`, error.message);
+        session.subscriptions.delete(uri);
+      }
+    }
+  }
+
+  // Advertise the resources capability and register the resources/* handlers
+  _enableResources() {
+    if (this.requestHandlers.has('resources/list')) return;
+    
+    this.capabilities.resources = { subscribe: true, listChanged: true, ...this.capabilities.resources };
+    
+    this.setRequestHandler('resources/list', () => ({
+      resources: [...this._resources.values()].map(resource => resource.definition)
+    }));
+    
+    this.setRequestHandler('resources/templates/list', () => ({
+      resourceTemplates: [...this._resourceTemplates.values()].map(template => template.definition)
+    }));
+    
+    this.setRequestHandler('resources/read', async (params, context) => {
+      const { uri } = params;
+      if (typeof uri !== 'string') {
+        throw new InvalidParams('Invalid params: uri must be a string');
+      }
+      
+      return { contents: await this._readResource(uri, context) };
+    });
+    
+    this.setRequestHandler('resources/subscribe', (params, context) => {
+      const { uri } = params;
+      if (typeof uri !== 'string') {
+        throw new InvalidParams('Invalid params: uri must be a string');
+      }
+      
+      context.session.subscriptions.add(uri);
+      return {};
+    });
+    
+    this.setRequestHandler('resources/unsubscribe', (params, context) => {
+      context.session.subscriptions.delete(params.uri);
+      return {};
+    });
+  }
+
+  // Resolve a URI to its contents - static resources first, then templates in registration order
+  async _readResource(uri, context) {
+    const resource = this._resources.get(uri);
+    if (resource) {
+      const result = await resource.handler(uri, context);
+      return this._normalizeResourceContents(result, uri, resource.definition.mimeType);
+    }
+    
+    for (const { definition, handler, template } of this._resourceTemplates.values()) {
+      const variables = template.match(uri);
+      if (variables) {
+        const result = await handler(uri, variables, context);
+        return this._normalizeResourceContents(result, uri, definition.mimeType);
+      }
+    }
+    
+    throw new ResourceNotFound(`Resource not found: ${uri}`, { uri });
+  }
+
+  // Convert handler results into resource contents
+  // Handlers may return a string (text), a Buffer/Uint8Array (blob),
+  // a { text } or { blob } object, an array of those, or { contents: [...] }
+  _normalizeResourceContents(result, uri, mimeType) {
+    const items = Array.isArray(result?.contents) ? result.contents : [].concat(result);
+    
+    return items.map(item => {
+      if (typeof item === 'string') {
+        return { uri, mimeType: mimeType || 'text/plain', text: item };
+      }
+      if (item instanceof Uint8Array) {
+        return { uri, mimeType: mimeType || 'application/octet-stream', blob: Buffer.from(item).toString('base64') };
+      }
+      
+      const content = { uri, ...item };
+      if (mimeType && !content.mimeType) {
+        content.mimeType = mimeType;
+      }
+      if (content.blob instanceof Uint8Array) {
+        content.blob = Buffer.from(content.blob).toString('base64');
+      }
+      return content;
+    });
+  }
+
+  // Register a prompt template with its definition (name, description, arguments)
+  // The handler is called by prompts/get with (args, context) and returns the messages.
+  // Without a handler, definition.messages is rendered with {{argument}} placeholders filled in
+  registerPrompt(definition, handler) {
+    if (!definition || !definition.name) {
+      throw new Error('Prompt definition must have a name');
+    }
+    if (handler === undefined && Array.isArray(definition.messages)) {
+      handler = (args) => renderPromptMessages(definition.messages, args);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Prompt ${definition.name} needs a handler or a messages template`);
+    }
+    if (this._prompts.has(definition.name)) {
+      throw new Error(`Prompt ${definition.name} is already registered`);
+    }
+    
+    if (this._prompts.size === 0) {
+      this._enablePrompts();
+    }
+    
+    // The messages template is an implementation detail, not part of prompts/list
+    const { messages, ...publicDefinition } = definition;
+    this._prompts.set(definition.name, { definition: publicDefinition, handler });
+    this._sendListChanged('prompts');
+    return this;
+  }
+
+  // Remove a previously registered prompt
+  // Returns true if the prompt existed
+  removePrompt(name) {
+    const removed = this._prompts.delete(name);
+    if (removed) {
+      this._sendListChanged('prompts');
+    }
+    return removed;
+  }
+
+  // Advertise the prompts capability and serve prompts/list and prompts/get from the registry
+  _enablePrompts() {
+    this.capabilities.prompts = { listChanged: true, ...this.capabilities.prompts };
+    
+    this.setRequestHandler('prompts/list', () => ({
+      prompts: [...this._prompts.values()].map(prompt => prompt.definition)
+    }));
+    
+    this.setRequestHandler('prompts/get', async (params, context) => {
+      const { name, arguments: args = {} } = params;
+      const prompt = this._prompts.get(name);
+      
+      if (!prompt) {
+        throw new InvalidParams(`Unknown prompt: ${name}`);
+      }
+      
+      // Check declared required arguments
+      const missing = (prompt.definition.arguments || [])
+        .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+        .map(arg => arg.name);
+      if (missing.length > 0) {
+        throw new InvalidParams(`Missing required arguments: ${missing.join(', ')}`, { prompt: name, missing });
+      }
+      
+      const result = await prompt.handler(args, context);
+      const messages = Array.isArray(result) ? result : result.messages;
+      
+      return {
+        description: result.description || prompt.definition.description,
+        messages: await this._resolvePromptMessages(messages, context)
+      };
+    });
+  }
+
+  // Fill in embedded resources that only name a URI by reading them from the resource registry
+  // e.g. { type: 'resource', resource: { uri: 'docs://calculator' } }
+  async _resolvePromptMessages(messages, context) {
+    const resolved = [];
+    
+    for (const message of messages) {
+      const { content } = message;
+      if (content?.type !== 'resource' || 'text' in content.resource || 'blob' in content.resource) {
+        resolved.push(message);
+        continue;
+      }
+      
+      const contents = await this._readResource(content.resource.uri, context);
+      for (const resource of contents) {
+        resolved.push({ ...message, content: { type: 'resource', resource } });
+      }
+    }
+    
+    return resolved;
+  }
+
+  // Notify clients that a list of tools/resources/prompts has changed
+  // Only sent once connected; clients fetch the initial list themselves
+  _sendListChanged(kind) {
+    if (!this.transport) return;
+    
+    this.notification(`notifications/${kind}/list_changed`)
+      .catch(error => this.logger.warning(`Failed to send ${kind} list_changed notification:`, error));
+  }
+
   // Send a request to the client
   // Used for features like sampling where server needs client input
-  async request(method, params = {}) {
+  // Options: sessionId (target client, may be omitted when there is a single session),
+  // timeout in ms (default 60s), signal (AbortSignal to cancel)
+  async request(method, params = {}, options = {}) {
     if (!this.transport) {
       throw new Error('Not connected');
     }
     
+    const { sessionId, timeout: timeoutMs = 60000, signal } = options;
+    signal?.throwIfAborted();
+    
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(sessionId === undefined ? 'No single session to send the request to, pass a sessionId' : `Session ${sessionId} not found`);
+    }
+    
     // Create unique ID for this request
     const id = this.requestId++;
     const request = {
@@ -127,30 +822,87 @@ class McpServer {
     };
     
     return new Promise((resolve, reject) => {
+      let sent = false;
+      
+      // Stop waiting and tell the client to stop working on the request
+      const cancel = (reason) => {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+        session.pendingRequests.delete(id);
+        if (sent) {
+          this.notification('notifications/cancelled', { requestId: id, reason: reason.message }, session.id)
+            .catch(error => this.logger.warning(`Failed to cancel request ${id}:`, error));
+        }
+        reject(reason);
+      };
+      const onAbort = () => cancel(signal.reason instanceof Error ? signal.reason : new Error('Request cancelled'));
+      
       // Set up timeout as required by spec (60s is common)
-      const timeout = setTimeout(() => {
-        this._responseHandlers.delete(id);
-        reject(new Error('Request timed out'));
-      }, 60000);
+      const timeout = setTimeout(() => cancel(new Error('Request timed out')), timeoutMs);
+      signal?.addEventListener('abort', onAbort, { once: true });
       
       // Store handler to be called when response arrives
-      this._responseHandlers.set(id, (response) => {
+      session.pendingRequests.set(id, (response) => {
         clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
         if ('error' in response) {
-          reject(new Error(`Error ${response.error.code}: ${response.error.message}`));
+          reject(McpError.fromJSON(response.error));
         } else {
           resolve(response.result);
         }
       });
       
-      // Send the request
-      this.transport.send(request).catch(reject);
+      // Send the request once the client completed the handshake - only pings may go out before
+      // The timeout and signal also cover the wait
+      const ready = method === 'ping' ? Promise.resolve() : session.whenReady();
+      ready.then(() => {
+        if (!session.pendingRequests.has(id)) return; // Cancelled while waiting
+        sent = true;
+        return this._send(session, request);
+      }).catch(error => {
+        if (!session.pendingRequests.has(id)) return; // Already settled (e.g. the session closed)
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+        session.pendingRequests.delete(id);
+        reject(error);
+      });
     });
   }
 
+  // Ask the client's LLM for a completion (sampling/createMessage)
+  // params: { messages, modelPreferences, systemPrompt, includeContext, temperature, maxTokens, stopSequences, metadata }
+  // options: same as request() - sessionId selects the client on multi-client transports
+  async createMessage(params, options = {}) {
+    const capabilities = this.getClientCapabilities(options.sessionId);
+    if (!capabilities?.sampling) {
+      throw new Error('Client does not support sampling (no sampling capability)');
+    }
+    
+    const paramErrors = validateSchema(CREATE_MESSAGE_PARAMS_SCHEMA, params || {});
+    if (paramErrors.length > 0) {
+      throw new Error(`Invalid sampling request: ${formatSchemaErrors(paramErrors)}`);
+    }
+    
+    const result = await this.request('sampling/createMessage', params, options);
+    
+    const resultErrors = validateSchema(CREATE_MESSAGE_RESULT_SCHEMA, result);
+    const content = result?.content;
+    if (content?.type === 'text' && typeof content.text !== 'string') {
+      resultErrors.push({ pointer: '/content/text', message: 'is required' });
+    } else if ((content?.type === 'image' || content?.type === 'audio') && (typeof content.data !== 'string' || typeof content.mimeType !== 'string')) {
+      resultErrors.push({ pointer: '/content', message: `${content.type} content requires data and mimeType` });
+    }
+    if (resultErrors.length > 0) {
+      throw new Error(`Invalid sampling result: ${formatSchemaErrors(resultErrors)}`);
+    }
+    
+    return result;
+  }
+
   // Send a notification to the client
   // Used for events that don't require responses (e.g., resource updates)
-  async notification(method, params = {}) {
+  // The session ID targets a single client; without one the notification goes to every session
+  async notification(method, params = {}, sessionId) {
     if (!this.transport) {
       throw new Error('Not connected');
     }
@@ -161,93 +913,331 @@ class McpServer {
       params
     };
     
-    await this.transport.send(notification);
+    // Clients that have not started the handshake don't get broadcasts yet
+    if (sessionId === undefined) {
+      const sessions = this.sessions.filter(session => session.state !== 'uninitialized');
+      await Promise.all(sessions.map(session => this._send(session, notification)));
+      return;
+    }
+    
+    const session = this._sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    await this._send(session, notification);
   }
 
-  // Handle incoming requests from the client
-  async _handleRequest(request) {
+  // Handle incoming requests from the client and send the response
+  async _handleRequest(request, session) {
+    const response = await this._processRequest(request, session);
+    if (response) {
+      await this._send(session, response);
+    }
+  }
+
+  // Run a request through the middleware pipeline and build its response
+  // Returns null when no response must be sent (cancelled requests)
+  async _processRequest(request, session) {
     const { id, method, params } = request;
-    const sessionId = request._sessionId; // Extract the session ID for debugging
-    console.error(`_handleRequest: method=${method}, id=${id}, sessionId=${sessionId}`);
+    const sessionId = session.id;
+    this.logger.debug(`_processRequest: method=${method}, id=${id}, sessionId=${sessionId}`);
+    
+    // Track the request so the client can cancel it
+    const controller = new AbortController();
+    session.inFlightRequests.set(id, controller);
+    
+    // Requests carrying a progress token get a reportProgress function
+    const progressToken = params?._meta?.progressToken;
+    const progress = progressToken !== undefined
+      ? this._createProgressReporter(progressToken, sessionId, controller.signal)
+      : null;
+    
+    // What middleware sees - method and params may be rewritten before next()
+    // The state object is free for middleware to share data along the pipeline
+    const ctx = {
+      type: 'request',
+      id,
+      method,
+      params: params || {},
+      session,
+      sessionId,
+      principal: session.principal,
+      signal: controller.signal,
+      state: {}
+    };
+    
+    try {
+      const result = await compose(this._requestMiddleware)(ctx, () => this._dispatchRequest(ctx, progress));
+      
+      // Deliver the last progress update before the response - none may follow it
+      progress?.finish();
+      
+      // The client no longer expects a response to a cancelled request
+      if (controller.signal.aborted) {
+        this.logger.debug(`Request ${id} was cancelled, not sending response`);
+        return null;
+      }
+      
+      return { jsonrpc: JSONRPC_VERSION, id, result };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this.logger.debug(`Request ${id} was cancelled, not sending error`);
+        return null;
+      }
+      
+      // Handle errors during execution
+      // McpErrors (InvalidParams, ResourceNotFound, ...) are sent with their code and data as-is;
+      // anything else is a server bug worth an error log and becomes an Internal error
+      if (error instanceof McpError) {
+        this.logger.debug(`Request ${method} failed with ${error.code}: ${error.message}`);
+        return this._errorResponse(id, error.code, error.message, error.data);
+      }
+      this.logger.error(`Error handling request ${method}:`, error);
+      return this._errorResponse(id, ErrorCode.InternalError, error.message || 'Internal error');
+    } finally {
+      progress?.stop();
+      session.inFlightRequests.delete(id);
+    }
+  }
+
+  // The end of the request pipeline: lifecycle and rate limit checks, then the method's handler
+  // Failures are thrown as McpErrors so middleware sees them like handler errors
+  async _dispatchRequest(ctx, progress) {
+    const { method, params, session, sessionId, signal } = ctx;
+    
+    // Enforce the connection lifecycle - only ping may come before initialize,
+    // and initialize only once per session
+    const lifecycleError = this._checkLifecycle(method, session);
+    if (lifecycleError) {
+      throw new InvalidRequest(lifecycleError, { state: session.state });
+    }
+    
+    // Per-session request rate - the handshake and pings are never limited
+    if (this._limits.requestsPerSecond && method !== 'initialize' && method !== 'ping') {
+      session.requestBucket ??= new TokenBucket(this._limits.requestsPerSecond, this._limits.burst);
+      const retryAfter = session.requestBucket.take();
+      if (retryAfter > 0) {
+        throw rateLimitError('Rate limit exceeded: too many requests', retryAfter, { limit: 'requestsPerSecond' });
+      }
+    }
     
     const handler = this.requestHandlers.get(method);
     
     // Method not found - required by JSON-RPC spec
     if (!handler) {
-      return this._sendError(id, -32601, `Method not found: ${method}`, null, sessionId);
+      throw new MethodNotFound(`Method not found: ${method}`);
     }
     
+    // The context tells handlers which session the request came from,
+    // and its signal is aborted when the client cancels the request
+    return handler(params, {
+      sessionId,
+      session,
+      principal: ctx.principal,
+      signal,
+      reportProgress: progress ? progress.report : () => {},
+      logger: this.logger.child({ sessionId }),
+      // Ask the calling client's LLM for help; cancelled along with this request
+      createMessage: (samplingParams, options = {}) => this.createMessage(samplingParams, {
+        signal,
+        ...options,
+        sessionId
+      })
+    });
+  }
+
+  // Check that a request is allowed in the session's lifecycle state
+  // Returns an error message, or null when the request may proceed
+  _checkLifecycle(method, session) {
+    if (method === 'ping') return null;
+    
+    if (method === 'initialize') {
+      return session.state === 'uninitialized' ? null : 'Invalid Request: Session already initialized';
+    }
+    
+    // The client may send requests once the server answered initialize
+    if (session.state === 'initializing' || session.state === 'ready') return null;
+    return session.state === 'closed'
+      ? 'Invalid Request: Session closed'
+      : 'Invalid Request: Session not initialized, send initialize first';
+  }
+
+  // Build a progress reporter for a request carrying a progress token
+  // Updates are rate limited to one per options.progressInterval ms (default 100ms) so a
+  // tight loop cannot flood the transport - only the latest pending update is kept
+  _createProgressReporter(progressToken, sessionId, signal) {
+    const interval = this.options.progressInterval ?? 100;
+    let lastSentAt = 0;
+    let lastProgress = -Infinity;
+    let pending = null;
+    let timer = null;
+    let stopped = false;
+    
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      if (!pending || stopped || signal.aborted) return;
+      
+      const params = pending;
+      pending = null;
+      lastSentAt = Date.now();
+      this.notification('notifications/progress', params, sessionId)
+        .catch(error => this.logger.warning(`Failed to send progress for ${progressToken}:`, error));
+    };
+    
+    return {
+      // reportProgress(progress, total, message) - progress must increase with each call
+      report: (progress, total, message) => {
+        if (stopped || signal.aborted || progress <= lastProgress) return;
+        lastProgress = progress;
+        
+        pending = { progressToken, progress };
+        if (total !== undefined) pending.total = total;
+        if (message !== undefined) pending.message = message;
+        
+        const wait = lastSentAt + interval - Date.now();
+        if (wait <= 0) {
+          flush();
+        } else if (!timer) {
+          timer = setTimeout(flush, wait);
+        }
+      },
+      finish: () => {
+        flush();
+        stopped = true;
+      },
+      stop: () => {
+        clearTimeout(timer);
+        stopped = true;
+      }
+    };
+  }
+
+  // Deliver a log message: mirror it to stderr, and send notifications/message to the
+  // logger's session if it is bound to one. Server-wide messages (requests, errors with
+  // stack traces) stay on stderr - they may concern other clients
+  _emitLog(level, data, { name, sessionId, scoped }) {
+    if (isLevelEnabled(level, this._stderrLogLevel)) {
+      console.error(`[${level}]${name ? ` [${name}]` : ''}`, data);
+    }
+    if (!scoped) return;
+    
+    // Nothing is logged to a client before it sent initialize
+    const session = this._sessions.get(sessionId);
+    if (!session || session.state === 'uninitialized') return;
+    if (!isLevelEnabled(level, session.logLevel || this._defaultLogLevel)) return;
+    
+    const params = { level, data };
+    if (name) params.logger = name;
+    
+    // Failures only go to stderr - logging them would send another log message
+    this._send(session, { jsonrpc: JSONRPC_VERSION, method: 'notifications/message', params })
+      .catch(error => console.error(`Failed to send log message to session ${session.id}:`, error.message));
+  }
+
+  // Run an incoming notification through the notification middleware (no response required)
+  // Failures are only logged - there is nobody to report them to
+  async _handleNotification(notification, session) {
+    const ctx = {
+      type: 'notification',
+      method: notification.method,
+      params: notification.params || {},
+      session,
+      sessionId: session.id,
+      principal: session.principal,
+      state: {}
+    };
+    
     try {
-      // Execute handler and send successful result
-      const result = await handler(params || {});
-      await this._sendResponse(id, result, sessionId);
-      return result;
+      await compose(this._notificationMiddleware)(ctx, () => this._dispatchNotification(ctx));
     } catch (error) {
-      // Handle errors during execution
-      console.error(`Error handling request ${method}:`, error);
-      await this._sendError(id, -32603, error.message || 'Internal error', null, sessionId);
-      throw error; // Re-throw to allow custom error handling
+      this.logger.error(`Error handling notification ${ctx.method}:`, error);
     }
   }
 
-  // Handle incoming notifications (no response required)
-  async _handleNotification(notification) {
-    const { method } = notification;
-    
-    // Special handling for initialization completion
+  // The end of the notification pipeline: the server's own handling
+  async _dispatchNotification({ method, params, session }) {
+    // The client completed the handshake - the session is ready for normal operation
     if (method === 'notifications/initialized') {
-      console.error('Initialization completed');
+      if (session.state !== 'initializing') {
+        this.logger.warning(`Ignoring notifications/initialized for session ${session.id} in state ${session.state}`);
+        return;
+      }
+      
+      session.markReady();
+      this.logger.debug(`Session ${session.id} initialized`);
+      await this._runHook('oninitialized', session);
+      return;
+    }
+    
+    // Client cancelled one of its in-flight requests
+    if (method === 'notifications/cancelled') {
+      const { requestId, reason } = params;
+      const controller = session.inFlightRequests.get(requestId);
+      if (controller) {
+        this.logger.debug(`Cancelling request ${requestId}: ${reason || 'no reason given'}`);
+        controller.abort(new Error(reason || 'Request cancelled'));
+      }
+      return;
+    }
+    
+    // Nothing but the handshake is expected before initialize
+    if (session.state === 'uninitialized') {
+      this.logger.debug(`Ignoring ${method} before initialize`);
       return;
     }
     
     // Log other notifications for debugging
-    console.error(`Received notification: ${method}`);
+    this.logger.debug(`Received notification: ${method}`);
   }
 
   // Handle responses to our outgoing requests
-  _handleResponse(response) {
-    const handler = this._responseHandlers.get(response.id);
+  // Only the session a request was sent to can answer it
+  _handleResponse(response, session) {
+    const handler = session.pendingRequests.get(response.id);
     if (handler) {
-      this._responseHandlers.delete(response.id);
+      session.pendingRequests.delete(response.id);
       handler(response);
     }
   }
 
-  // Send a successful response
-  async _sendResponse(id, result, sessionId) {
-    console.error(`_sendResponse: id=${id}, sessionId=${sessionId}`);
-    // If a session ID is provided, it can be used by transport implementations
-    // that support routing responses to specific clients
-    await this.transport.send({
+  // Build an error response following JSON-RPC error codes
+  _errorResponse(id, code, message, data) {
+    const error = { code, message };
+    if (data !== undefined && data !== null) {
+      error.data = data;
+    }
+    
+    return {
       jsonrpc: JSONRPC_VERSION,
       id,
-      result
-    }, sessionId);
+      error
+    };
   }
 
   // Send an error response following JSON-RPC error codes
-  async _sendError(id, code, message, data, sessionId) {
-    console.error(`_sendError: id=${id}, code=${code}, sessionId=${sessionId}`);
-    await this.transport.send({
-      jsonrpc: JSONRPC_VERSION,
-      id,
-      error: { code, message, data }
-    }, sessionId);
+  async _sendError(id, code, message, data, session) {
+    this.logger.debug(`_sendError: id=${id}, code=${code}, sessionId=${session.id}`);
+    await this._send(session, this._errorResponse(id, code, message, data));
   }
 
   // Handle initialization request from client
   // This is where capability negotiation happens
-  async _handleInitialize(params) {
-    // Store client information for future use
-    this._clientCapabilities = params.capabilities;
-    this._clientVersion = params.clientInfo;
-    
+  async _handleInitialize(params, { session }) {
     // Negotiate protocol version
     const requestedVersion = params.protocolVersion;
     const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
       ? requestedVersion
       : LATEST_PROTOCOL_VERSION;
     
+    // Store client information on its session for future use
+    session.protocolVersion = protocolVersion;
+    session.clientCapabilities = params.capabilities || {};
+    session.clientInfo = params.clientInfo || null;
+    
+    // Wait for the client's notifications/initialized before normal operation
+    session.markInitializing();
+    
     return {
       serverInfo: this.serverInfo,
       protocolVersion,
@@ -256,15 +1246,113 @@ class McpServer {
     };
   }
 
-  // Access client capabilities (useful for conditional features)
-  getClientCapabilities() {
-    return this._clientCapabilities;
+  // Access a client's capabilities (useful for conditional features)
+  // The session ID may be omitted when there is a single session
+  getClientCapabilities(sessionId) {
+    return this.getSession(sessionId)?.clientCapabilities ?? null;
+  }
+
+  // Access a client's name and version information
+  getClientVersion(sessionId) {
+    return this.getSession(sessionId)?.clientInfo ?? null;
+  }
+
+  // Access the protocol version negotiated with a client
+  getProtocolVersion(sessionId) {
+    return this.getSession(sessionId)?.protocolVersion ?? null;
+  }
+}
+
+// Content a sampling message can carry - text, or base64 image/audio data
+const SAMPLING_CONTENT_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: ['text', 'image', 'audio'] },
+    text: { type: 'string' },
+    data: { type: 'string' },
+    mimeType: { type: 'string' }
   }
+};
 
-  // Access client version information
-  getClientVersion() {
-    return this._clientVersion;
+// Shape of sampling/createMessage params sent to the client
+const CREATE_MESSAGE_PARAMS_SCHEMA = {
+  type: 'object',
+  required: ['messages', 'maxTokens'],
+  properties: {
+    messages: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['role', 'content'],
+        properties: {
+          role: { type: 'string', enum: ['user', 'assistant'] },
+          content: SAMPLING_CONTENT_SCHEMA
+        }
+      }
+    },
+    modelPreferences: { type: 'object' },
+    systemPrompt: { type: 'string' },
+    includeContext: { type: 'string', enum: ['none', 'thisServer', 'allServers'] },
+    temperature: { type: 'number' },
+    maxTokens: { type: 'integer', minimum: 1 },
+    stopSequences: { type: 'array', items: { type: 'string' } },
+    metadata: { type: 'object' }
   }
+};
+
+// Shape of the sampling/createMessage result returned by the client
+const CREATE_MESSAGE_RESULT_SCHEMA = {
+  type: 'object',
+  required: ['role', 'content', 'model'],
+  properties: {
+    role: { type: 'string', enum: ['user', 'assistant'] },
+    content: SAMPLING_CONTENT_SCHEMA,
+    model: { type: 'string' },
+    stopReason: { type: 'string' }
+  }
+};
+
+function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.pointer || '/'} ${error.message}`).join('; ');
+}
+
+// Check the shape every JSON-RPC 2.0 message shares
+function isJsonRpcMessage(message) {
+  return message !== null
+    && typeof message === 'object'
+    && !Array.isArray(message)
+    && message.jsonrpc === JSONRPC_VERSION;
+}
+
+// Request IDs must be strings or integers
+function isValidRequestId(id) {
+  return typeof id === 'string' || Number.isInteger(id);
+}
+
+function checkMiddleware(middleware) {
+  if (typeof middleware !== 'function') {
+    throw new Error('Middleware must be a function (ctx, next)');
+  }
+  return middleware;
+}
+
+// Render a messages template by replacing {{argument}} placeholders
+// in text content and embedded resource URIs
+function renderPromptMessages(messages, args) {
+  const fill = (str) => str.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (_, name) => args[name] ?? '');
+  
+  return messages.map(message => {
+    const { content } = message;
+    if (content.type === 'text') {
+      return { ...message, content: { ...content, text: fill(content.text) } };
+    }
+    if (content.type === 'resource' && content.resource.uri) {
+      return { ...message, content: { ...content, resource: { ...content.resource, uri: fill(content.resource.uri) } } };
+    }
+    return message;
+  });
 }
 
 export { McpServer, JSONRPC_VERSION, LATEST_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS }; 
@@ -0,0 +1,284 @@
+/**
+ * Metrics in the Prometheus text exposition format
+ * See: https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * MetricsRegistry holds counters, gauges and histograms and renders them as text.
+ * McpMetrics is a registry with the metrics of an MCP deployment:
+ *
+ * - McpServer (options.metrics) counts and times requests by method and tool,
+ *   counts error responses by JSON-RPC code and tracks requests in flight
+ * - HttpSseTransport adds active SSE sessions, bytes written and keepalive failures,
+ *   and serves everything on GET /metrics
+ *
+ * Stdio servers have no HTTP endpoint - they can write the same text with dumpTo().
+ */
+
+// Prometheus' default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Label value for methods and tools the server does not know - keeps label sets bounded
+const UNKNOWN = 'unknown';
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+
+    // Label values joined into a key => value (or histogram state)
+    this._values = new Map();
+  }
+
+  _key(labels) {
+    return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  _labels(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+  }
+
+  // Lines of the text format for this metric
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    // A metric without labels is reported as 0 before anything happened
+    if (this._values.size === 0 && this.labelNames.length === 0) {
+      lines.push(...this._renderValue(this.name, {}, this._initialValue()));
+    }
+    for (const [key, value] of this._values) {
+      lines.push(...this._renderValue(this.name, this._labels(key), value));
+    }
+    return lines;
+  }
+
+  _initialValue() {
+    return 0;
+  }
+
+  _renderValue(name, labels, value) {
+    return [`${name}${formatLabels(labels)} ${formatNumber(value)}`];
+  }
+
+  reset() {
+    this._values.clear();
+  }
+}
+
+// A value that only goes up, e.g. requests handled
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    const key = this._key(labels);
+    this._values.set(key, (this._values.get(key) ?? 0) + value);
+  }
+
+  get(labels = {}) {
+    return this._values.get(this._key(labels)) ?? 0;
+  }
+}
+
+// A value that goes up and down, e.g. requests in flight
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this._values.set(this._key(labels), value);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this._values.set(key, (this._values.get(key) ?? 0) + value);
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  get(labels = {}) {
+    return this._values.get(this._key(labels)) ?? 0;
+  }
+}
+
+// Observations counted into cumulative buckets, e.g. request latency
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this._key(labels);
+    let state = this._values.get(key);
+    if (!state) {
+      state = this._initialValue();
+      this._values.set(key, state);
+    }
+
+    state.count++;
+    state.sum += value;
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) state.counts[index]++;
+  }
+
+  // { count, sum } of the observations with these labels
+  get(labels = {}) {
+    const { count, sum } = this._values.get(this._key(labels)) ?? this._initialValue();
+    return { count, sum };
+  }
+
+  _initialValue() {
+    return { count: 0, sum: 0, counts: this.buckets.map(() => 0) };
+  }
+
+  _renderValue(name, labels, { count, sum, counts }) {
+    const lines = [];
+    let cumulative = 0;
+    this.buckets.forEach((bound, index) => {
+      cumulative += counts[index];
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${cumulative}`);
+    });
+    lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${name}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+    lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this._metrics = new Map();
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  getMetric(name) {
+    return this._metrics.get(name);
+  }
+
+  // Every metric in the Prometheus text format
+  render() {
+    return [...this._metrics.values()].map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+
+  // Write the rendered metrics when the process gets a signal and/or when it exits
+  // Returns a function that removes the handlers again
+  dumpTo(write = (text) => process.stderr.write(text), { signal = 'SIGUSR2', exit = true } = {}) {
+    const dump = () => write(this.render());
+    if (signal) process.on(signal, dump);
+    if (exit) process.on('exit', dump);
+
+    return () => {
+      if (signal) process.off(signal, dump);
+      if (exit) process.off('exit', dump);
+    };
+  }
+
+  _register(metric) {
+    if (this._metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this._metrics.set(metric.name, metric);
+    return metric;
+  }
+}
+
+class McpMetrics extends MetricsRegistry {
+  // options: buckets (request duration histogram buckets in seconds)
+  constructor(options = {}) {
+    super();
+
+    // McpServer
+    this.requests = this.counter('mcp_requests_total', 'MCP requests handled, by method and tool', ['method', 'tool']);
+    this.requestDuration = this.histogram(
+      'mcp_request_duration_seconds',
+      'Time to handle MCP requests, by method and tool',
+      ['method', 'tool'],
+      options.buckets
+    );
+    this.errors = this.counter('mcp_errors_total', 'JSON-RPC error responses sent, by error code', ['code']);
+    this.toolErrors = this.counter('mcp_tool_errors_total', 'tools/call results with isError set, by tool', ['tool']);
+    this.requestsInFlight = this.gauge('mcp_requests_in_flight', 'MCP requests being handled');
+
+    // HttpSseTransport
+    this.sseSessions = this.gauge('mcp_sse_sessions_active', 'SSE sessions with an open event stream');
+    this.sseBytesWritten = this.counter('mcp_sse_bytes_written_total', 'Bytes written to SSE event streams');
+    this.sseKeepaliveFailures = this.counter('mcp_sse_keepalive_failures_total', 'SSE keepalive comments that could not be written');
+  }
+
+  // Request middleware counting and timing every request
+  // isKnownMethod(method) and isKnownTool(name) keep labels bounded: anything else is "unknown"
+  requestMiddleware({ isKnownMethod = () => true, isKnownTool = () => true } = {}) {
+    return async (ctx, next) => {
+      const method = isKnownMethod(ctx.method) ? ctx.method : UNKNOWN;
+      const toolName = ctx.method === 'tools/call' ? ctx.params?.name : undefined;
+      const labels = { method, tool: toolName === undefined ? '' : (isKnownTool(toolName) ? toolName : UNKNOWN) };
+
+      const startedAt = process.hrtime.bigint();
+      this.requests.inc(labels);
+      this.requestsInFlight.inc();
+      try {
+        const result = await next();
+        if (labels.tool && result?.isError) {
+          this.toolErrors.inc({ tool: labels.tool });
+        }
+        return result;
+      } finally {
+        this.requestsInFlight.dec();
+        this.requestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      }
+    };
+  }
+
+  // Outgoing middleware counting error responses, including those inside batches
+  outgoingMiddleware() {
+    return async (ctx, next) => {
+      for (const message of [].concat(ctx.message)) {
+        if (message?.error && 'id' in message) {
+          this.errors.inc({ code: message.error.code });
+        }
+      }
+      await next();
+    };
+  }
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== '');
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+export { MetricsRegistry, McpMetrics, Counter, Gauge, Histogram };
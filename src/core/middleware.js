@@ -0,0 +1,44 @@
+/**
+ * Middleware pipelines for McpServer
+ *
+ * A middleware is an async function (ctx, next) => result. It runs code before
+ * and after the rest of the pipeline by awaiting next(), which resolves with the
+ * result of the next middleware (or of the server's own handling at the end):
+ *
+ *   server.use(async (ctx, next) => {
+ *     const startedAt = Date.now();
+ *     try {
+ *       return await next();
+ *     } finally {
+ *       console.error(`${ctx.method} took ${Date.now() - startedAt}ms`);
+ *     }
+ *   });
+ *
+ * Returning without calling next() short-circuits the rest of the pipeline,
+ * and errors thrown anywhere downstream reject next() so they can be caught.
+ */
+
+// Compose middlewares into one function (ctx, final) that runs them in order
+// and calls final(ctx) at the end of the chain
+function compose(middlewares) {
+  return function run(ctx, final) {
+    let lastIndex = -1;
+
+    const dispatch = async (index) => {
+      if (index <= lastIndex) {
+        throw new Error('next() called multiple times');
+      }
+      lastIndex = index;
+
+      const middleware = index < middlewares.length ? middlewares[index] : null;
+      if (!middleware) {
+        return final(ctx);
+      }
+      return middleware(ctx, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+  };
+}
+
+export { compose };
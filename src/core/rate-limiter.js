@@ -0,0 +1,107 @@
+/**
+ * Rate limiting primitives for McpServer and the HTTP transports
+ *
+ * - TokenBucket: smooth requests-per-second limits with a burst allowance
+ * - DailyQuota: counts uses per key, resetting at midnight UTC
+ *
+ * Both report how long a caller should wait (retryAfter, in whole seconds)
+ * so limited requests can be answered with a retry hint.
+ */
+
+import { RateLimited } from './errors.js';
+
+// Build the error thrown for a limited request
+// data.retryAfter tells the client how many seconds to wait before trying again
+function rateLimitError(message, retryAfter, data = {}) {
+  return new RateLimited(message, { retryAfter, ...data });
+}
+
+class TokenBucket {
+  // rate: tokens added per second, burst: bucket size (defaults to rate)
+  constructor(rate, burst = rate) {
+    if (!(rate > 0)) {
+      throw new Error('Token bucket rate must be a positive number');
+    }
+
+    this.rate = rate;
+    this.burst = Math.max(burst, 1);
+    this._tokens = this.burst;
+    this._updatedAt = Date.now();
+  }
+
+  // Tokens currently available
+  get tokens() {
+    this._refill();
+    return this._tokens;
+  }
+
+  // Take a token - returns 0 on success, or the seconds to wait for the next token
+  take() {
+    this._refill();
+    if (this._tokens >= 1) {
+      this._tokens -= 1;
+      return 0;
+    }
+    return Math.max(1, Math.ceil((1 - this._tokens) / this.rate));
+  }
+
+  _refill() {
+    const now = Date.now();
+    this._tokens = Math.min(this.burst, this._tokens + ((now - this._updatedAt) / 1000) * this.rate);
+    this._updatedAt = now;
+  }
+}
+
+class DailyQuota {
+  constructor(limit) {
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error('Daily quota must be a non-negative integer');
+    }
+
+    this.limit = limit;
+    this._day = currentDay();
+    this._usage = new Map(); // key => uses today
+  }
+
+  // Use one unit of the key's quota - returns 0 on success, or the seconds until the quota resets
+  consume(key) {
+    this._rollOver();
+    const used = this._usage.get(key) || 0;
+    if (used >= this.limit) {
+      return Math.max(1, Math.ceil((nextDayStart() - Date.now()) / 1000));
+    }
+    this._usage.set(key, used + 1);
+    return 0;
+  }
+
+  // { limit, used: { key: count }, resetsAt } for status reporting
+  status() {
+    this._rollOver();
+    return {
+      limit: this.limit,
+      used: Object.fromEntries(this._usage),
+      resetsAt: new Date(nextDayStart()).toISOString()
+    };
+  }
+
+  _rollOver() {
+    const day = currentDay();
+    if (day !== this._day) {
+      this._day = day;
+      this._usage.clear();
+    }
+  }
+}
+
+// Current UTC date as YYYY-MM-DD
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Timestamp of the next midnight UTC
+function nextDayStart() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+export { rateLimitError, TokenBucket, DailyQuota };
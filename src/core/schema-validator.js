@@ -0,0 +1,191 @@
+/**
+ * Minimal JSON Schema validator for tool arguments
+ *
+ * Tools advertise their arguments as JSON Schema (inputSchema). This validator
+ * covers the subset of JSON Schema that tool schemas use in practice:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * string/number/array bounds and pattern.
+ *
+ * See: https://json-schema.org/understanding-json-schema/
+ */
+
+// Compiled `pattern` regexes by the schema object they belong to
+const patterns = new WeakMap();
+
+// Validate a value against a schema
+// Returns a list of violations as { pointer, message }, empty when the value is valid
+export function validateSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, value, '', errors);
+  return errors;
+}
+
+// Compile every pattern in a schema ahead of validation
+// Throws if one is not a valid regular expression, so a broken schema fails when it is registered
+export function compileSchema(schema, pointer = '') {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.pattern !== undefined) {
+    try {
+      compilePattern(schema);
+    } catch (error) {
+      throw new Error(`Invalid pattern at ${pointer || '/'}: ${error.message}`);
+    }
+  }
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    compileSchema(property, `${pointer}/properties/${escapePointer(key)}`);
+  }
+  compileSchema(schema.items, `${pointer}/items`);
+  compileSchema(schema.additionalProperties, `${pointer}/additionalProperties`);
+}
+
+// The schema's pattern as a RegExp, compiled once
+// Unicode mode matches astral characters whole, but rejects identity escapes such as \- that
+// ECMA-262 patterns allow - those patterns are compiled without the flag
+function compilePattern(schema) {
+  let regex = patterns.get(schema);
+  if (!regex) {
+    try {
+      regex = new RegExp(schema.pattern, 'u');
+    } catch {
+      regex = new RegExp(schema.pattern);
+    }
+    patterns.set(schema, regex);
+  }
+  return regex;
+}
+
+// Escape a property name for use in a JSON pointer (RFC 6901)
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Resolve the JSON type name of a value
+// JSON Schema distinguishes integer, array and null from the JavaScript typeof
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Check a value against a single JSON Schema type name
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function validateNode(schema, value, pointer, errors) {
+  // true/undefined accept anything, false rejects everything
+  if (schema === undefined || schema === true) return;
+  if (schema === false) {
+    errors.push({ pointer, message: 'is not allowed' });
+    return;
+  }
+
+  // Type check - stop here on mismatch, other keywords would only add noise
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ pointer, message: `must be of type ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push({ pointer, message: `must be one of: ${schema.enum.map(o => JSON.stringify(o)).join(', ')}` });
+  }
+
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    errors.push({ pointer, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  switch (typeOf(value)) {
+    case 'string':
+      validateString(schema, value, pointer, errors);
+      break;
+    case 'number':
+      validateNumber(schema, value, pointer, errors);
+      break;
+    case 'array':
+      validateArray(schema, value, pointer, errors);
+      break;
+    case 'object':
+      validateObject(schema, value, pointer, errors);
+      break;
+  }
+}
+
+function validateString(schema, value, pointer, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ pointer, message: `must have at least ${schema.minLength} characters` });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ pointer, message: `must have at most ${schema.maxLength} characters` });
+  }
+  if (schema.pattern !== undefined && !compilePattern(schema).test(value)) {
+    errors.push({ pointer, message: `must match pattern ${schema.pattern}` });
+  }
+}
+
+function validateNumber(schema, value, pointer, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ pointer, message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ pointer, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push({ pointer, message: `must be > ${schema.exclusiveMinimum}` });
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    errors.push({ pointer, message: `must be < ${schema.exclusiveMaximum}` });
+  }
+}
+
+function validateArray(schema, value, pointer, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ pointer, message: `must have at least ${schema.minItems} items` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ pointer, message: `must have at most ${schema.maxItems} items` });
+  }
+  if (schema.items !== undefined) {
+    value.forEach((item, index) => {
+      validateNode(schema.items, item, `${pointer}/${index}`, errors);
+    });
+  }
+}
+
+function validateObject(schema, value, pointer, errors) {
+  const properties = schema.properties || {};
+
+  for (const key of schema.required || []) {
+    if (!Object.hasOwn(value, key)) {
+      errors.push({ pointer: `${pointer}/${escapePointer(key)}`, message: 'is required' });
+    }
+  }
+
+  for (const [key, propertyValue] of Object.entries(value)) {
+    const propertyPointer = `${pointer}/${escapePointer(key)}`;
+
+    if (Object.hasOwn(properties, key)) {
+      validateNode(properties[key], propertyValue, propertyPointer, errors);
+    } else if (schema.additionalProperties !== undefined) {
+      validateNode(schema.additionalProperties, propertyValue, propertyPointer, errors);
+    }
+  }
+}
+
+// Structural equality for enum/const comparisons
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
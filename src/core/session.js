@@ -0,0 +1,107 @@
+/**
+ * Per-client protocol state for McpServer
+ *
+ * A server can serve many clients at once (one per HTTP+SSE or Streamable HTTP
+ * session, or a single client over stdio). Everything negotiated with a client
+ * lives on its session so clients cannot overwrite each other's state.
+ *
+ * Each session follows the MCP connection lifecycle:
+ * See: https://spec.modelcontextprotocol.io/specification/2025-03-26/basic/lifecycle/
+ *
+ *   uninitialized --initialize--> initializing --notifications/initialized--> ready
+ *
+ * and ends up closed when its client disconnects, from whichever state it was in.
+ */
+import { randomUUID } from 'node:crypto';
+import { ErrorCode } from './errors.js';
+
+class McpSession {
+  // transportSessionId is the ID the transport routes by; stdio-style transports have none
+  constructor(transport, transportSessionId) {
+    this.id = transportSessionId ?? randomUUID();
+    this.transport = transport;
+    this.transportSessionId = transportSessionId;
+    this.createdAt = new Date();
+
+    // Lifecycle state - uninitialized, initializing, ready or closed
+    this.state = 'uninitialized';
+
+    // Settles when the client finishes the handshake (or the session closes first)
+    this._ready = new Promise((resolve, reject) => {
+      this._resolveReady = resolve;
+      this._rejectReady = reject;
+    });
+    this._ready.catch(() => {}); // Nobody may be waiting - don't report an unhandled rejection
+
+    // Authenticated identity from the transport's auth option (null when auth is off)
+    this.principal = null;
+
+    // Negotiated during initialize
+    this.protocolVersion = null;    // Protocol version agreed with the client
+    this.clientInfo = null;         // Client name and version
+    this.clientCapabilities = null; // Features supported by the client
+
+    // Minimum level of notifications/message sent to this client (null until logging/setLevel)
+    this.logLevel = null;
+
+    // Resource URIs this client subscribed to with resources/subscribe
+    this.subscriptions = new Set();
+
+    // Incoming requests being handled - request ID => AbortController
+    this.inFlightRequests = new Map();
+
+    // Outgoing requests awaiting a response - request ID => response handler
+    this.pendingRequests = new Map();
+
+    // Rate limiting - request token bucket (created on first use) and running tools/call count
+    this.requestBucket = null;
+    this.activeToolCalls = 0;
+  }
+
+  // Whether the client completed the initialization handshake
+  get isReady() {
+    return this.state === 'ready';
+  }
+
+  // Resolve once the client sent notifications/initialized
+  // Rejects if the session closes before that
+  whenReady() {
+    return this._ready;
+  }
+
+  // The server answered initialize - waiting for notifications/initialized
+  markInitializing() {
+    this.state = 'initializing';
+  }
+
+  // The client sent notifications/initialized - normal operation can start
+  markReady() {
+    this.state = 'ready';
+    this._resolveReady();
+  }
+
+  // Send a message to this client through its transport
+  async send(message) {
+    return this.transport.send(message, this.transportSessionId);
+  }
+
+  // Tear down the session: abort in-flight handlers and fail pending outgoing requests
+  close() {
+    this.state = 'closed';
+    this._rejectReady(new Error('Session closed'));
+
+    for (const controller of this.inFlightRequests.values()) {
+      controller.abort(new Error('Session closed'));
+    }
+    this.inFlightRequests.clear();
+
+    for (const handler of this.pendingRequests.values()) {
+      handler({ error: { code: ErrorCode.ConnectionClosed, message: 'Session closed' } });
+    }
+    this.pendingRequests.clear();
+
+    this.subscriptions.clear();
+  }
+}
+
+export { McpSession };
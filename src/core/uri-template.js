@@ -0,0 +1,215 @@
+/**
+ * URI Template support for resource templates
+ *
+ * Resource templates describe parameterized resources using RFC 6570 URI templates,
+ * e.g. "file:///{path}" or "db://users/{id}{?fields}".
+ * See: https://datatracker.ietf.org/doc/html/rfc6570
+ *
+ * The server needs both directions:
+ * - expand: fill in variables to build a URI
+ * - match: extract variables from a URI requested via resources/read
+ */
+
+// Expression operators and how their values are joined (RFC 6570 section 3.2)
+const OPERATORS = {
+  '':  { first: '',  separator: ',', named: false, reserved: false },
+  '+': { first: '',  separator: ',', named: false, reserved: true },
+  '#': { first: '#', separator: ',', named: false, reserved: true },
+  '.': { first: '.', separator: '.', named: false, reserved: false },
+  '/': { first: '/', separator: '/', named: false, reserved: false },
+  ';': { first: ';', separator: ';', named: true,  reserved: false },
+  '?': { first: '?', separator: '&', named: true,  reserved: false },
+  '&': { first: '&', separator: '&', named: true,  reserved: false }
+};
+
+class UriTemplate {
+  constructor(template) {
+    if (typeof template !== 'string') {
+      throw new Error('URI template must be a string');
+    }
+
+    this.template = template;
+    this._parts = this._parse(template);
+    this._regex = null;
+  }
+
+  // Split the template into literal strings and { operator, variables } expressions
+  _parse(template) {
+    const parts = [];
+    const expression = /\{([^}]*)\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = expression.exec(template)) !== null) {
+      if (match.index > lastIndex) {
+        parts.push(template.slice(lastIndex, match.index));
+      }
+
+      let body = match[1];
+      let operator = '';
+      if (body && body[0] in OPERATORS) {
+        operator = body[0];
+        body = body.slice(1);
+      }
+
+      const variables = body.split(',').filter(Boolean).map(spec => {
+        const [name, prefix] = spec.split(':');
+        const explode = name.endsWith('*');
+        return {
+          name: explode ? name.slice(0, -1) : name,
+          explode,
+          prefix: prefix ? parseInt(prefix, 10) : undefined
+        };
+      });
+
+      if (variables.length === 0) {
+        throw new Error(`Invalid URI template expression: ${match[0]}`);
+      }
+
+      parts.push({ operator, variables });
+      lastIndex = expression.lastIndex;
+    }
+
+    if (lastIndex < template.length) {
+      parts.push(template.slice(lastIndex));
+    }
+
+    return parts;
+  }
+
+  // Names of all variables used in the template
+  get variableNames() {
+    return this._parts
+      .filter(part => typeof part !== 'string')
+      .flatMap(part => part.variables.map(variable => variable.name));
+  }
+
+  // Build a URI from variable values
+  expand(variables = {}) {
+    return this._parts.map(part => {
+      if (typeof part === 'string') return part;
+
+      const op = OPERATORS[part.operator];
+      const values = [];
+
+      for (const variable of part.variables) {
+        const value = variables[variable.name];
+        if (value === undefined || value === null) continue;
+
+        const items = Array.isArray(value) ? value : [value];
+        const encoded = items.map(item => {
+          let str = String(item);
+          if (variable.prefix !== undefined) str = str.slice(0, variable.prefix);
+          return encodeValue(str, op.reserved);
+        });
+
+        if (variable.explode) {
+          values.push(...encoded.map(item => op.named ? `${variable.name}=${item}` : item));
+        } else if (op.named) {
+          values.push(`${variable.name}=${encoded.join(',')}`);
+        } else {
+          values.push(encoded.join(','));
+        }
+      }
+
+      return values.length > 0 ? op.first + values.join(op.separator) : '';
+    }).join('');
+  }
+
+  // Extract variable values from a URI
+  // Returns null when the URI does not match the template
+  match(uri) {
+    if (!this._regex) {
+      this._regex = this._buildRegex();
+    }
+
+    const match = this._regex.pattern.exec(uri);
+    if (!match) return null;
+
+    const variables = {};
+    try {
+      this._regex.captures.forEach((capture, index) => {
+        const raw = match[index + 1];
+        if (raw === undefined) return;
+
+        if (capture.query) {
+          // Query-style expressions are captured whole and parsed as name=value pairs
+          for (const pair of raw.split(capture.separator)) {
+            const [name, value = ''] = pair.split('=');
+            if (capture.names.includes(name)) {
+              variables[name] = decodeURIComponent(value);
+            }
+          }
+        } else if (capture.explode) {
+          variables[capture.name] = raw.split(capture.separator).map(decodeURIComponent);
+        } else {
+          variables[capture.name] = decodeURIComponent(raw);
+        }
+      });
+    } catch (error) {
+      // Malformed percent-encoding such as "%E0%A4%A" - no value could produce this URI
+      if (error instanceof URIError) return null;
+      throw error;
+    }
+
+    return variables;
+  }
+
+  _buildRegex() {
+    const captures = [];
+    let source = '^';
+
+    for (const part of this._parts) {
+      if (typeof part === 'string') {
+        source += escapeRegex(part);
+        continue;
+      }
+
+      const op = OPERATORS[part.operator];
+
+      if (op.named) {
+        // ;, ? and & expressions are optional and may list variables in any order
+        source += `(?:${escapeRegex(op.first)}([^#]*))?`;
+        captures.push({
+          query: true,
+          separator: op.separator,
+          names: part.variables.map(variable => variable.name)
+        });
+        continue;
+      }
+
+      // Reserved expansion may contain "/" and other reserved characters
+      const valueChars = op.reserved ? '[^?#]' : '[^/?#,.;&]';
+
+      part.variables.forEach((variable, index) => {
+        const prefix = index === 0 ? op.first : op.separator;
+        if (variable.explode) {
+          source += `${escapeRegex(prefix)}(${valueChars}*(?:${escapeRegex(op.separator)}${valueChars}*)*)`;
+        } else {
+          source += `${escapeRegex(prefix)}(${valueChars}+)`;
+        }
+        captures.push({ name: variable.name, explode: variable.explode, separator: op.separator });
+      });
+    }
+
+    return { pattern: new RegExp(source + '$'), captures };
+  }
+
+  toString() {
+    return this.template;
+  }
+}
+
+// Percent-encode a value, keeping reserved characters for "+" and "#" expansions
+function encodeValue(value, reserved) {
+  if (reserved) {
+    return encodeURI(value).replace(/%25([0-9A-Fa-f]{2})/g, '%$1');
+  }
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export { UriTemplate };
@@ -0,0 +1,103 @@
+/**
+ * Serve several MCP servers behind one endpoint with McpGateway
+ *
+ * Upstreams come from a config file in the mcpServers format used by MCP clients:
+ *   {
+ *     "mcpServers": {
+ *       "calc": { "command": "node", "args": ["src/examples/stdio-server.js"] },
+ *       "remote": { "url": "http://localhost:4000/sse", "headers": { "Authorization": "Bearer ..." } }
+ *     }
+ *   }
+ *
+ *   node src/examples/gateway-server.js --config gateway.json --port 5000
+ *   node src/examples/gateway-server.js --config gateway.json --transport stdio
+ *
+ * Without --config the example calculator server is mounted as "calc".
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { McpGateway } from '../gateway/index.js';
+import { HttpSseTransport, StdioTransport } from '../transports/index.js';
+
+// Get __dirname equivalent in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const argv = yargs(hideBin(process.argv))
+  .option('config', {
+    alias: 'c',
+    type: 'string',
+    description: 'JSON file listing the upstream servers under mcpServers'
+  })
+  .option('transport', {
+    type: 'string',
+    choices: ['sse', 'stdio'],
+    default: 'sse',
+    description: 'Serve the gateway over HTTP+SSE or stdio'
+  })
+  .option('port', {
+    alias: 'p',
+    type: 'number',
+    default: 5000,
+    description: 'Port to listen on (sse)'
+  })
+  .option('host', {
+    type: 'string',
+    default: 'localhost',
+    description: 'Host to bind to (sse)'
+  })
+  .option('separator', {
+    type: 'string',
+    default: '__',
+    description: 'Separator between upstream and tool names'
+  })
+  .help()
+  .argv;
+
+function loadUpstreams(configPath) {
+  if (!configPath) {
+    return [{ name: 'calc', command: process.execPath, args: [path.join(__dirname, 'stdio-server.js')] }];
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return Object.entries(config.mcpServers || {}).map(([name, server]) => ({ name, ...server }));
+}
+
+const gateway = new McpGateway(
+  {
+    name: 'mcp-gateway',
+    version: '0.1.0'
+  },
+  {
+    upstreams: loadUpstreams(argv.config),
+    separator: argv.separator,
+    instructions: 'Tools of several MCP servers. Tool and prompt names are prefixed with the server they belong to.'
+  }
+);
+
+const transport = argv.transport === 'stdio'
+  ? new StdioTransport()
+  : new HttpSseTransport({ port: argv.port, host: argv.host });
+
+console.error('Starting MCP gateway...');
+gateway.connect(transport)
+  .then(() => {
+    for (const upstream of gateway.upstreams) {
+      console.error(`  ${upstream.name}: ${upstream.status}${upstream.error ? ` (${upstream.error})` : ''}, ${upstream.tools} tools`);
+    }
+    console.error('Gateway ready!');
+  })
+  .catch((error) => {
+    console.error('Failed to start gateway:', error);
+    process.exit(1);
+  });
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.error('Shutting down...');
+  await gateway.close();
+  process.exit(0);
+});
@@ -3,265 +3,78 @@
  * 
  * This demonstrates how to connect to an MCP server using HTTP with Server-Sent Events,
  * where requests are sent via HTTP POST and responses are received via SSE.
+ * 
+ * The protocol work (handshake, request correlation, notifications and server
+ * requests) is done by McpClient; SseClientTransport follows the server's
+ * endpoint event to find where to POST messages.
  */
-import { randomUUID } from 'node:crypto';
-import { EventEmitter } from 'node:events';
-import fetch from 'node-fetch'; // You'll need to install this: npm install node-fetch
-import EventSource from 'eventsource'; // You'll need to install this: npm install eventsource
+import { McpClient, SseClientTransport } from '../client/index.js';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 
-class McpSseClient extends EventEmitter {
+class McpSseClient extends McpClient {
+  // options: serverUrl (the SSE endpoint), headers, reconnect (see SseClientTransport),
+  // clientInfo, capabilities, timeout
   constructor(options = {}) {
-    super();
-    
-    // Extract options
     const {
       serverUrl,
-      messagePath,
-      sessionId = `client-${randomUUID()}`
+      headers,
+      reconnect,
+      clientInfo = { name: 'mcp-sse-client', version: '0.1.0' },
+      ...clientOptions
     } = typeof options === 'string' ? { serverUrl: options } : options;
     
     if (!serverUrl) {
       throw new Error('Server URL is required');
     }
     
+    super(clientInfo, clientOptions);
+    
     this.serverUrl = serverUrl;
-    this.sessionId = sessionId;
-    this.messagePath = messagePath || this._deriveMessagePath(serverUrl);
-    this.eventSource = null;
+    this.headers = headers;
+    this.reconnect = reconnect;
     this.initialized = false;
-    this.nextId = 1;
-    this.pendingRequests = new Map();
-  }
-  
-  // Derive message path from SSE URL
-  _deriveMessagePath(sseUrl) {
-    try {
-      const url = new URL(sseUrl);
-      // If path is /mcp, use /message, otherwise derive from sseUrl
-      if (url.pathname === '/mcp') {
-        url.pathname = '/message';
-        return url.toString();
-      }
-      
-      // Replace last path component with 'message'
-      const parts = url.pathname.split('/');
-      if (parts.length > 1) {
-        parts[parts.length - 1] = 'message';
-        url.pathname = parts.join('/');
-      } else {
-        url.pathname = '/message';
-      }
-      return url.toString();
-    } catch (err) {
-      // Fallback to appending /message
-      return sseUrl.replace(/\/$/, '') + '/message';
-    }
   }
 
-  async connect() {
-    if (this.eventSource) {
-      throw new Error('Already connected');
-    }
-
-    // Connect to SSE endpoint
-    return new Promise((resolve, reject) => {
-      // Create SSE connection with session ID in header
-      this.eventSource = new EventSource(this.serverUrl, {
-        headers: {
-          'X-Session-ID': this.sessionId
-        }
-      });
-
-      // Handle connection events
-      this.eventSource.onopen = () => {
-        console.log('SSE connection established');
-        
-        // Initialize the MCP connection
-        this.initialize()
-          .then(() => {
-            console.log('MCP client initialized');
-            resolve();
-          })
-          .catch(err => {
-            console.error('Failed to initialize MCP connection:', err);
-            this.close();
-            reject(err);
-          });
-      };
-
-      // Handle SSE messages (JSON-RPC responses)
-      this.eventSource.onmessage = (event) => {
-        try {
-          const response = JSON.parse(event.data);
-          this._handleResponse(response);
-        } catch (err) {
-          console.error('Error parsing SSE message:', err);
-        }
-      };
-
-      // Handle SSE errors
-      this.eventSource.onerror = (err) => {
-        console.error('SSE connection error:', err);
-        this.emit('error', err);
-        
-        if (!this.initialized) {
-          reject(err);
-        }
-      };
-
-      // Set a connection timeout
-      const timeout = setTimeout(() => {
-        if (!this.initialized) {
-          const error = new Error('Connection timeout');
-          this.close();
-          reject(error);
-        }
-      }, 10000);
-
-      // Clear timeout once initialized
-      this.once('initialized', () => {
-        clearTimeout(timeout);
-      });
-    });
+  // Session ID assigned by the server in its endpoint event
+  get sessionId() {
+    return this.transport?.sessionId ?? null;
   }
 
-  async close() {
-    if (this.eventSource) {
-      this.eventSource.close();
-      this.eventSource = null;
-    }
-    
-    this.initialized = false;
-    
-    // Reject all pending requests
-    for (const [id, { reject }] of this.pendingRequests.entries()) {
-      reject(new Error('Connection closed'));
-      this.pendingRequests.delete(id);
-    }
-    
-    this.emit('close');
+  // Answer sampling/createMessage requests from the server with the given handler
+  // handler(params) returns { role, content, model, stopReason } - e.g. from a real or fake LLM.
+  // Must be set before connect() so the sampling capability is advertised
+  setSamplingHandler(handler) {
+    this.capabilities.sampling = {};
+    this.setRequestHandler('sampling/createMessage', handler);
   }
 
-  async initialize() {
-    // Send initialize request with proper format according to MCP spec
-    const result = await this.request('initialize', {
-      protocolVersion: '2024-11-05'
+  // Open the SSE connection, wait for the endpoint event and perform the initialize handshake
+  // Dropped connections are resumed automatically - 'reconnecting' and 'reconnect' events report it
+  async connect() {
+    const transport = new SseClientTransport({
+      url: this.serverUrl,
+      headers: this.headers,
+      reconnect: this.reconnect
     });
+    transport.onreconnecting = (attempt, delay) => this.emit('reconnecting', { attempt, delay });
+    transport.onreconnect = () => this.emit('reconnect');
+    
+    const result = await super.connect(transport);
     
     this.initialized = true;
     this.emit('initialized', result);
-    
     return result;
   }
 
-  async request(method, params = {}) {
-    if (!this.eventSource && method !== 'initialize') {
-      throw new Error('Not connected');
-    }
-
-    // Create JSON-RPC request
-    const id = this.nextId++;
-    const request = {
-      jsonrpc: '2.0',
-      id,
-      method,
-      params
-    };
-
-    // Track the request
-    const responsePromise = new Promise((resolve, reject) => {
-      this.pendingRequests.set(id, { resolve, reject });
-    });
-
-    // Send request
-    await this._sendRequest(request);
-
-    // Wait for response
-    return responsePromise;
-  }
-
-  // Send JSON-RPC request via HTTP POST
-  async _sendRequest(request) {
-    try {
-      // Use the message path for POST requests
-      const url = new URL(this.messagePath);
-      // Add sessionId as query parameter
-      url.searchParams.append('sessionId', this.sessionId);
-      
-      const response = await fetch(url.toString(), {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Session-ID': this.sessionId
-        },
-        body: JSON.stringify(request)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP error ${response.status}: ${errorText}`);
-      }
-    } catch (error) {
-      console.error('Error sending request:', error);
-      
-      // Fail the pending request
-      const { reject } = this.pendingRequests.get(request.id) || {};
-      if (reject) {
-        reject(error);
-        this.pendingRequests.delete(request.id);
-      }
-      
-      throw error;
-    }
-  }
-
-  // Handle JSON-RPC response received via SSE
-  _handleResponse(response) {
-    // Check if it's a connection message
-    if (response.type === 'connection') {
-      console.log(`Connection established with session ID: ${response.sessionId}`);
-      // Update our session ID if provided
-      if (response.sessionId) {
-        this.sessionId = response.sessionId;
-      }
-      return;
-    }
-    
-    // Check if it's a JSON-RPC response
-    if (response.jsonrpc !== '2.0' || !response.id) {
-      // Might be a different event
-      return;
-    }
-
-    // Find the pending request
-    const pendingRequest = this.pendingRequests.get(response.id);
-    if (!pendingRequest) {
-      console.warn(`Received response for unknown request ID: ${response.id}`);
-      return;
-    }
-
-    // Handle error response
-    if (response.error) {
-      pendingRequest.reject(new Error(response.error.message || 'Unknown error'));
-    } else {
-      // Resolve with the result
-      pendingRequest.resolve(response.result);
-    }
-    
-    // Clean up
-    this.pendingRequests.delete(response.id);
+  async close() {
+    this.initialized = false;
+    await super.close();
   }
   
   // Helper to get tool list
   async getToolList() {
-    return this.request('tools/list');
-  }
-  
-  // Helper to call a tool
-  async callTool(name, args) {
-    return this.request('tools/call', { name, arguments: args });
+    return this.listTools();
   }
 }
 
@@ -278,16 +91,25 @@ async function runTest() {
         default: 'http://localhost:5000/sse',
         description: 'MCP server URL'
       })
+      .option('api-key', {
+        type: 'string',
+        description: 'Bearer token to authenticate with'
+      })
       .help()
       .argv;
     
     // Create client and connect
     const client = new McpSseClient({
-      serverUrl: argv.server
+      serverUrl: argv.server,
+      headers: argv.apiKey ? { Authorization: `Bearer ${argv.apiKey}` } : undefined
     });
     
+    // Server log messages arrive as notifications
+    client.on('notification:notifications/message', ({ level, data }) => console.log(`[server ${level}]`, data));
+    
     console.log(`Connecting to MCP server at ${argv.server}...`);
-    await client.connect();
+    const { serverInfo, protocolVersion } = await client.connect();
+    console.log(`Connected to ${serverInfo.name} ${serverInfo.version} (protocol ${protocolVersion}, session ${client.sessionId})`);
     
     // Get tool list
     console.log('Getting tool list...');
@@ -3,10 +3,30 @@
  * 
  * This implements the MCP HTTP+SSE transport specification:
  * https://spec.modelcontextprotocol.io/specification/2024-11-05/basic/transports/#http-with-sse
+ * 
+ * The same server is also exposed over the Streamable HTTP transport on the same port:
+ * https://spec.modelcontextprotocol.io/specification/2025-03-26/basic/transports/#streamable-http
  */
 import { McpServer } from '../core/index.js';
-import { HttpSseTransport } from '../transports/index.js';
+import {
+  HttpSseTransport,
+  StreamableHttpTransport,
+  apiKeyVerifier,
+  jwtVerifier
+} from '../transports/index.js';
 import { calculatorToolDefinition, handleCalculatorTool } from '../tools/index.js';
+import {
+  calculatorDocsResource,
+  handleCalculatorDocs,
+  mathConstantResourceTemplate,
+  handleMathConstant
+} from '../resources/index.js';
+import {
+  explainCalculationPrompt,
+  calculatorHelpPrompt,
+  handleCalculatorHelpPrompt
+} from '../prompts/index.js';
+import { RecordingTransport } from '../recording/index.js';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import express from 'express';
@@ -17,42 +37,38 @@ import { hideBin } from 'yargs/helpers';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Create a server with tool capabilities
+// Create the server
 const server = new McpServer(
   {
     name: 'mcp-http-sse-server',
     version: '0.1.0'
   },
   {
-    capabilities: {
-      tools: {
-        listChanged: true
-      }
-    },
-    instructions: 'This server provides a simple calculator tool over HTTP+SSE.'
+    instructions: 'This server provides a simple calculator tool over HTTP+SSE.',
+    // Served in the Prometheus format on GET /metrics
+    metrics: true
   }
 );
 
-// Track active requests by ID
-const activeRequests = new Map();
+// Register the calculator tool
+server.registerTool(calculatorToolDefinition, handleCalculatorTool);
 
-// Handler for tools/list method
-server.setRequestHandler('tools/list', () => {
-  return {
-    tools: [calculatorToolDefinition]
-  };
-});
+// Register resources - documentation and math constants
+server.registerResource(calculatorDocsResource, handleCalculatorDocs);
+server.registerResourceTemplate(mathConstantResourceTemplate, handleMathConstant);
 
-// Handler for tools/call method
-server.setRequestHandler('tools/call', async (params) => {
-  const { name, arguments: args } = params;
-  
-  if (name !== 'calculator') {
-    throw new Error(`Tool ${name} not found`);
+// Register prompts - a rendered template and one built by a handler
+server.registerPrompt(explainCalculationPrompt);
+server.registerPrompt(calculatorHelpPrompt, handleCalculatorHelpPrompt);
+
+// Time every request - middleware sees each request with its result or error
+server.use(async (ctx, next) => {
+  const startedAt = Date.now();
+  try {
+    return await next();
+  } finally {
+    server.logger.debug(`${ctx.method} from session ${ctx.sessionId} took ${Date.now() - startedAt}ms`);
   }
-  
-  // Use the shared calculator tool handler and return raw result
-  return handleCalculatorTool(args);
 });
 
 // When run directly, start the server
@@ -74,6 +90,11 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       default: '/sse',
       description: 'Endpoint path'
     })
+    .option('streamable-path', {
+      type: 'string',
+      default: '/mcp',
+      description: 'Streamable HTTP endpoint path (empty to disable)'
+    })
     .option('cors', {
       type: 'boolean',
       default: true,
@@ -84,32 +105,50 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       default: true,
       description: 'Serve static files'
     })
+    .option('api-key', {
+      type: 'array',
+      string: true,
+      description: 'Require a bearer token: an API key, as key or key=subject (repeatable)'
+    })
+    .option('jwks-file', {
+      type: 'string',
+      description: 'Require a bearer token: an RS256 JWT verified with the keys in this JWKS file'
+    })
+    .option('jwt-audience', {
+      type: 'string',
+      description: 'Expected "aud" claim of JWTs'
+    })
+    .option('record', {
+      type: 'string',
+      description: 'Record the HTTP+SSE traffic to this JSONL file (replay it with npm run replay)'
+    })
+    .option('redact', {
+      type: 'array',
+      string: true,
+      default: [],
+      description: 'Field to leave out of the recording (repeatable)'
+    })
+    .option('redact-within', {
+      type: 'array',
+      string: true,
+      default: ['params.arguments'],
+      description: 'Part of each message --redact applies to, e.g. params or result (repeatable)'
+    })
     .help()
     .argv;
   
   console.error(`Starting MCP server with HTTP+SSE transport on port ${argv.port}...`);
   
+  // Authentication is off unless API keys or a JWKS file are given
+  const auth = createAuth(argv);
+  
   // Create and configure the HTTP+SSE transport
   const transport = new HttpSseTransport({
     port: argv.port,
     host: argv.host,
     endpoint: argv.path,
-    cors: argv.cors
-  });
-  
-  // Set up connection handling
-  transport.app.on('connection', (socket) => {
-    console.error('New SSE connection established');
-    
-    socket.on('close', () => {
-      console.error('SSE connection closed');
-      // Clean up any pending requests for this socket
-      for (const [id, request] of activeRequests.entries()) {
-        if (request.sessionId === socket.id) {
-          activeRequests.delete(id);
-        }
-      }
-    });
+    cors: argv.cors,
+    auth
   });
   
   // Serve static files if enabled
@@ -123,84 +162,49 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     });
   }
   
-  // Handle messages from clients
-  transport.onmessage = (message, sessionId) => {
-    if (!message.id) {
-      console.error('Received message without ID:', message);
-      return;
-    }
-
-    console.error(`Processing message ${message.id} from session ${sessionId}`);
+  // Start the server
+  // McpServer keeps a session per client and answers each request on the session it came from
+  const serverTransport = argv.record
+    ? new RecordingTransport(transport, { path: argv.record, redact: argv.redact, redactWithin: argv.redactWithin })
+    : transport;
+  server.connect(serverTransport)
+    .then(async () => {
+      // Serve newer clients over Streamable HTTP from the same Express app
+      if (argv.streamablePath) {
+        await server.connect(new StreamableHttpTransport({
+          app: transport.app,
+          endpoint: argv.streamablePath,
+          cors: argv.cors,
+          auth
+        }));
+      }
+      console.error('Server ready!');
+    })
+    .catch(error => console.error('Failed to start server:', error));
+} 
 
-    // Track the request with timestamp
-    activeRequests.set(message.id, { 
-      sessionId, 
-      message,
-      timestamp: Date.now()
+// Build the transports' auth option from the command line
+// JWTs (three dot-separated parts) go to the JWT verifier, anything else is an API key
+function createAuth(argv) {
+  const verifiers = {};
+  
+  if (argv.apiKey?.length) {
+    const keys = {};
+    argv.apiKey.forEach((entry, index) => {
+      const [key, subject = `api-key-${index + 1}`] = entry.split('=');
+      keys[key] = { subject };
     });
-    
-    // Clean up old requests (older than 5 minutes)
-    const now = Date.now();
-    for (const [id, request] of activeRequests.entries()) {
-      if (now - request.timestamp > 5 * 60 * 1000) {
-        activeRequests.delete(id);
-      }
-    }
-    
-    // Process with the MCP server
-    server._onMessage(message);
-  };
+    verifiers.apiKey = apiKeyVerifier(keys);
+  }
   
-  // Custom handling for responses
-  const originalHandleRequest = server._handleRequest.bind(server);
-  server._handleRequest = async function(request) {
-    try {
-      const result = await originalHandleRequest(request);
-      
-      if (result && request.id) {
-        const activeRequest = activeRequests.get(request.id);
-        if (!activeRequest) {
-          console.error(`No active request found for ID ${request.id}`);
-          return null;
-        }
-
-        // Send raw result without additional formatting
-        const response = {
-          jsonrpc: '2.0',
-          id: request.id,
-          result
-        };
-
-        await transport.send(response, activeRequest.sessionId);
-        activeRequests.delete(request.id);
-        return null;
-      }
-      
-      return result;
-    } catch (error) {
-      if (request.id) {
-        const activeRequest = activeRequests.get(request.id);
-        if (activeRequest) {
-          const errorResponse = {
-            jsonrpc: '2.0',
-            id: request.id,
-            error: {
-              code: -32603,
-              message: error.message || 'Internal error'
-            }
-          };
-          
-          await transport.send(errorResponse, activeRequest.sessionId);
-          activeRequests.delete(request.id);
-        }
-      }
-      
-      return null;
-    }
-  };
+  if (argv.jwksFile) {
+    verifiers.jwt = jwtVerifier({ jwksFile: argv.jwksFile, audience: argv.jwtAudience });
+  }
   
-  // Start the server
-  server.connect(transport)
-    .then(() => console.error('Server ready!'))
-    .catch(error => console.error('Failed to start server:', error));
-} 
+  if (!verifiers.apiKey && !verifiers.jwt) return undefined;
+  
+  return async (token, req) => {
+    const verify = token.split('.').length === 3 ? verifiers.jwt : verifiers.apiKey;
+    return verify ? verify(token, req) : null;
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Put a stdio front on a remote HTTP+SSE MCP server
+ *
+ * Hosts that only launch stdio servers run this script as the server command.
+ * It relays stdin/stdout to the remote server through SseToStdioBridge:
+ *   node src/examples/sse-to-stdio-bridge.js --url https://mcp.example.com/sse --api-key my-key
+ *
+ * For Cursor, add it to .cursor/mcp.json:
+ *   { "mcpServers": { "calculator": { "command": "node",
+ *       "args": ["/path/to/src/examples/sse-to-stdio-bridge.js", "--url", "https://mcp.example.com/sse"] } } }
+ *
+ * Only MCP messages are written to stdout; diagnostics go to stderr.
+ */
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { SseToStdioBridge } from '../bridge/index.js';
+
+const argv = yargs(hideBin(process.argv))
+  .option('url', {
+    alias: 'u',
+    type: 'string',
+    demandOption: true,
+    description: 'HTTP+SSE endpoint of the remote server'
+  })
+  .option('api-key', {
+    type: 'string',
+    description: 'Bearer token to authenticate with'
+  })
+  .option('header', {
+    alias: 'H',
+    type: 'array',
+    string: true,
+    default: [],
+    description: 'HTTP header to send, as "Name: value" (repeatable)'
+  })
+  .help()
+  .argv;
+
+const headers = {};
+for (const header of argv.header) {
+  const index = header.indexOf(':');
+  if (index === -1) {
+    console.error(`Invalid header (expected "Name: value"): ${header}`);
+    process.exit(1);
+  }
+  headers[header.slice(0, index).trim()] = header.slice(index + 1).trim();
+}
+if (argv.apiKey) {
+  headers.Authorization = `Bearer ${argv.apiKey}`;
+}
+
+const bridge = new SseToStdioBridge({ url: argv.url, headers });
+bridge.onclose = () => process.exit(0);
+
+bridge.start().catch((error) => {
+  console.error(`Failed to connect to ${argv.url}:`, error.message);
+  process.exit(1);
+});
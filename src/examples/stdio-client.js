@@ -1,120 +1,81 @@
 /**
  * Simple test client for STDIO transport
- * 
- * This is a basic client that connects to an MCP server via STDIO
- * and tests the calculator tool.
+ *
+ * This launches an MCP server as a child process, connects to it over its
+ * stdin/stdout with McpClient and tests the calculator tool.
+ *
+ * By default it runs the example stdio server; pass another server command
+ * after "--" to test that instead:
+ *   node src/examples/stdio-client.js -- node path/to/server.js
  */
-import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { McpClient, StdioClientTransport } from '../client/index.js';
 
-// JSON-RPC request ID counter
-let requestId = 1;
+// Get __dirname equivalent in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
-// Send a JSON-RPC request to the server
-function sendRequest(method, params = {}) {
-  const request = {
-    jsonrpc: '2.0',
-    id: requestId++,
-    method,
-    params
-  };
-  
-  console.log(JSON.stringify(request));
+// Print a tool result in a readable way
+function printResult(label, result) {
+  console.log(`${label}:`, result.isError ? '(error result)' : '');
+  for (const item of result.content) {
+    console.log(`  ${item.type === 'text' ? item.text : JSON.stringify(item)}`);
+  }
 }
 
-// Handle responses from the server
-function handleResponse(line) {
+// Main test sequence
+async function runTest() {
+  const argv = yargs(hideBin(process.argv))
+    .usage('$0 [-- command [args...]]')
+    .help()
+    .argv;
+
+  // Default to the example server next to this file
+  const [command, ...args] = argv._.length > 0
+    ? argv._.map(String)
+    : [process.execPath, path.join(__dirname, 'stdio-server.js')];
+
+  // The server's stderr is its log - keep it out of our output
+  const transport = new StdioClientTransport({ command, args, stderr: 'ignore' });
+  const client = new McpClient({ name: 'mcp-stdio-test-client', version: '0.1.0' }, { timeout: 10000 });
+
   try {
-    const response = JSON.parse(line);
-    
-    if (!response.jsonrpc || response.jsonrpc !== '2.0') {
-      console.error('Invalid JSON-RPC response:', response);
-      return;
+    console.log(`Starting ${[command, ...args].join(' ')}...`);
+    const { serverInfo, protocolVersion } = await client.connect(transport);
+    console.log(`Connected to ${serverInfo.name} ${serverInfo.version} (protocol ${protocolVersion})`);
+
+    // Get the list of available tools
+    const { tools } = await client.listTools();
+    console.log('Available tools:');
+    for (const tool of tools) {
+      console.log(`- ${tool.name}: ${tool.description}`);
     }
-    
-    // Print response in a nicely formatted way
-    console.error('\nReceived response:');
-    if (response.result) {
-      console.error('Result:', JSON.stringify(response.result, null, 2));
-    } else if (response.error) {
-      console.error('Error:', response.error.code, response.error.message);
+
+    console.log('\nTesting calculator tool:');
+    printResult('Addition (5 + 3)', await client.callTool('calculator', { operation: 'add', a: 5, b: 3 }));
+    printResult('Division (10 / 2)', await client.callTool('calculator', { operation: 'divide', a: 10, b: 2 }));
+
+    // Division by zero returns an error result rather than a JSON-RPC error
+    printResult('Division by zero (should fail)', await client.callTool('calculator', { operation: 'divide', a: 10, b: 0 }));
+
+    // Invalid arguments are rejected by the server's schema validation
+    try {
+      await client.callTool('calculator', { operation: 'modulo', a: 1, b: 2 });
+    } catch (error) {
+      console.log(`Invalid arguments error (as expected): ${error.code} ${error.message}`);
     }
-    console.error();
+
+    await client.close();
+    console.log('\nTest completed successfully');
   } catch (error) {
-    console.error('Error parsing response:', error);
+    console.error('Test failed:', error);
+    await client.close();
+    process.exit(1);
   }
 }
 
-// Main test sequence
-async function runTests() {
-  // Set up stdin to handle responses
-  process.stdin.on('data', (chunk) => {
-    const lines = chunk.toString().split('\n');
-    for (const line of lines) {
-      if (line.trim()) {
-        handleResponse(line);
-      }
-    }
-  });
-  
-  // Give the server a moment to start
-  await new Promise(resolve => setTimeout(resolve, 100));
-  
-  // Initialize connection
-  console.error('Sending initialize request...');
-  sendRequest('initialize', {
-    protocolVersion: '2024-11-05',
-    clientInfo: {
-      name: 'mcp-stdio-test-client',
-      version: '0.1.0'
-    }
-  });
-  
-  // Wait a bit between requests
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Get the list of available tools
-  console.error('Getting tool list...');
-  sendRequest('tools/list');
-  
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Test addition
-  console.error('Testing calculator addition...');
-  sendRequest('tools/call', {
-    name: 'calculator',
-    arguments: {
-      operation: 'add',
-      a: 5,
-      b: 3
-    }
-  });
-  
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Test division
-  console.error('Testing calculator division...');
-  sendRequest('tools/call', {
-    name: 'calculator',
-    arguments: {
-      operation: 'divide',
-      a: 10,
-      b: 2
-    }
-  });
-  
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Test division by zero (should return error)
-  console.error('Testing calculator division by zero (should fail)...');
-  sendRequest('tools/call', {
-    name: 'calculator',
-    arguments: {
-      operation: 'divide',
-      a: 10,
-      b: 0
-    }
-  });
-}
-
 // Run the tests
-runTests(); 
+runTest();
@@ -7,52 +7,55 @@
 import { McpServer } from '../core/index.js';
 import { StdioTransport } from '../transports/index.js';
 import { calculatorToolDefinition, handleCalculatorTool } from '../tools/index.js';
+import {
+  calculatorDocsResource,
+  handleCalculatorDocs,
+  mathConstantResourceTemplate,
+  handleMathConstant
+} from '../resources/index.js';
+import {
+  explainCalculationPrompt,
+  calculatorHelpPrompt,
+  handleCalculatorHelpPrompt
+} from '../prompts/index.js';
+import { RecordingTransport } from '../recording/index.js';
 
-// Create a server with tool capabilities
+// Create the server
 const server = new McpServer(
   {
     name: 'mcp-stdio-server',
     version: '0.1.0'
   },
   {
-    // Declare tools capability as required by spec
-    capabilities: {
-      tools: {
-        // Support for tool list change notifications
-        listChanged: true
-      }
-    },
-    instructions: 'This server provides a simple calculator tool for basic math operations.'
+    instructions: 'This server provides a simple calculator tool for basic math operations.',
+    metrics: true
   }
 );
 
-// Handler for tools/list method
-// Clients use this to discover available tools and their schemas
-server.setRequestHandler('tools/list', () => {
-  return {
-    tools: [calculatorToolDefinition]
-  };
-});
+// Register the calculator tool
+// The server advertises the tools capability and serves tools/list and tools/call
+server.registerTool(calculatorToolDefinition, handleCalculatorTool);
 
-// Handler for tools/call method
-// This is where tool invocation and execution happens
-server.setRequestHandler('tools/call', async (params) => {
-  const { name, arguments: args } = params;
-  
-  // Validate tool exists
-  if (name !== 'calculator') {
-    throw new Error(`Tool ${name} not found`);
-  }
-  
-  // Use the shared calculator tool handler
-  return handleCalculatorTool(args);
-});
+// Register resources - documentation and math constants
+server.registerResource(calculatorDocsResource, handleCalculatorDocs);
+server.registerResourceTemplate(mathConstantResourceTemplate, handleMathConstant);
+
+// Register prompts - a rendered template and one built by a handler
+server.registerPrompt(explainCalculationPrompt);
+server.registerPrompt(calculatorHelpPrompt, handleCalculatorHelpPrompt);
 
 // When run directly, start the server
 if (import.meta.url === `file://${process.argv[1]}`) {
   console.error('Starting MCP server with STDIO transport...');
   
-  const transport = new StdioTransport();
+  // MCP_RECORD_FILE records the traffic to a JSONL file (replay it with npm run replay)
+  const stdio = new StdioTransport();
+  const transport = process.env.MCP_RECORD_FILE
+    ? new RecordingTransport(stdio, { path: process.env.MCP_RECORD_FILE })
+    : stdio;
+  
+  // No HTTP endpoint to scrape - write the metrics to stderr on SIGUSR2 and on exit
+  server.metrics.dumpTo();
   
   // Connect and start serving tool requests
   server.connect(transport)
@@ -0,0 +1,68 @@
+/**
+ * Expose a stdio MCP server over HTTP+SSE
+ *
+ * This spawns a stdio server (the example calculator server by default) and
+ * serves it to HTTP+SSE clients through StdioToSseBridge:
+ *   node src/examples/stdio-to-sse-bridge.js --port 5000
+ *   node src/examples/stdio-to-sse-bridge.js --mode shared -- npx some-mcp-server
+ *
+ * Clients connect to http://localhost:5000/sse as with http-sse-server.js.
+ */
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { StdioToSseBridge } from '../bridge/index.js';
+
+// Get __dirname equivalent in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const argv = yargs(hideBin(process.argv))
+  .usage('$0 [options] [-- command [args...]]')
+  .option('port', {
+    alias: 'p',
+    type: 'number',
+    default: 5000,
+    description: 'Port to listen on'
+  })
+  .option('host', {
+    type: 'string',
+    default: 'localhost',
+    description: 'Host to bind to'
+  })
+  .option('path', {
+    type: 'string',
+    default: '/sse',
+    description: 'SSE endpoint path'
+  })
+  .option('mode', {
+    type: 'string',
+    choices: ['per-session', 'shared'],
+    default: 'per-session',
+    description: 'One server process per SSE session, or one shared by all sessions'
+  })
+  .help()
+  .argv;
+
+// Default to the example server next to this file
+const [command, ...args] = argv._.length > 0
+  ? argv._.map(String)
+  : [process.execPath, path.join(__dirname, 'stdio-server.js')];
+
+const bridge = new StdioToSseBridge({
+  command,
+  args,
+  mode: argv.mode,
+  // The stdio server logs to stderr - pass it through to ours
+  stderr: 'inherit',
+  transport: { port: argv.port, host: argv.host, endpoint: argv.path }
+});
+
+console.error(`Bridging ${[command, ...args].join(' ')} to HTTP+SSE (${argv.mode})...`);
+bridge.start()
+  .then(() => console.error('Bridge ready!'))
+  .catch((error) => {
+    console.error('Failed to start bridge:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,7 @@
+/**
+ * Gateway module index
+ *
+ * This file exports the gateway that serves several upstream MCP servers behind one endpoint
+ */
+
+export { McpGateway } from './mcp-gateway.js';
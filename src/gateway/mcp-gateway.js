@@ -0,0 +1,447 @@
+/**
+ * McpGateway serves several upstream MCP servers behind one endpoint
+ *
+ * The gateway is an McpServer whose tools, resources and prompts come from
+ * upstream servers it connects to with McpClient (over stdio or HTTP+SSE):
+ * - Tools and prompts are registered under namespaced names: the calculator
+ *   tool of the upstream named "calc" becomes "calc__calculator"
+ * - Resources keep their URIs (clients read them by URI) and get namespaced names;
+ *   a URI already served by another upstream is skipped with a warning
+ * - Calls are routed to the upstream that owns the tool, prompt or resource
+ * - An upstream's list_changed notifications re-sync its entries, which sends
+ *   the gateway's own list_changed to the clients
+ * - When an upstream fails or exits its tools stay listed but are marked unavailable,
+ *   and calling them returns an isError result. The gateway reconnects in the background.
+ */
+import { McpServer, UpstreamUnavailable, LOG_LEVELS } from '../core/index.js';
+import { McpClient, StdioClientTransport, SseClientTransport } from '../client/index.js';
+
+const GATEWAY_CLIENT_INFO = {
+  name: 'mcp-gateway',
+  version: '0.1.0'
+};
+
+// Pages of a list to follow before giving up on nextCursor
+const MAX_LIST_PAGES = 100;
+
+class McpGateway extends McpServer {
+  // options: upstreams - [{ name, command, args, env, cwd, stderr }, { name, url, headers },
+  // or { name, transport: () => clientTransport }], separator between upstream and tool name
+  // (default '__'), timeout (ms to wait for upstream answers), retryInterval (ms between
+  // reconnect attempts, default 5000, 0 to disable), plus any McpServer options
+  constructor(serverInfo, options = {}) {
+    super(serverInfo, options);
+
+    this.separator = options.separator ?? '__';
+    this.retryInterval = options.retryInterval ?? 5000;
+
+    // Upstreams by name - { name, config, client, status, error, lists, registered, retryTimer, syncing }
+    this._upstreams = new Map();
+    for (const config of options.upstreams || []) {
+      this._addUpstream(config);
+    }
+
+    // list_changed notifications held back while upstream entries are re-registered
+    this._listChangedBatch = 0;
+    this._pendingListChanged = new Set();
+
+    this._upstreamsStarted = false;
+    this._closing = false;
+  }
+
+  // Status of every upstream: { name, status ('connecting', 'available' or 'unavailable'),
+  // error, tools, resources, prompts }
+  get upstreams() {
+    return [...this._upstreams.values()].map(upstream => ({
+      name: upstream.name,
+      status: upstream.status,
+      error: upstream.error,
+      tools: upstream.lists.tools.length,
+      resources: upstream.lists.resources.length + upstream.lists.resourceTemplates.length,
+      prompts: upstream.lists.prompts.length
+    }));
+  }
+
+  // Connect the upstreams before serving the first transport, so clients
+  // see the merged lists right away. Upstreams that fail are retried later.
+  async connect(transport) {
+    if (!this._upstreamsStarted) {
+      this._upstreamsStarted = true;
+      await Promise.all([...this._upstreams.values()].map(upstream => this._connectUpstream(upstream)));
+    }
+
+    await super.connect(transport);
+    transport.onstatus = () => ({ ...this.getStatusSummary(), upstreams: this.upstreams });
+    return this;
+  }
+
+  async close() {
+    this._closing = true;
+    await super.close();
+
+    for (const upstream of this._upstreams.values()) {
+      clearTimeout(upstream.retryTimer);
+    }
+    await Promise.allSettled([...this._upstreams.values()].map(upstream => upstream.client?.close()));
+  }
+
+  _addUpstream(config) {
+    const { name } = config || {};
+    if (!name || typeof name !== 'string') {
+      throw new Error('Every upstream needs a name');
+    }
+    if (name.includes(this.separator)) {
+      throw new Error(`Upstream name ${name} must not contain the separator "${this.separator}"`);
+    }
+    if (this._upstreams.has(name)) {
+      throw new Error(`Upstream ${name} is configured twice`);
+    }
+    if (!config.command && !config.url && !config.transport) {
+      throw new Error(`Upstream ${name} needs a command, a url or a transport`);
+    }
+
+    this._upstreams.set(name, {
+      name,
+      config,
+      client: null,
+      status: 'connecting',
+      error: null,
+      // Last lists received from the upstream - kept while it is unavailable
+      lists: { tools: [], resources: [], resourceTemplates: [], prompts: [] },
+      // Gateway registrations made for the upstream - removed on re-sync
+      registered: { tools: [], resources: [], resourceTemplates: [], prompts: [] },
+      retryTimer: null,
+      // Syncs run one at a time per upstream
+      syncing: Promise.resolve()
+    });
+  }
+
+  _createTransport({ command, args, env, cwd, stderr, url, headers, transport }) {
+    if (transport) return transport();
+    if (url) return new SseClientTransport({ url, headers, reconnect: false });
+    return new StdioClientTransport({ command, args, env, cwd, stderr });
+  }
+
+  // Connect an upstream and register its entries; failures mark it unavailable
+  async _connectUpstream(upstream) {
+    const client = new McpClient(GATEWAY_CLIENT_INFO, { timeout: this.options.timeout });
+    // Listen before connecting - the handshake can already report errors
+    client.on('error', (error) => this.logger.warning(`Upstream ${upstream.name}:`, error.message));
+
+    try {
+      await client.connect(this._createTransport(upstream.config));
+    } catch (error) {
+      this._markUnavailable(upstream, error);
+      return;
+    }
+
+    if (this._closing) {
+      await client.close();
+      return;
+    }
+
+    upstream.client = client;
+    upstream.status = 'available';
+    upstream.error = null;
+    this.logger.info(`Upstream ${upstream.name} connected (${client.serverInfo?.name} ${client.serverInfo?.version})`);
+
+    client.on('notification', (notification) => this._onUpstreamNotification(upstream, notification));
+    client.on('close', () => {
+      if (upstream.client !== client) return;
+      upstream.client = null;
+      try {
+        this._markUnavailable(upstream, new Error('connection closed'));
+      } catch (error) {
+        this.logger.error(`Failed to mark upstream ${upstream.name} unavailable:`, error.message);
+      }
+    });
+
+    await this._syncUpstream(upstream, ['tools', 'resources', 'prompts']);
+
+    // After a reconnect the upstream has forgotten what our clients subscribed to
+    const subscribed = new Set(this.sessions.flatMap(session => [...session.subscriptions]));
+    for (const uri of subscribed) {
+      if (this._resourceUpstream(uri) === upstream) {
+        await this._subscribeUpstream(upstream, uri);
+      }
+    }
+  }
+
+  // Keep the upstream's entries listed, flag its tools and schedule a reconnect
+  // Failed reconnect attempts change nothing for clients, so they are only logged
+  _markUnavailable(upstream, error) {
+    const firstFailure = upstream.status !== 'unavailable';
+    upstream.status = 'unavailable';
+    upstream.error = error.message;
+    if (this._closing) return;
+
+    if (firstFailure) {
+      this.logger.warning(`Upstream ${upstream.name} unavailable: ${error.message}`);
+      this._registerUpstream(upstream, ['tools']);
+    } else {
+      this.logger.debug(`Upstream ${upstream.name} still unavailable: ${error.message}`);
+    }
+
+    if (this.retryInterval > 0) {
+      clearTimeout(upstream.retryTimer);
+      upstream.retryTimer = setTimeout(() => {
+        upstream.retryTimer = null;
+        this._connectUpstream(upstream)
+          .catch(error => this.logger.error(`Failed to reconnect upstream ${upstream.name}:`, error.message));
+      }, this.retryInterval);
+    }
+  }
+
+  _onUpstreamNotification(upstream, { method, params = {} }) {
+    switch (method) {
+      case 'notifications/tools/list_changed':
+        return this._syncUpstream(upstream, ['tools']);
+      case 'notifications/resources/list_changed':
+        return this._syncUpstream(upstream, ['resources']);
+      case 'notifications/prompts/list_changed':
+        return this._syncUpstream(upstream, ['prompts']);
+      case 'notifications/resources/updated':
+        return this.notifyResourceUpdated(params.uri);
+      // Upstream log messages go to the gateway's log under the upstream's name
+      // The upstream connection is shared, so they are not sent on to any one client
+      case 'notifications/message':
+        if (LOG_LEVELS.includes(params.level)) {
+          const name = params.logger ? this._namespaced(upstream, params.logger) : upstream.name;
+          this.logger.child({ name }).log(params.level, params.data);
+        }
+        return;
+    }
+  }
+
+  // Fetch the given lists from the upstream and re-register its entries
+  _syncUpstream(upstream, kinds) {
+    upstream.syncing = upstream.syncing.then(async () => {
+      const client = upstream.client;
+      if (!client) return;
+
+      try {
+        for (const kind of kinds) {
+          const supported = Boolean(client.serverCapabilities[kind]);
+
+          if (kind === 'tools') {
+            upstream.lists.tools = supported ? await listAll(cursor => client.listTools(cursor), 'tools') : [];
+          } else if (kind === 'prompts') {
+            upstream.lists.prompts = supported ? await listAll(cursor => client.listPrompts(cursor), 'prompts') : [];
+          } else {
+            upstream.lists.resources = supported ? await listAll(cursor => client.listResources(cursor), 'resources') : [];
+            upstream.lists.resourceTemplates = supported
+              ? await listAll(cursor => client.listResourceTemplates(cursor), 'resourceTemplates')
+              : [];
+          }
+        }
+      } catch (error) {
+        this.logger.warning(`Failed to list entries of upstream ${upstream.name}: ${error.message}`);
+        return;
+      }
+
+      this._registerUpstream(upstream, kinds);
+    }).catch((error) => {
+      // Keep the chain resolving, so later syncs still run
+      this.logger.error(`Failed to sync upstream ${upstream.name}:`, error.message);
+    });
+    return upstream.syncing;
+  }
+
+  // Replace the gateway registrations of an upstream with ones built from its lists
+  // Sends one list_changed per kind instead of one per entry
+  _registerUpstream(upstream, kinds) {
+    this._listChangedBatch++;
+    try {
+      for (const kind of kinds) {
+        if (kind === 'tools') this._registerTools(upstream);
+        if (kind === 'resources') this._registerResources(upstream);
+        if (kind === 'prompts') this._registerPrompts(upstream);
+      }
+    } finally {
+      this._listChangedBatch--;
+    }
+
+    if (this._listChangedBatch === 0) {
+      const changed = [...this._pendingListChanged];
+      this._pendingListChanged.clear();
+      for (const kind of changed) {
+        super._sendListChanged(kind);
+      }
+    }
+  }
+
+  _sendListChanged(kind) {
+    if (this._listChangedBatch > 0) {
+      this._pendingListChanged.add(kind);
+      return;
+    }
+    super._sendListChanged(kind);
+  }
+
+  _registerTools(upstream) {
+    for (const name of upstream.registered.tools) {
+      this.removeTool(name);
+    }
+    upstream.registered.tools = [];
+
+    for (const tool of upstream.lists.tools) {
+      const name = this._namespaced(upstream, tool?.name);
+      this._registerEntry(upstream, 'tool', tool?.name, () => {
+        const definition = { ...tool, name };
+        if (upstream.status !== 'available') {
+          const note = `[unavailable: upstream ${upstream.name} ${upstream.error}]`;
+          definition.description = tool.description ? `${note} ${tool.description}` : note;
+        }
+
+        this.registerTool(definition, async (args, context) => {
+          if (!upstream.client) {
+            return {
+              content: [{ type: 'text', text: `Upstream ${upstream.name} is unavailable: ${upstream.error}` }],
+              isError: true
+            };
+          }
+          return upstream.client.callTool(tool.name, args, {
+            signal: context.signal,
+            onprogress: ({ progress, total, message }) => context.reportProgress(progress, total, message)
+          });
+        });
+        upstream.registered.tools.push(name);
+      });
+    }
+  }
+
+  _registerResources(upstream) {
+    for (const uri of upstream.registered.resources) {
+      this.removeResource(uri);
+    }
+    for (const uriTemplate of upstream.registered.resourceTemplates) {
+      this.removeResourceTemplate(uriTemplate);
+    }
+    upstream.registered.resources = [];
+    upstream.registered.resourceTemplates = [];
+
+    const read = (uri, context) => this._upstreamClient(upstream).readResource(uri, { signal: context.signal });
+
+    for (const resource of upstream.lists.resources) {
+      this._registerEntry(upstream, 'resource', resource?.uri, () => {
+        if (this._resources.has(resource.uri)) throw new Error('already served');
+        this.registerResource({ ...resource, name: this._namespaced(upstream, resource.name) }, read);
+        upstream.registered.resources.push(resource.uri);
+      });
+    }
+
+    for (const template of upstream.lists.resourceTemplates) {
+      this._registerEntry(upstream, 'resource template', template?.uriTemplate, () => {
+        if (this._resourceTemplates.has(template.uriTemplate)) throw new Error('already served');
+        this.registerResourceTemplate(
+          { ...template, name: this._namespaced(upstream, template.name) },
+          (uri, variables, context) => read(uri, context)
+        );
+        upstream.registered.resourceTemplates.push(template.uriTemplate);
+      });
+    }
+  }
+
+  _registerPrompts(upstream) {
+    for (const name of upstream.registered.prompts) {
+      this.removePrompt(name);
+    }
+    upstream.registered.prompts = [];
+
+    for (const prompt of upstream.lists.prompts) {
+      const name = this._namespaced(upstream, prompt?.name);
+      this._registerEntry(upstream, 'prompt', prompt?.name, () => {
+        this.registerPrompt({ ...prompt, name }, (args, context) => {
+          return this._upstreamClient(upstream).getPrompt(prompt.name, args, { signal: context.signal });
+        });
+        upstream.registered.prompts.push(name);
+      });
+    }
+  }
+
+  // Register one entry of an upstream's lists
+  // An entry the gateway cannot serve (no name, a duplicate, an invalid schema) is skipped
+  // with a warning, so one bad entry does not take the upstream or the gateway down
+  _registerEntry(upstream, kind, label, register) {
+    try {
+      if (typeof label !== 'string' || !label) {
+        throw new Error(kind === 'tool' || kind === 'prompt' ? 'no name' : 'no URI');
+      }
+      register();
+    } catch (error) {
+      this.logger.warning(`Skipping ${kind} ${label ?? '(unnamed)'} of upstream ${upstream.name}: ${error.message}`);
+    }
+  }
+
+  // Serve resources/subscribe and resources/unsubscribe by also subscribing at the upstream,
+  // whose notifications/resources/updated are then passed on to subscribed sessions
+  _enableResources() {
+    if (this.requestHandlers.has('resources/list')) return;
+    super._enableResources();
+
+    const subscribe = this.requestHandlers.get('resources/subscribe');
+    this.setRequestHandler('resources/subscribe', async (params, context) => {
+      const result = await subscribe(params, context);
+      const upstream = this._resourceUpstream(params.uri);
+      if (upstream) {
+        await this._subscribeUpstream(upstream, params.uri);
+      }
+      return result;
+    });
+
+    const unsubscribe = this.requestHandlers.get('resources/unsubscribe');
+    this.setRequestHandler('resources/unsubscribe', async (params, context) => {
+      const result = await unsubscribe(params, context);
+      const upstream = this._resourceUpstream(params.uri);
+      const stillSubscribed = this.sessions.some(session => session.subscriptions.has(params.uri));
+      if (upstream?.client && !stillSubscribed) {
+        await upstream.client.unsubscribeResource(params.uri)
+          .catch(error => this.logger.warning(`Failed to unsubscribe from ${params.uri} at upstream ${upstream.name}: ${error.message}`));
+      }
+      return result;
+    });
+  }
+
+  async _subscribeUpstream(upstream, uri) {
+    if (!upstream.client?.serverCapabilities.resources?.subscribe) return;
+    await upstream.client.subscribeResource(uri)
+      .catch(error => this.logger.warning(`Failed to subscribe to ${uri} at upstream ${upstream.name}: ${error.message}`));
+  }
+
+  // The upstream serving a URI - static resources first, then templates
+  _resourceUpstream(uri) {
+    const upstreams = [...this._upstreams.values()];
+    return upstreams.find(upstream => upstream.registered.resources.includes(uri))
+      ?? upstreams.find(upstream => upstream.registered.resourceTemplates
+        .some(uriTemplate => this._resourceTemplates.get(uriTemplate)?.template.match(uri)));
+  }
+
+  // The upstream's client, or a protocol error when it is not connected
+  _upstreamClient(upstream) {
+    if (!upstream.client) {
+      throw new UpstreamUnavailable(`Upstream ${upstream.name} is unavailable: ${upstream.error}`, {
+        upstream: upstream.name
+      });
+    }
+    return upstream.client;
+  }
+
+  _namespaced(upstream, name) {
+    return `${upstream.name}${this.separator}${name}`;
+  }
+}
+
+// Collect every page of a paginated list
+async function listAll(fetchPage, key) {
+  const items = [];
+  let cursor;
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const result = await fetchPage(cursor ? { cursor } : {});
+    items.push(...(result[key] || []));
+    cursor = result.nextCursor;
+    if (!cursor) break;
+  }
+  return items;
+}
+
+export { McpGateway };
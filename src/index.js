@@ -6,19 +6,47 @@
  * 
  * Main modules:
  * - core: Core MCP server implementation
+ * - client: Transport-agnostic MCP client and client transports
  * - transports: Implementations of different transport layers
  * - tools: Tool definitions and handlers
+ * - resources: Resource definitions and handlers
+ * - prompts: Prompt templates and handlers
+ * - bridge: Bridges exposing stdio servers over HTTP+SSE and remote servers over stdio
+ * - gateway: Gateway server aggregating several upstream MCP servers
+ * - conformance: Protocol conformance checks for any MCP server
+ * - recording: Traffic recorder and replay of recorded sessions
  * - examples: Example applications using the MCP library
  */
 
 // Re-export core modules
 export * from './core/index.js';
 
+// Re-export client
+export * from './client/index.js';
+
 // Re-export transports
 export * from './transports/index.js';
 
 // Re-export tools
 export * from './tools/index.js';
 
+// Re-export resources
+export * from './resources/index.js';
+
+// Re-export prompts
+export * from './prompts/index.js';
+
+// Re-export bridges
+export * from './bridge/index.js';
+
+// Re-export gateway
+export * from './gateway/index.js';
+
+// Re-export conformance runner
+export * from './conformance/index.js';
+
+// Re-export traffic recording and replay
+export * from './recording/index.js';
+
 // Export client for convenience
 export { McpSseClient } from './examples/http-sse-client.js'; 
@@ -0,0 +1,64 @@
+/**
+ * Calculator prompts for MCP examples
+ *
+ * These are reusable prompt templates that pair with the calculator tool
+ */
+
+// Prompt template rendered by the server from its messages
+// {{argument}} placeholders are replaced with the prompts/get arguments
+export const explainCalculationPrompt = {
+  name: 'explain-calculation',
+  description: 'Ask the model to solve and explain a calculation step by step',
+  arguments: [
+    {
+      name: 'expression',
+      description: 'The calculation to explain, e.g. "12 * (3 + 4)"',
+      required: true
+    }
+  ],
+  messages: [
+    {
+      role: 'user',
+      content: {
+        type: 'text',
+        text: 'Use the calculator tool to evaluate {{expression}} and explain each step.'
+      }
+    }
+  ]
+};
+
+// Prompt definition that can be returned by prompts/list
+export const calculatorHelpPrompt = {
+  name: 'calculator-help',
+  description: 'Answer a question about the calculator using its documentation',
+  arguments: [
+    {
+      name: 'question',
+      description: 'The question about the calculator',
+      required: true
+    }
+  ]
+};
+
+// Handler function for prompts/get on calculator-help
+// Embeds the calculator documentation resource alongside the question
+export async function handleCalculatorHelpPrompt(args) {
+  return {
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'resource',
+          resource: { uri: 'docs://calculator' }
+        }
+      },
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: `Using the documentation above, answer: ${args.question}`
+        }
+      }
+    ]
+  };
+}
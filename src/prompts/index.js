@@ -0,0 +1,7 @@
+/**
+ * Prompts module index
+ * 
+ * This file exports all available prompts for use in MCP servers
+ */
+
+export * from './calculator.js';
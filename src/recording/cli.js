@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * MCP traffic replay
+ *
+ * Feeds a recording made with RecordingTransport into a fresh server and
+ * reports every response that differs from the recorded one (exit code 1 if any):
+ *   node src/recording/cli.js recording.jsonl -- node path/to/server.js
+ *   node src/recording/cli.js recording.jsonl --module ./my-server.js
+ *
+ * With --module, the module must export createServer() returning a new McpServer;
+ * otherwise the command after "--" is spawned once per recorded session.
+ */
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { replayRecording } from './replay.js';
+
+async function main() {
+  const argv = yargs(hideBin(process.argv))
+    .usage('$0 <recording> [options] [-- command [args...]]')
+    .option('module', {
+      type: 'string',
+      description: 'Module exporting createServer() to replay against in-process'
+    })
+    .option('ignore', {
+      type: 'array',
+      string: true,
+      default: [],
+      description: 'JSON pointer in responses to leave out of the comparison, e.g. /result/serverInfo (repeatable)'
+    })
+    .option('timeout', {
+      type: 'number',
+      default: 5000,
+      description: 'Milliseconds to wait for each response'
+    })
+    .option('json', {
+      type: 'boolean',
+      default: false,
+      description: 'Print the report as JSON'
+    })
+    .option('verbose', {
+      type: 'boolean',
+      default: false,
+      description: "Show the stdio server's stderr"
+    })
+    .check((args) => {
+      if (args._.length === 0) {
+        throw new Error('Pass the recording file to replay');
+      }
+      if (!args.module && args._.length < 2) {
+        throw new Error('Pass a server command after "--" or a --module exporting createServer()');
+      }
+      return true;
+    })
+    .help()
+    .argv;
+
+  const [recording, command, ...args] = argv._.map(String);
+  const target = argv.module
+    ? await loadServerFactory(argv.module)
+    : { command, args, stderr: argv.verbose ? 'inherit' : 'ignore' };
+
+  const report = await replayRecording(recording, target, { timeout: argv.timeout, ignore: argv.ignore });
+
+  if (argv.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  process.exit(report.mismatches.length > 0 ? 1 : 0);
+}
+
+async function loadServerFactory(modulePath) {
+  const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+  if (typeof module.createServer !== 'function') {
+    throw new Error(`${modulePath} does not export createServer()`);
+  }
+  return module.createServer;
+}
+
+function printReport({ sessions, requests, matched, mismatches, skipped }) {
+  for (const { sessionId, id, method, reason, differences } of mismatches) {
+    console.log(`✗ ${method} (id ${JSON.stringify(id)}${sessionId ? `, session ${sessionId}` : ''}): ${reason}`);
+    for (const { path: pointer, expected, actual } of differences) {
+      console.log(`    ${pointer}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+  for (const { sessionId, id, method } of skipped) {
+    console.log(`- ${method} (${id === null ? 'notification' : `id ${JSON.stringify(id)}`}${sessionId ? `, session ${sessionId}` : ''}): skipped, recorded with redacted values`);
+  }
+  console.log(`\n${requests} requests in ${sessions} sessions: ${matched} matched, ${mismatches.length} differed${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}`);
+}
+
+main().catch((error) => {
+  console.error('Replay failed:', error.message);
+  process.exit(2);
+});
@@ -0,0 +1,8 @@
+/**
+ * Recording module index
+ *
+ * This file exports the traffic recorder and the replay of its recordings
+ */
+
+export { RecordingTransport, readRecording, REDACTED } from './recording-transport.js';
+export { replayRecording } from './replay.js';
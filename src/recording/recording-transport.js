@@ -0,0 +1,171 @@
+/**
+ * RecordingTransport records the JSON-RPC traffic of another server transport
+ *
+ * It wraps a transport (StdioTransport, HttpSseTransport, ...) without changing it:
+ * McpServer connects to the wrapper, the wrapper passes everything through and
+ * appends one JSON line per message to the recording:
+ *
+ *   {"timestamp":"2025-03-26T12:00:00.000Z","sessionId":"...","direction":"in","message":{...}}
+ *
+ * - direction is "in" (client to server) or "out" (server to client)
+ * - sessionId is the transport's session ID, null for stdio
+ * - redact lists fields whose values are replaced by "[REDACTED]": a plain name
+ *   matches the field at any depth, a dotted path ("credentials.token") matches
+ *   from the root of the redacted part. It can also be a function
+ *   (message, direction) => message for full control.
+ * - redactWithin lists the parts of each message the rules apply to, as dotted paths
+ *   (default ["params.arguments"]) - e.g. ["params", "result", "error.data"] to also
+ *   cover resource URIs, prompt arguments, sampling messages and results.
+ *
+ * Recordings can be fed back into a server with replayRecording() - see replay.js.
+ */
+import fs from 'node:fs';
+
+const REDACTED = '[REDACTED]';
+
+class RecordingTransport {
+  // transport: the transport to record
+  // options: path (JSONL file to append to) or stream (a writable stream), redact, redactWithin (see above)
+  constructor(transport, options = {}) {
+    if (!options.path && !options.stream) {
+      throw new Error('RecordingTransport needs a path or a stream to record to');
+    }
+
+    this.transport = transport;
+    this.redact = options.redact || [];
+    this.redactWithin = (options.redactWithin || ['params.arguments']).map(root => root.split('.'));
+    this._stream = options.stream || fs.createWriteStream(options.path, { flags: 'a' });
+    this._ownsStream = !options.stream;
+    this._stream.on('error', (error) => this.onerror?.(error));
+
+    // Event handlers set by McpServer, called with whatever the wrapped transport passes
+    this.onmessage = null;
+    this.onclose = null;
+    this.onsessionopen = null;
+    this.onsessionclose = null;
+    this.onerror = null;
+    this.onstatus = null;
+
+    transport.onmessage = (message, sessionId = message?._sessionId, ...rest) => {
+      this._record('in', stripSessionId(message), sessionId);
+      this.onmessage?.(message, sessionId, ...rest);
+    };
+    transport.onclose = () => this.onclose?.();
+    transport.onsessionopen = (sessionId) => this.onsessionopen?.(sessionId);
+    transport.onsessionclose = (sessionId) => this.onsessionclose?.(sessionId);
+    transport.onerror = (error) => this.onerror?.(error);
+    transport.onstatus = () => this.onstatus?.();
+
+    // Transports with their own metrics or logger share the server's through the wrapper
+    for (const key of ['metrics', 'logger']) {
+      if (key in transport) {
+        Object.defineProperty(this, key, {
+          get: () => transport[key],
+          set: (value) => { transport[key] = value; },
+          enumerable: true
+        });
+      }
+    }
+  }
+
+  async start() {
+    await this.transport.start();
+  }
+
+  async send(message, sessionId) {
+    this._record('out', message, sessionId);
+    return this.transport.send(message, sessionId);
+  }
+
+  async close() {
+    await this.transport.close();
+    if (this._ownsStream) {
+      await new Promise(resolve => this._stream.end(resolve));
+    }
+  }
+
+  _record(direction, message, sessionId) {
+    if (this._stream.writableEnded) return;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      sessionId: sessionId ?? null,
+      direction,
+      message: redactMessage(message, this.redact, this.redactWithin, direction)
+    };
+    this._stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+// Read a recording file into its entries
+function readRecording(path) {
+  return fs.readFileSync(path, 'utf8')
+    .split('\n')
+    .map((line, index) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid recording line ${index + 1}: ${error.message}`);
+      }
+    })
+    .filter(Boolean);
+}
+
+function redactMessage(message, redact, within, direction) {
+  if (typeof redact === 'function') {
+    return redact(message, direction);
+  }
+  if (redact.length === 0) {
+    return message;
+  }
+  if (Array.isArray(message)) {
+    return message.map(entry => redactMessage(entry, redact, within, direction));
+  }
+
+  let redacted = message;
+  for (const root of within) {
+    const value = root.reduce((parent, key) => parent?.[key], message);
+    if (value && typeof value === 'object') {
+      redacted = replacePath(redacted, root, redactFields(value, redact, []));
+    }
+  }
+  return redacted;
+}
+
+// Copy an object with the value at a path replaced - the original is left unchanged
+function replacePath(value, [key, ...rest], replacement) {
+  return { ...value, [key]: rest.length === 0 ? replacement : replacePath(value[key], rest, replacement) };
+}
+
+// Copy a value, replacing the fields matched by the redact rules
+function redactFields(value, rules, path) {
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactFields(item, rules, path));
+  }
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    const fieldPath = [...path, key];
+    const matched = rules.some(rule => rule.includes('.') ? rule === fieldPath.join('.') : rule === key);
+    copy[key] = matched ? REDACTED : redactFields(field, rules, fieldPath);
+  }
+  return copy;
+}
+
+// HttpSseTransport tags incoming messages with their session - not part of the traffic
+function stripSessionId(message) {
+  if (Array.isArray(message)) {
+    return message.map(stripSessionId);
+  }
+  if (!message || typeof message !== 'object' || !('_sessionId' in message)) {
+    return message;
+  }
+  const { _sessionId, ...rest } = message;
+  return rest;
+}
+
+export { RecordingTransport, readRecording, REDACTED };
@@ -0,0 +1,329 @@
+/**
+ * Deterministic replay of recorded MCP traffic
+ *
+ * replayRecording() feeds the client side of a recording into a fresh server and
+ * compares the server's responses with the recorded ones:
+ * - Each recorded session gets its own connection, and messages are sent in recorded order
+ * - Before sending a message, the replay waits for every response that the recording
+ *   shows was sent before it - so handshakes and request ordering are reproduced, while
+ *   requests that were still running (e.g. until cancelled) are not waited for
+ * - Requests the server sends (sampling, roots, ...) are answered with the client's
+ *   recorded answer to the same method, in order
+ * - Responses are compared by ID: the result or error must be deep-equal, apart from the
+ *   JSON pointers listed in options.ignore ("*" matches any key or array index)
+ * - Redacted values cannot be sent back: client messages containing "[REDACTED]" are
+ *   skipped and listed in the report, redacted server requests' answers become errors,
+ *   and redacted values in recorded responses match anything
+ *
+ * The target is a function returning a fresh McpServer (every session connects to it
+ * in memory), or { command, args, env, cwd, stderr } to spawn one stdio server per session.
+ */
+import { JSONRPC_VERSION, ErrorCode } from '../core/index.js';
+import { StdioClientTransport } from '../client/index.js';
+import { InMemoryTransport } from '../transports/index.js';
+import { readRecording, REDACTED } from './recording-transport.js';
+
+// Replay a recording (its entries, or the path of a JSONL file) against a target
+// options: timeout (ms to wait for each response, default 5000), ignore (JSON pointers)
+// Resolves with { sessions, requests, matched, mismatches: [{ sessionId, id, method, reason, differences }],
+// skipped: [{ sessionId, id, method }] } - skipped lists the redacted messages that were not sent
+async function replayRecording(recording, target, options = {}) {
+  const entries = typeof recording === 'string' ? readRecording(recording) : recording;
+  const replay = new Replay(entries, target, options);
+  try {
+    return await replay.run();
+  } finally {
+    await replay.close();
+  }
+}
+
+class Replay {
+  constructor(entries, target, options) {
+    this.entries = entries;
+    this.target = target;
+    this.timeout = options.timeout ?? 5000;
+    this.ignore = (options.ignore || []).map(parsePointer);
+
+    this.server = null;
+
+    // Recorded session ID => { transport, responses: Map(key => response), waiters: Map(key => resolve) }
+    this.sessions = new Map();
+
+    // Recorded responses to client requests - "session id" key => { response, index }
+    this.expected = new Map();
+
+    // Requests sent during the replay - key => { sessionId, id, method, waited }
+    this.sent = new Map();
+
+    // Redacted client messages left out of the replay - { sessionId, id, method }
+    this.skipped = [];
+
+    this._indexRecording();
+  }
+
+  // Find the recorded server responses, and the client's answers to server requests:
+  // serverRequests - "session method" => recorded request IDs, clientAnswers - key => response
+  _indexRecording() {
+    this.clientAnswers = new Map();
+    this.serverRequests = new Map();
+
+    this.entries.forEach((entry, index) => {
+      for (const message of [].concat(entry.message)) {
+        if (!message || typeof message !== 'object') continue;
+        const key = messageKey(entry.sessionId, message.id);
+
+        if (entry.direction === 'out' && isResponse(message)) {
+          this.expected.set(key, { response: message, index });
+        } else if (entry.direction === 'out' && isRequest(message)) {
+          // The server asked the client something - remember the order per method
+          const queueKey = `${entry.sessionId} ${message.method}`;
+          if (!this.serverRequests.has(queueKey)) this.serverRequests.set(queueKey, []);
+          this.serverRequests.get(queueKey).push(message.id);
+        } else if (entry.direction === 'in' && isResponse(message)) {
+          this.clientAnswers.set(key, message);
+        }
+      }
+    });
+  }
+
+  async run() {
+    for (const [index, entry] of this.entries.entries()) {
+      if (entry.direction !== 'in') continue;
+
+      // Answers to server requests are sent when the replayed server asks
+      const messages = [].concat(entry.message).filter((message) => {
+        if (isResponse(message)) return false;
+        if (!containsRedacted(message)) return true;
+        this.skipped.push({ sessionId: entry.sessionId, id: message?.id ?? null, method: message?.method });
+        return false;
+      });
+      if (messages.length === 0) continue;
+
+      await this._waitForResponsesBefore(index);
+
+      const session = await this._session(entry.sessionId);
+      for (const message of messages) {
+        if (isRequest(message)) {
+          const key = messageKey(entry.sessionId, message.id);
+          this.sent.set(key, { sessionId: entry.sessionId, id: message.id, method: message.method });
+        }
+      }
+      await session.transport.send(Array.isArray(entry.message) ? messages : messages[0]);
+    }
+
+    await this._waitForResponsesBefore(Infinity);
+    return this._report();
+  }
+
+  // Wait for the responses the recording shows before the entry at this index
+  async _waitForResponsesBefore(index) {
+    const waits = [];
+    for (const [key, request] of this.sent) {
+      const expected = this.expected.get(key);
+      if (!expected || expected.index >= index || request.waited) continue;
+      request.waited = true;
+      waits.push(this._waitForResponse(key));
+    }
+    await Promise.all(waits);
+  }
+
+  _waitForResponse(key) {
+    const session = this.sessions.get(String(this.sent.get(key).sessionId));
+    if (session.responses.has(key)) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        session.waiters.delete(key);
+        resolve();
+      }, this.timeout);
+      session.waiters.set(key, () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  // The connection replaying a recorded session, opened on first use
+  async _session(sessionId) {
+    const name = String(sessionId);
+    let session = this.sessions.get(name);
+    if (session) return session;
+
+    session = { transport: await this._connect(), responses: new Map(), waiters: new Map() };
+    this.sessions.set(name, session);
+
+    session.transport.onmessage = (message) => {
+      for (const entry of [].concat(message)) {
+        this._onServerMessage(sessionId, session, entry);
+      }
+    };
+    session.transport.onerror = () => {};
+    await session.transport.start();
+    return session;
+  }
+
+  async _connect() {
+    if (typeof this.target === 'function') {
+      this.server ??= await this.target();
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await this.server.connect(serverTransport);
+      return clientTransport;
+    }
+
+    const { command, args, env, cwd, stderr = 'ignore' } = this.target;
+    return new StdioClientTransport({ command, args, env, cwd, stderr });
+  }
+
+  _onServerMessage(sessionId, session, message) {
+    if (isRequest(message)) {
+      this._answerServerRequest(sessionId, session, message);
+      return;
+    }
+    if (!isResponse(message)) return;
+
+    const key = messageKey(sessionId, message.id);
+    session.responses.set(key, message);
+    session.waiters.get(key)?.();
+    session.waiters.delete(key);
+  }
+
+  // Answer with the client's recorded answer to the next recorded request of the same method
+  _answerServerRequest(sessionId, session, request) {
+    const recordedId = this.serverRequests.get(`${sessionId} ${request.method}`)?.shift();
+    const answer = recordedId === undefined ? null : this.clientAnswers.get(messageKey(sessionId, recordedId));
+
+    let response;
+    if (!answer) {
+      response = {
+        jsonrpc: JSONRPC_VERSION,
+        id: request.id,
+        error: { code: ErrorCode.MethodNotFound, message: `No recorded answer to ${request.method}` }
+      };
+    } else if (containsRedacted(answer)) {
+      response = {
+        jsonrpc: JSONRPC_VERSION,
+        id: request.id,
+        error: { code: ErrorCode.InternalError, message: `Recorded answer to ${request.method} was redacted` }
+      };
+    } else {
+      response = { ...answer, id: request.id };
+    }
+    session.transport.send(response).catch(() => {});
+  }
+
+  _report() {
+    const report = { sessions: this.sessions.size, requests: this.sent.size, matched: 0, mismatches: [], skipped: this.skipped };
+
+    for (const [key, request] of this.sent) {
+      const { sessionId, id, method } = request;
+      const expected = this.expected.get(key)?.response;
+      const actual = this.sessions.get(String(sessionId)).responses.get(key);
+
+      if (!expected && !actual) {
+        // Never answered in the recording (e.g. cancelled) and not now either
+        report.matched++;
+        continue;
+      }
+      if (!actual) {
+        report.mismatches.push({ sessionId, id, method, reason: 'no response', differences: [] });
+        continue;
+      }
+      if (!expected) {
+        report.mismatches.push({ sessionId, id, method, reason: 'unexpected response', differences: [] });
+        continue;
+      }
+
+      const differences = diff(this._comparable(expected), this._comparable(actual), '');
+      if (differences.length === 0) {
+        report.matched++;
+      } else {
+        report.mismatches.push({ sessionId, id, method, reason: 'different response', differences });
+      }
+    }
+
+    return report;
+  }
+
+  // The part of a response that is compared, without the ignored pointers
+  _comparable(response) {
+    const value = 'error' in response ? { error: response.error } : { result: response.result };
+    const copy = structuredClone(value);
+    for (const pointer of this.ignore) {
+      removePointer(copy, pointer);
+    }
+    return copy;
+  }
+
+  async close() {
+    await Promise.allSettled([...this.sessions.values()].map(session => session.transport.close()));
+    await this.server?.close();
+  }
+}
+
+// Differences between two JSON values as [{ path, expected, actual }]
+// A redacted expected value matches anything
+function diff(expected, actual, path) {
+  if (Object.is(expected, actual) || expected === REDACTED) return [];
+
+  const bothObjects = expected !== null && actual !== null
+    && typeof expected === 'object' && typeof actual === 'object'
+    && Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) {
+    return [{ path: path || '/', expected, actual }];
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...keys].flatMap(key => diff(expected[key], actual[key], `${path}/${escapePointer(key)}`));
+}
+
+function parsePointer(pointer) {
+  if (pointer === '' || pointer === '/') return [];
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON pointer: ${pointer}`);
+  }
+  return pointer.slice(1).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Delete the values at a parsed pointer; "*" matches every key
+function removePointer(value, parts) {
+  if (!value || typeof value !== 'object' || parts.length === 0) return;
+  const [part, ...rest] = parts;
+  const keys = part === '*' ? Object.keys(value) : [part];
+
+  for (const key of keys) {
+    if (!(key in value)) continue;
+    if (rest.length === 0) {
+      delete value[key];
+    } else {
+      removePointer(value[key], rest);
+    }
+  }
+}
+
+// Whether a recorded value has a redacted field anywhere inside
+function containsRedacted(value) {
+  if (value === REDACTED) return true;
+  if (!value || typeof value !== 'object') return false;
+  return Object.values(value).some(containsRedacted);
+}
+
+function messageKey(sessionId, id) {
+  return `${sessionId} ${JSON.stringify(id)}`;
+}
+
+function isRequest(message) {
+  return message !== null && typeof message === 'object' && 'method' in message && 'id' in message;
+}
+
+function isResponse(message) {
+  return message !== null
+    && typeof message === 'object'
+    && 'id' in message
+    && ('result' in message || 'error' in message);
+}
+
+export { replayRecording };
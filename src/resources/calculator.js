@@ -0,0 +1,55 @@
+/**
+ * Calculator resources for MCP examples
+ *
+ * This exposes documentation for the calculator tool as a static resource
+ * and well-known math constants through a resource template
+ */
+import { ResourceNotFound } from '../core/errors.js';
+
+// Static resource definition that can be returned by resources/list
+export const calculatorDocsResource = {
+  uri: 'docs://calculator',
+  name: 'Calculator documentation',
+  description: 'How to use the calculator tool',
+  mimeType: 'text/markdown'
+};
+
+// Handler function for resources/read on docs://calculator
+export async function handleCalculatorDocs() {
+  return [
+    '# Calculator',
+    '',
+    'Call the `calculator` tool with:',
+    '- `operation`: one of add, subtract, multiply, divide',
+    '- `a`: first operand',
+    '- `b`: second operand',
+    '',
+    'Dividing by zero returns an error result.'
+  ].join('\n');
+}
+
+// Known constants served by the math constants template
+const MATH_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  sqrt2: Math.SQRT2,
+  ln2: Math.LN2,
+  ln10: Math.LN10
+};
+
+// Resource template definition that can be returned by resources/templates/list
+export const mathConstantResourceTemplate = {
+  uriTemplate: 'math://constants/{name}',
+  name: 'Math constant',
+  description: `Value of a math constant (${Object.keys(MATH_CONSTANTS).join(', ')})`,
+  mimeType: 'text/plain'
+};
+
+// Handler function for resources/read on math://constants/{name}
+export async function handleMathConstant(uri, { name }) {
+  if (!Object.hasOwn(MATH_CONSTANTS, name)) {
+    throw new ResourceNotFound(`Resource not found: ${uri}`, { uri });
+  }
+
+  return String(MATH_CONSTANTS[name]);
+}
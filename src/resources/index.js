@@ -0,0 +1,7 @@
+/**
+ * Resources module index
+ * 
+ * This file exports all available resources for use in MCP servers
+ */
+
+export * from './calculator.js';
@@ -27,20 +27,8 @@ export const calculatorToolDefinition = {
 };
 
 // Handler function for tools/call method
+// Arguments are validated against inputSchema by McpServer before this is called
 export async function handleCalculatorTool(args) {
-  // Validate required arguments
-  if (!args || !args.operation || typeof args.a !== 'number' || typeof args.b !== 'number') {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: 'Invalid arguments. Please provide operation, a, and b.'
-        }
-      ],
-      isError: true
-    };
-  }
-  
   // Execute the tool operation
   let result;
   try {
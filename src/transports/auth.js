@@ -0,0 +1,275 @@
+/**
+ * Bearer token authentication for the HTTP transports
+ *
+ * The MCP server acts as an OAuth 2.0 protected resource:
+ * See: https://spec.modelcontextprotocol.io/specification/2025-03-26/basic/authorization/
+ *
+ * 1. Clients send `Authorization: Bearer <token>` with every HTTP request
+ * 2. A verifier turns the token into a principal - { subject, issuer, scopes, ... } - or rejects it
+ * 3. Requests without a valid token get 401 with a WWW-Authenticate header (RFC 6750)
+ *    pointing at the protected resource metadata (RFC 9728)
+ * 4. The principal is passed to McpServer, which hands it to request handlers
+ *
+ * Built-in verifiers cover static API keys and HS256/RS256 JWTs (keys from a local JWKS file).
+ * Sessions are bound to the principal that opened them, so every principal needs a subject.
+ */
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+
+// Path of the OAuth protected resource metadata document (RFC 9728)
+const PROTECTED_RESOURCE_METADATA_PATH = '/.well-known/oauth-protected-resource';
+
+// JWT signature algorithms jwtVerifier can check
+const JWT_ALGORITHMS = ['HS256', 'RS256'];
+
+// Error carrying the OAuth error code used in the WWW-Authenticate header
+class AuthError extends Error {
+  constructor(message, { status = 401, error = 'invalid_token' } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Normalize the transports' `auth` option - a verifier function or { verify, ...options }
+// Options: verify(token, req) => principal, resource, authorizationServers, scopesSupported,
+// requiredScopes (every request needs all of them), realm
+function normalizeAuthOptions(auth) {
+  if (!auth) return null;
+
+  const options = typeof auth === 'function' ? { verify: auth } : { ...auth };
+  if (typeof options.verify !== 'function') {
+    throw new Error('auth.verify must be a function');
+  }
+
+  return {
+    realm: 'mcp',
+    authorizationServers: [],
+    requiredScopes: [],
+    ...options
+  };
+}
+
+// Express middleware that authenticates a request and stores the principal on req.auth
+function createAuthMiddleware(auth, { endpoint }) {
+  return async (req, res, next) => {
+    // CORS preflight requests carry no credentials
+    if (req.method === 'OPTIONS') return next();
+
+    try {
+      const token = extractBearerToken(req);
+      if (!token) {
+        throw new AuthError('Missing bearer token', { error: null });
+      }
+
+      const principal = await auth.verify(token, req);
+      if (!principal) {
+        throw new AuthError('Invalid token');
+      }
+      // Without a subject a session could not tell its owner from anyone else
+      if (principal.subject === undefined || principal.subject === null) {
+        throw new AuthError('Token does not identify a subject');
+      }
+
+      const scopes = principal.scopes || [];
+      const missing = auth.requiredScopes.filter(scope => !scopes.includes(scope));
+      if (missing.length > 0) {
+        throw new AuthError(`Missing required scopes: ${missing.join(' ')}`, { status: 403, error: 'insufficient_scope' });
+      }
+
+      req.auth = principal;
+      next();
+    } catch (error) {
+      sendAuthError(res, auth, endpoint, req, error);
+    }
+  };
+}
+
+// Serve the protected resource metadata so clients can discover the authorization server
+function protectedResourceMetadataHandler(auth, { endpoint }) {
+  return (req, res) => {
+    const metadata = {
+      resource: auth.resource || `${req.protocol}://${req.get('host')}${endpoint}`,
+      authorization_servers: auth.authorizationServers,
+      bearer_methods_supported: ['header']
+    };
+    if (auth.scopesSupported) {
+      metadata.scopes_supported = auth.scopesSupported;
+    }
+    res.json(metadata);
+  };
+}
+
+// 401/403 with a WWW-Authenticate challenge (RFC 6750 section 3)
+function sendAuthError(res, auth, endpoint, req, error) {
+  const status = error instanceof AuthError ? error.status : 401;
+  const code = error instanceof AuthError ? error.error : 'invalid_token';
+
+  const metadataUrl = `${req.protocol}://${req.get('host')}${PROTECTED_RESOURCE_METADATA_PATH}`;
+  const params = [`realm="${auth.realm}"`, `resource_metadata="${metadataUrl}"`];
+  if (code) {
+    params.push(`error="${code}"`, `error_description="${error.message.replace(/"/g, "'")}"`);
+  }
+  if (code === 'insufficient_scope') {
+    params.push(`scope="${auth.requiredScopes.join(' ')}"`);
+  }
+
+  res.setHeader('WWW-Authenticate', `Bearer ${params.join(', ')}`);
+  res.status(status).json({
+    error: code || 'unauthorized',
+    error_description: error.message
+  });
+}
+
+// Read the token from "Authorization: Bearer <token>"
+function extractBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) {
+    throw new AuthError('Authorization header must use the Bearer scheme', { error: 'invalid_request', status: 400 });
+  }
+  return match[1];
+}
+
+// Two principals are the same client when they have the same issuer and subject
+// Without auth both are null; a principal without a subject matches no one
+function isSamePrincipal(a, b) {
+  if (!a || !b) return !a && !b;
+  if (a.subject === undefined || a.subject === null) return false;
+  return a.subject === b.subject && (a.issuer ?? null) === (b.issuer ?? null);
+}
+
+// Verifier for static API keys
+// keys: { [apiKey]: principal } - e.g. { 'secret-key': { subject: 'alice', scopes: ['tools'] } }
+function apiKeyVerifier(keys) {
+  const entries = Object.entries(keys).map(([key, principal]) => ({
+    digest: sha256(key),
+    principal: { scopes: [], ...principal }
+  }));
+
+  return async (token) => {
+    // Compare digests in constant time so response timing does not leak key prefixes
+    const digest = sha256(token);
+    const entry = entries.find(candidate => crypto.timingSafeEqual(candidate.digest, digest));
+    if (!entry) {
+      throw new AuthError('Unknown API key');
+    }
+    return entry.principal;
+  };
+}
+
+// Verifier for JWT bearer tokens signed with HS256 (shared secret or JWKS "oct" keys)
+// or RS256 (JWKS "RSA" public keys)
+// Options: secret, jwks ({ keys: [...] }) or jwksFile (path to a JWKS JSON file),
+// issuer, audience, algorithms (default: those a key was given for), clockTolerance (seconds, default 30)
+function jwtVerifier(options = {}) {
+  const { secret, issuer, audience, clockTolerance = 30 } = options;
+  const jwks = options.jwksFile
+    ? JSON.parse(fs.readFileSync(options.jwksFile, 'utf8'))
+    : options.jwks;
+
+  // Import the keys once - the secret option acts as an HMAC key without a kid
+  const jwkKeys = jwks?.keys || [];
+  const secretKeys = [
+    ...(secret ? [{ kid: undefined, key: secret }] : []),
+    ...jwkKeys
+      .filter(jwk => jwk.kty === 'oct')
+      .map(jwk => ({ kid: jwk.kid, key: Buffer.from(jwk.k, 'base64url') }))
+  ];
+  const publicKeys = jwkKeys
+    .filter(jwk => jwk.kty === 'RSA')
+    .map(jwk => ({ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+
+  const algorithms = options.algorithms || [
+    ...(secretKeys.length > 0 ? ['HS256'] : []),
+    ...(publicKeys.length > 0 ? ['RS256'] : [])
+  ];
+  if (algorithms.length === 0) {
+    throw new Error('jwtVerifier needs a secret or JWKS "oct" keys (HS256), or JWKS "RSA" keys (RS256)');
+  }
+
+  return async (token) => {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new AuthError('Malformed JWT');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    let header, payload;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AuthError('Malformed JWT');
+    }
+
+    if (!algorithms.includes(header.alg) || !JWT_ALGORITHMS.includes(header.alg)) {
+      throw new AuthError(`Unsupported JWT algorithm: ${header.alg}`);
+    }
+
+    const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+
+    // Keys without a kid are tried for every token
+    const keys = header.alg === 'HS256' ? secretKeys : publicKeys;
+    const candidates = header.kid !== undefined
+      ? keys.filter(entry => entry.kid === undefined || entry.kid === header.kid)
+      : keys;
+    if (candidates.length === 0) {
+      throw new AuthError(`Unknown JWT key: ${header.kid}`);
+    }
+
+    const valid = header.alg === 'HS256'
+      ? candidates.some(entry => {
+        const expected = crypto.createHmac('sha256', entry.key).update(signingInput).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+      })
+      : candidates.some(entry => crypto.verify('RSA-SHA256', signingInput, entry.key, signature));
+    if (!valid) {
+      throw new AuthError('Invalid JWT signature');
+    }
+
+    // Registered claims (RFC 7519 section 4.1)
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp === 'number' && now > payload.exp + clockTolerance) {
+      throw new AuthError('JWT expired');
+    }
+    if (typeof payload.nbf === 'number' && now < payload.nbf - clockTolerance) {
+      throw new AuthError('JWT not yet valid');
+    }
+    if (issuer && payload.iss !== issuer) {
+      throw new AuthError('JWT issuer mismatch');
+    }
+    if (audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(audience)) {
+        throw new AuthError('JWT audience mismatch');
+      }
+    }
+
+    return {
+      subject: payload.sub,
+      issuer: payload.iss,
+      scopes: typeof payload.scope === 'string' ? payload.scope.split(' ').filter(Boolean) : [],
+      claims: payload
+    };
+  };
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+export {
+  AuthError,
+  PROTECTED_RESOURCE_METADATA_PATH,
+  normalizeAuthOptions,
+  createAuthMiddleware,
+  protectedResourceMetadataHandler,
+  isSamePrincipal,
+  apiKeyVerifier,
+  jwtVerifier
+};
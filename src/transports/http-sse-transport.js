@@ -6,10 +6,40 @@
  * 1. Client connects via HTTP GET for SSE
  * 2. Client sends JSON-RPC requests via HTTP POST to the same endpoint
  * 3. Server sends JSON-RPC responses via SSE events
+ *
+ * Reconnection:
+ * - Every message event carries an SSE `id`, numbered per session
+ * - Each session keeps the last `replayBufferSize` events (default 100)
+ * - When the SSE connection drops, the session survives for `reconnectGracePeriod` ms
+ *   (default 30s); messages sent meanwhile are buffered
+ * - A client reconnecting with ?sessionId=... and a Last-Event-ID header resumes the
+ *   session and gets every buffered event after that ID
+ *
+ * Limits:
+ * - `maxSessionsPerIp` caps concurrent SSE sessions per client address (429 beyond it)
+ * - Request rates, concurrent tool calls and tool quotas are enforced by McpServer (options.limits);
+ *   /status shows the state of every limiter as aggregate counts, without session IDs or principals
+ *
+ * Metrics:
+ * - GET /metrics serves `metrics` (an McpMetrics, shared by McpServer when connected)
+ *   in the Prometheus text format, including active streams, bytes written and keepalive failures
+ *
+ * Authentication:
+ * - Pass `auth` (a verifier function, or { verify, ... } - see auth.js) to require bearer tokens
+ * - Sessions belong to the principal that opened them; other principals cannot post to them
  */
 import express from 'express';
 import http from 'node:http';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  PROTECTED_RESOURCE_METADATA_PATH,
+  normalizeAuthOptions,
+  createAuthMiddleware,
+  protectedResourceMetadataHandler,
+  isSamePrincipal
+} from './auth.js';
+import { ErrorCode } from '../core/errors.js';
+import { isLevelEnabled } from '../core/logger.js';
 
 class HttpSseTransport {
   constructor(options = {}) {
@@ -19,21 +49,38 @@ class HttpSseTransport {
       host: options.host || 'localhost',
       endpoint: options.endpoint || '/sse',
       cors: options.cors !== false,
+      replayBufferSize: 100,
+      reconnectGracePeriod: 30000,
+      keepAliveInterval: 30000,
       ...options
     };
     
+    // Bearer token authentication - null when disabled
+    this._auth = normalizeAuthOptions(this.options.auth);
+    
     // Initialize Express app
     this.app = express();
     this._server = null;
     this._started = false;
     
     // Session management - single endpoint approach
+    // sessionId => { res, createdAt, ip, principal, lastEventId, events, keepAliveInterval, graceTimer }
+    // res is null while the client is disconnected; events is the replay buffer of { id, data }
     this._sessions = {};
     
     // Event handlers
-    this.onmessage = null;  // (message, sessionId) => void
-    this.onclose = null;    // () => void
+    this.onmessage = null;  // (message, sessionId, { principal }) => void
+    this.onclose = null;    // () => void - Called when the whole transport is closed
+    this.onsessionopen = null;  // (sessionId) => void - Called when a new client connects
+    this.onsessionclose = null; // (sessionId) => void - Called when a single client disconnects
     this.onerror = null;    // (error) => void
+    this.onstatus = null;   // () => object - Aggregate limiter state from the server, shown on /status
+    
+    // Prometheus metrics - set by options.metrics or by McpServer.connect
+    this.metrics = options.metrics ?? null;
+    
+    // Logger for sessions and traffic - set by McpServer.connect
+    this.logger = null;
     
     // Configure Express
     this._configureExpress();
@@ -47,8 +94,10 @@ class HttpSseTransport {
     if (this.options.cors) {
       this.app.use((req, res, next) => {
         res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-ID');
+        // DELETE and Mcp-Session-Id let a StreamableHttpTransport share this app
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET, DELETE');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Session-ID, Mcp-Session-Id, Last-Event-ID');
+        res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id, WWW-Authenticate');
         
         if (req.method === 'OPTIONS') {
           res.status(204).end();
@@ -69,12 +118,34 @@ class HttpSseTransport {
       res.json({
         status: 'ok',
         sessions: Object.keys(this._sessions).length,
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        limits: {
+          maxSessionsPerIp: this.options.maxSessionsPerIp ?? null,
+          clientAddresses: Object.keys(this._countSessionsPerIp()).length,
+          ...this.onstatus?.()
+        }
       });
     });
     
+    // Prometheus metrics endpoint - only when there is a registry to serve
+    this.app.get('/metrics', (req, res) => {
+      if (!this.metrics) {
+        res.status(404).send('Metrics are not enabled');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(this.metrics.render());
+    });
+    
+    // With auth enabled, advertise how to get a token and check it on the MCP endpoint
+    const endpointMiddleware = [];
+    if (this._auth) {
+      this.app.get(PROTECTED_RESOURCE_METADATA_PATH, protectedResourceMetadataHandler(this._auth, this.options));
+      endpointMiddleware.push(createAuthMiddleware(this._auth, this.options));
+    }
+    
     // Main MCP endpoint - handles both SSE and JSON-RPC
-    this.app.all(this.options.endpoint, (req, res) => {
+    this.app.all(this.options.endpoint, ...endpointMiddleware, (req, res) => {
       if (req.method === 'GET') {
         // SSE connection
         this._handleSseConnection(req, res);
@@ -85,6 +156,18 @@ class HttpSseTransport {
         res.status(405).send('Method Not Allowed');
       }
     });
+    
+    // Malformed JSON bodies are JSON-RPC parse errors
+    this.app.use(this.options.endpoint, (err, req, res, next) => {
+      if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+          jsonrpc: '2.0',
+          error: { code: ErrorCode.ParseError, message: 'Parse error', data: err.message },
+          id: null
+        });
+      }
+      next(err);
+    });
   }
 
   async start() {
@@ -101,6 +184,8 @@ class HttpSseTransport {
       
       this._server.listen(this.options.port, this.options.host, () => {
         this._started = true;
+        // Port 0 picks a free port - keep the one we actually got
+        this.options.port = this._server.address().port;
         console.error(`HTTP+SSE transport started at http://${this.options.host}:${this.options.port}${this.options.endpoint}`);
         resolve();
       });
@@ -109,7 +194,7 @@ class HttpSseTransport {
 
   async close() {
     if (!this._started) {
-      console.error('HttpSseTransport: Already closed');
+      this._log('debug', 'HttpSseTransport: Already closed');
       return;
     }
     
@@ -118,23 +203,24 @@ class HttpSseTransport {
       for (const sessionId in this._sessions) {
         try {
           const session = this._sessions[sessionId];
-          session.res.end();
+          clearTimeout(session.graceTimer);
+          this._detachStream(session);
           delete this._sessions[sessionId];
         } catch (err) {
-          console.error(`Error closing session ${sessionId}:`, err);
+          this._log('warning', `Error closing session ${sessionId}:`, err);
         }
       }
       
       // Close the HTTP server
       this._server.close((err) => {
         if (err) {
-          console.error('Error closing HTTP server:', err);
+          this._log('error', 'Error closing HTTP server:', err);
           reject(err);
           return;
         }
         
         this._started = false;
-        console.error('HttpSseTransport: Server closed');
+        this._log('info', 'HttpSseTransport: Server closed');
         
         if (this.onclose) this.onclose();
         resolve();
@@ -143,47 +229,140 @@ class HttpSseTransport {
   }
 
   // Send a message to a specific session
+  // Notifications without a session ID (e.g. list_changed) are broadcast to all sessions
   async send(message, sessionId) {
     if (!this._started) {
       throw new Error('HttpSseTransport not started');
     }
     
-    // Log the message being sent for debugging
-    console.error(`Sending message to session ${sessionId}:`, message);
+    this._log('debug', `Sending message to session ${sessionId}:`, message);
+    
+    if (!sessionId && !('id' in message)) {
+      for (const id of Object.keys(this._sessions)) {
+        await this.send(message, id).catch(() => {});
+      }
+      return true;
+    }
     
     if (!sessionId) {
-      console.error(`No session ID provided for message:`, message);
+      this._log('debug', 'No session ID provided for message:', message);
       throw new Error('No session ID provided');
     }
     
+    // The session may have ended while the message was being handled - nobody to deliver to
     const session = this._sessions[sessionId];
     if (!session) {
-      console.error(`Session ${sessionId} not found. Available: ${Object.keys(this._sessions).join(', ')}`);
-      throw new Error(`Session ${sessionId} not found`);
+      this._log('warning', `Session ${sessionId} not found, dropping message`);
+      return false;
     }
     
-    try {
-      // Send with event name "message" per MCP spec
-      const data = JSON.stringify(message);
-      session.res.write(`event: message\ndata: ${data}\n\n`);
+    // Number and buffer every event so a reconnecting client can replay what it missed
+    const event = { id: ++session.lastEventId, data: JSON.stringify(message) };
+    session.events.push(event);
+    if (session.events.length > this.options.replayBufferSize) {
+      session.events.shift();
+    }
+    
+    // Disconnected clients get the event when they reconnect
+    if (!session.res) {
+      this._log('debug', `Session ${sessionId} is disconnected, buffered event ${event.id}`);
       return true;
+    }
+    
+    try {
+      this._writeEvent(session.res, event);
     } catch (error) {
-      console.error(`Error sending to session ${sessionId}:`, error);
-      // Remove dead sessions
-      if (error.code === 'ERR_STREAM_WRITE_AFTER_END') {
-        console.error(`Removing dead session ${sessionId}`);
-        delete this._sessions[sessionId];
-      }
-      throw error;
+      // The event stays buffered for a reconnect
+      this._log('error', `Error sending to session ${sessionId}:`, error);
+    }
+    return true;
+  }
+
+  // IDs of the sessions that are connected or within their reconnect grace period
+  get sessionIds() {
+    return Object.keys(this._sessions);
+  }
+
+  // End a single session: close its stream and forget it, so the client cannot resume it
+  closeSession(sessionId) {
+    const session = this._sessions[sessionId];
+    if (!session) return;
+    
+    clearTimeout(session.graceTimer);
+    this._detachStream(session);
+    delete this._sessions[sessionId];
+    
+    // Only this client is gone - the transport keeps serving the others
+    if (this.onsessionclose) {
+      this.onsessionclose(sessionId);
+    }
+  }
+
+  // Write a message event - with event name "message" per MCP spec
+  _writeEvent(res, event) {
+    this._write(res, `id: ${event.id}\nevent: message\ndata: ${event.data}\n\n`);
+  }
+
+  // Write to an SSE stream, counting the bytes for /metrics
+  _write(res, chunk, callback) {
+    this.metrics?.sseBytesWritten.inc({}, Buffer.byteLength(chunk));
+    return res.write(chunk, callback);
+  }
+
+  // Attach a session's SSE stream
+  _attachStream(session, res) {
+    session.res = res;
+    this.metrics?.sseSessions.inc();
+  }
+
+  // End a session's SSE stream, if it has one
+  _detachStream(session) {
+    clearInterval(session.keepAliveInterval);
+    if (!session.res) return;
+    
+    if (!session.res.writableEnded) {
+      session.res.end();
     }
+    session.res = null;
+    this.metrics?.sseSessions.dec();
   }
 
   // Handle SSE connection
   _handleSseConnection(req, res) {
     // Use the sessionId from the query parameter if provided, otherwise generate a new one
     const sessionId = req.query.sessionId || uuidv4();
+    let session = this._sessions[sessionId];
     
-    console.error(`New SSE connection established, sessionId: ${sessionId}`);
+    // A client resuming a session that already expired has to start over
+    if (!session && req.headers['last-event-id'] !== undefined) {
+      res.status(404).send('Session not found');
+      return;
+    }
+    
+    // Too many sessions from this address - disconnected sessions free up after the grace period
+    if (!session && this.options.maxSessionsPerIp && (this._countSessionsPerIp()[req.ip] || 0) >= this.options.maxSessionsPerIp) {
+      const retryAfter = Math.max(1, Math.ceil(this.options.reconnectGracePeriod / 1000));
+      this._log('warning', `Rejecting SSE connection from ${req.ip}: session limit reached`);
+      res.setHeader('Retry-After', String(retryAfter));
+      res.status(429).json({
+        jsonrpc: '2.0',
+        error: {
+          code: ErrorCode.RateLimited,
+          message: `Too many sessions from this address (max ${this.options.maxSessionsPerIp})`,
+          data: { retryAfter, limit: 'maxSessionsPerIp' }
+        },
+        id: null
+      });
+      return;
+    }
+    
+    // Only the principal that opened a session can resume it
+    if (session && !isSamePrincipal(session.principal, req.auth)) {
+      res.status(403).send('Session belongs to another principal');
+      return;
+    }
+    
+    this._log('info', `${session ? 'SSE connection resumed' : 'New SSE connection established'}, sessionId: ${sessionId}`);
     
     // Set SSE headers
     res.writeHead(200, {
@@ -193,34 +372,103 @@ class HttpSseTransport {
     });
     
     // Following the official SDK, send an "endpoint" event with the URL to post to
+    // It has no id, so it does not change the client's last event ID
     const endpointUrl = `${this.options.endpoint}?sessionId=${sessionId}`;
-    res.write(`event: endpoint\ndata: ${encodeURI(endpointUrl)}\n\n`);
+    this._write(res, `event: endpoint\ndata: ${encodeURI(endpointUrl)}\n\n`);
     
-    // Store the session
-    this._sessions[sessionId] = {
-      res: res,
-      createdAt: new Date()
-    };
+    if (session) {
+      // Resume: the new stream replaces any previous one (which may not have noticed the drop yet)
+      clearTimeout(session.graceTimer);
+      this._detachStream(session);
+      this._attachStream(session, res);
+      this._replayEvents(session, req.headers['last-event-id']);
+    } else {
+      // Store the session
+      session = {
+        res: null,
+        createdAt: new Date(),
+        ip: req.ip,
+        principal: req.auth ?? null,
+        lastEventId: 0,
+        events: []
+      };
+      this._sessions[sessionId] = session;
+      this._attachStream(session, res);
+      this.onsessionopen?.(sessionId);
+    }
     
     // Handle disconnection
     req.on('close', () => {
-      console.error(`SSE connection closed, sessionId: ${sessionId}`);
-      delete this._sessions[sessionId];
+      // A newer connection already took over this session
+      if (session.res !== res) return;
       
-      if (this.onclose) {
-        this.onclose();
-      }
+      this._log('info', `SSE connection closed, sessionId: ${sessionId}`);
+      this._detachStream(session);
+      this._scheduleSessionExpiry(sessionId, session);
     });
     
-    // Keep-alive by sending a comment every 30 seconds
-    const keepAliveInterval = setInterval(() => {
+    // Keep-alive by sending a comment every keepAliveInterval ms (default 30 seconds)
+    // A failed write means the client is gone without the socket noticing yet
+    // The socket's close event comes later and finds the stream already detached,
+    // so the grace period starts here
+    const keepAliveFailed = () => {
+      this.metrics?.sseKeepaliveFailures.inc();
+      if (session.res !== res) return;
+      this._detachStream(session);
+      this._scheduleSessionExpiry(sessionId, session);
+    };
+    session.keepAliveInterval = setInterval(() => {
       try {
-        res.write(': keepalive\n\n');
+        this._write(res, ': keepalive\n\n', (error) => {
+          if (error) keepAliveFailed();
+        });
       } catch (error) {
-        clearInterval(keepAliveInterval);
-        delete this._sessions[sessionId];
+        keepAliveFailed();
       }
-    }, 30000);
+    }, this.options.keepAliveInterval);
+  }
+
+  // Keep a disconnected session for a while so the client can reconnect and resume it
+  _scheduleSessionExpiry(sessionId, session) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = setTimeout(() => {
+      this._log('info', `Session ${sessionId} did not reconnect, closing it`);
+      this.closeSession(sessionId);
+    }, this.options.reconnectGracePeriod);
+  }
+
+  // Log through the server's logger; before connect, only warnings and errors reach stderr
+  // Startup messages and fatal server errors always go to stderr directly
+  _log(level, ...args) {
+    if (this.logger) {
+      this.logger.log(level, ...args);
+    } else if (isLevelEnabled(level, 'warning')) {
+      console.error(...args);
+    }
+  }
+
+  // Number of sessions (connected or within their grace period) per client address
+  _countSessionsPerIp() {
+    const counts = {};
+    for (const session of Object.values(this._sessions)) {
+      counts[session.ip] = (counts[session.ip] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Send a resumed client every buffered event after the last one it received
+  _replayEvents(session, lastEventIdHeader) {
+    const lastEventId = parseInt(lastEventIdHeader, 10);
+    if (Number.isNaN(lastEventId)) return;
+    
+    const missed = session.events.filter(event => event.id > lastEventId);
+    if (missed.length > 0 && missed[0].id > lastEventId + 1) {
+      this._log('warning', `Replay buffer overflowed, events ${lastEventId + 1}-${missed[0].id - 1} are lost`);
+    }
+    
+    for (const event of missed) {
+      this._writeEvent(session.res, event);
+    }
   }
 
   // Handle JSON-RPC request
@@ -228,12 +476,12 @@ class HttpSseTransport {
     try {
       const message = req.body;
       
-      // Basic validation
-      if (!message || !message.jsonrpc || message.jsonrpc !== '2.0') {
+      // Basic validation - batches (arrays) are validated entry by entry by the server
+      if (!Array.isArray(message) && (!message || !message.jsonrpc || message.jsonrpc !== '2.0')) {
         return res.status(400).json({
           jsonrpc: '2.0',
           error: {
-            code: -32600,
+            code: ErrorCode.InvalidRequest,
             message: 'Invalid Request',
             data: 'Not a valid JSON-RPC 2.0 request'
           },
@@ -251,42 +499,64 @@ class HttpSseTransport {
         const sessions = Object.keys(this._sessions);
         if (sessions.length === 1) {
           autoSelectedSession = sessions[0];
-          console.error(`No session ID provided, auto-selecting ${autoSelectedSession}`);
+          this._log('debug', `No session ID provided, auto-selecting ${autoSelectedSession}`);
         } else {
           return res.status(400).json({
             jsonrpc: '2.0',
             error: {
-              code: -32600,
+              code: ErrorCode.InvalidRequest,
               message: 'No session ID provided'
             },
-            id: message.id || null
+            id: message.id ?? null
           });
         }
       }
       
-      // Store sessionId in the message for processing
+      // Messages must go to an existing session, owned by the same principal
+      const session = this._sessions[sessionId || autoSelectedSession];
+      if (!session) {
+        return res.status(404).json({
+          jsonrpc: '2.0',
+          error: { code: ErrorCode.InvalidRequest, message: 'Session not found' },
+          id: message.id ?? null
+        });
+      }
+      if (session && !isSamePrincipal(session.principal, req.auth)) {
+        return res.status(403).json({
+          jsonrpc: '2.0',
+          error: { code: ErrorCode.InvalidRequest, message: 'Session belongs to another principal' },
+          id: message.id ?? null
+        });
+      }
+      
+      // Store sessionId in the message (and each batch entry) for processing
       message._sessionId = sessionId || autoSelectedSession;
+      if (Array.isArray(message)) {
+        for (const entry of message) {
+          if (entry && typeof entry === 'object') entry._sessionId = message._sessionId;
+        }
+      }
       
-      console.error(`Received message from session ${message._sessionId}:`, message);
+      this._log('debug', `Received message from session ${message._sessionId}:`, message);
       
       // Pass message to the onmessage handler
       if (this.onmessage) {
         try {
-          this.onmessage(message, message._sessionId);
+          this.onmessage(message, message._sessionId, { principal: req.auth ?? null });
         } catch (error) {
-          console.error('Error in onmessage handler:', error);
+          this._log('error', 'Error in onmessage handler:', error);
         }
       }
       
       // Send an immediate 202 Accepted response
       res.status(202).json({ status: 'accepted' });
     } catch (error) {
-      console.error('Error handling JSON-RPC request:', error);
+      this._log('error', 'Error handling JSON-RPC request:', error);
       
       res.status(500).json({
         jsonrpc: '2.0',
         error: {
-          code: -32603,
+          code: ErrorCode.InternalError,
           message: 'Internal error',
           data: error.message
         },
@@ -0,0 +1,101 @@
+// InMemoryTransport connects a client and a server inside the same process
+//
+// It implements the same contract as StdioTransport and the client transports:
+// start(), send(message), close() and the onmessage, onclose and onerror callbacks.
+// Use createLinkedPair() to get two connected ends - one for McpClient, one for McpServer:
+//
+//   const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+//   await server.connect(serverTransport);
+//   await client.connect(clientTransport);
+//
+// Messages are delivered asynchronously and go through a JSON round trip,
+// so both ends behave as if they were talking over a real wire.
+
+class InMemoryTransport {
+  constructor() {
+    // The other end of the pair
+    this._peer = null;
+
+    // Messages sent to us before start() - delivered once started
+    this._queue = [];
+
+    this._started = false;
+    this._closed = false;
+
+    // Event handlers that can be set by the client or server
+    this.onmessage = null;  // (message: object) => void - Called for each message from the peer
+    this.onclose = null;    // () => void - Called when either end closes the pair
+    this.onerror = null;    // (error: Error) => void - Called when an error occurs
+  }
+
+  // Create two transports connected to each other: [clientTransport, serverTransport]
+  static createLinkedPair() {
+    const clientTransport = new InMemoryTransport();
+    const serverTransport = new InMemoryTransport();
+    clientTransport._peer = serverTransport;
+    serverTransport._peer = clientTransport;
+    return [clientTransport, serverTransport];
+  }
+
+  async start() {
+    if (this._started) throw new Error('InMemoryTransport already started!');
+    if (this._closed) throw new Error('InMemoryTransport is closed');
+
+    this._started = true;
+
+    // Deliver what the peer sent before we were listening
+    const queued = this._queue;
+    this._queue = [];
+    for (const message of queued) {
+      this._deliver(message);
+    }
+  }
+
+  async send(message) {
+    if (this._closed || !this._peer) {
+      throw new Error('Cannot send message: transport not connected');
+    }
+
+    // Serialize like a real transport would, so non-JSON values fail here
+    this._peer._receive(JSON.stringify(message));
+  }
+
+  // Closing either end closes both
+  async close() {
+    if (this._closed) return;
+    this._closed = true;
+
+    const peer = this._peer;
+    this._peer = null;
+    this._queue = [];
+    this.onclose?.();
+
+    await peer?.close();
+  }
+
+  _receive(data) {
+    if (this._closed) return;
+
+    const message = JSON.parse(data);
+    if (!this._started) {
+      this._queue.push(message);
+      return;
+    }
+    this._deliver(message);
+  }
+
+  // Deliver on a later tick, as the other transports do
+  _deliver(message) {
+    setImmediate(() => {
+      if (this._closed) return;
+
+      try {
+        this.onmessage?.(message);
+      } catch (error) {
+        this.onerror?.(error);
+      }
+    });
+  }
+}
+
+export { InMemoryTransport };
@@ -5,4 +5,8 @@
  */
 
 export { StdioTransport } from './stdio-transport.js';
-export { HttpSseTransport } from './http-sse-transport.js'; 
+export { HttpSseTransport } from './http-sse-transport.js';
+export { StreamableHttpTransport } from './streamable-http-transport.js';
+export { InMemoryTransport } from './in-memory-transport.js';
+
+export { apiKeyVerifier, jwtVerifier, AuthError } from './auth.js';
@@ -7,6 +7,9 @@
 // 3. Only valid MCP messages can be written to stdout
 // 4. Logging is allowed on stderr
 // 5. Messages are UTF-8 encoded
+import { format } from 'node:util';
+import { ErrorCode } from '../core/errors.js';
+import { isLevelEnabled } from '../core/logger.js';
 
 class StdioTransport {
   constructor(stdin = process.stdin, stdout = process.stdout, stderr = process.stderr) {
@@ -27,6 +30,9 @@ class StdioTransport {
     this.onclose = null;    // () => void - Called when the transport is closed
     this.onerror = null;    // (error: Error) => void - Called when an error occurs
     
+    // Logger for traffic and lifecycle messages - set by McpServer.connect
+    this.logger = null;
+    
     // Ensure streams are in correct mode
     this._stdin.setEncoding('utf8');  // Ensure UTF-8 encoding for input
   }
@@ -47,7 +53,7 @@ class StdioTransport {
 
   async close() {
     if (!this._started) {
-      this._stderr.write('StdioTransport: Already closed\n');
+      this._log('debug', 'StdioTransport: Already closed');
       return;
     }
     
@@ -69,7 +75,7 @@ class StdioTransport {
     this.onclose?.();
     
     // Log transport closure (allowed on stderr)
-    this._stderr.write('StdioTransport: Closed\n');
+    this._log('info', 'StdioTransport: Closed');
   }
 
   async send(message) {
@@ -118,21 +124,44 @@ class StdioTransport {
       // Skip empty lines
       if (!line.trim()) continue;
       
+      let message;
       try {
         // Try to parse line as JSON
-        const message = JSON.parse(line);
-        
-        // Log received message for debugging (allowed on stderr)
-        this._stderr.write(`StdioTransport: Received message: ${line}\n`);
-        
-        // Notify listeners about the message
-        this.onmessage?.(message);
+        message = JSON.parse(line);
       } catch (error) {
-        // If parsing fails, notify error listeners
+        // If parsing fails, notify error listeners and answer with a JSON-RPC parse error
+        // (the request ID is unknown, so the response carries id: null)
         const parseError = new Error(`Failed to parse JSON: ${error.message}`);
-        this._stderr.write(`StdioTransport: ${parseError.message}\n`);
+        this._log('debug', `StdioTransport: ${parseError.message}`);
         this.onerror?.(parseError);
+        this.send({
+          jsonrpc: '2.0',
+          id: null,
+          error: { code: ErrorCode.ParseError, message: 'Parse error', data: error.message }
+        }).catch(sendError => this.onerror?.(sendError));
+        continue;
       }
+      
+      this._log('debug', `StdioTransport: Received message: ${line}`);
+      
+      try {
+        // Notify listeners about the message
+        this.onmessage?.(message);
+      } catch (error) {
+        // A failing handler must not stop the lines after it from being read
+        this._log('debug', `StdioTransport: Error handling message: ${error.message}`);
+        this.onerror?.(error);
+      }
+    }
+  }
+
+  // Log through the server's logger (it also writes to stderr); before connect, only
+  // warnings and errors are written. The start message and stdin errors always go to stderr
+  _log(level, ...args) {
+    if (this.logger) {
+      this.logger.log(level, ...args);
+    } else if (isLevelEnabled(level, 'warning')) {
+      this._stderr.write(`${format(...args)}\n`);
     }
   }
 
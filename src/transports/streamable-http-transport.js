@@ -0,0 +1,536 @@
+/**
+ * StreamableHttpTransport implements the MCP Streamable HTTP transport specification
+ * See: https://spec.modelcontextprotocol.io/specification/2025-03-26/basic/transports/#streamable-http
+ *
+ * Key features:
+ * 1. A single endpoint handles POST, GET and DELETE
+ * 2. Client sends JSON-RPC messages via HTTP POST; requests are answered on the POST
+ *    itself, either as a JSON response or as an SSE stream
+ * 3. Server assigns an Mcp-Session-Id header on initialize; clients echo it on every request
+ * 4. Client can open a GET SSE stream to receive server-initiated messages
+ * 5. Client ends the session with DELETE
+ *
+ * This replaces the HTTP+SSE transport from the 2024-11-05 spec (see HttpSseTransport).
+ * Both can run side by side on the same Express app by passing `app` in the options.
+ *
+ * Pass `auth` to require bearer tokens (see auth.js); a session can only be used by the
+ * principal that initialized it.
+ *
+ * Sessions end on DELETE, or after `sessionIdleTimeout` ms (default 30 minutes, 0 disables)
+ * without requests while no stream is open. SSE streams get a keepalive comment every
+ * `keepAliveInterval` ms (default 30s).
+ */
+import express from 'express';
+import http from 'node:http';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  PROTECTED_RESOURCE_METADATA_PATH,
+  normalizeAuthOptions,
+  createAuthMiddleware,
+  protectedResourceMetadataHandler,
+  isSamePrincipal
+} from './auth.js';
+import { ErrorCode } from '../core/errors.js';
+import { isLevelEnabled } from '../core/logger.js';
+
+const SESSION_HEADER = 'mcp-session-id';
+
+class StreamableHttpTransport {
+  constructor(options = {}) {
+    // Default options
+    this.options = {
+      port: options.port || 5000,
+      host: options.host || 'localhost',
+      endpoint: options.endpoint || '/mcp',
+      cors: options.cors !== false,
+      // Answer POSTed requests with a single JSON body instead of an SSE stream
+      enableJsonResponse: options.enableJsonResponse || false,
+      sessionIdleTimeout: 30 * 60 * 1000,
+      keepAliveInterval: 30000,
+      ...options
+    };
+
+    // Bearer token authentication - null when disabled
+    this._auth = normalizeAuthOptions(this.options.auth);
+
+    // Mount on an existing Express app (e.g. HttpSseTransport.app) or create our own
+    this.app = options.app || express();
+    this._ownsApp = !options.app;
+    this._server = null;
+    this._started = false;
+
+    // Session management - sessionId => { createdAt, principal, stream, requestStreams, idleTimer }
+    // stream: the GET SSE response for server-initiated messages
+    // requestStreams: request ID => the POST stream that will carry its response
+    // idleTimer: ends the session after sessionIdleTimeout ms without activity
+    this._sessions = {};
+
+    // Event handlers
+    this.onmessage = null;  // (message, sessionId, { principal }) => void
+    this.onclose = null;    // () => void - Called when the whole transport is closed
+    this.onsessionopen = null;  // (sessionId) => void - Called when initialize starts a session
+    this.onsessionclose = null; // (sessionId) => void - Called when a single session ends
+    this.onerror = null;    // (error) => void
+
+    // Logger for sessions and traffic - set by McpServer.connect
+    this.logger = null;
+
+    // Configure Express
+    this._configureExpress();
+  }
+
+  _configureExpress() {
+    const router = express.Router();
+
+    // Parse JSON bodies
+    router.use(this.options.endpoint, express.json());
+
+    // Add CORS middleware if enabled
+    if (this.options.cors) {
+      router.use(this.options.endpoint, (req, res, next) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, GET, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Mcp-Session-Id, Last-Event-ID');
+        res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id, WWW-Authenticate');
+
+        if (req.method === 'OPTIONS') {
+          res.status(204).end();
+          return;
+        }
+
+        next();
+      });
+    }
+
+    // With auth enabled, advertise how to get a token and check it on the MCP endpoint
+    // (a shared app may already serve the metadata document)
+    const endpointMiddleware = [];
+    if (this._auth) {
+      router.get(PROTECTED_RESOURCE_METADATA_PATH, protectedResourceMetadataHandler(this._auth, this.options));
+      endpointMiddleware.push(createAuthMiddleware(this._auth, this.options));
+    }
+
+    // Main MCP endpoint
+    router.all(this.options.endpoint, ...endpointMiddleware, (req, res) => {
+      if (req.method === 'POST') {
+        this._handlePost(req, res);
+      } else if (req.method === 'GET') {
+        this._handleGet(req, res);
+      } else if (req.method === 'DELETE') {
+        this._handleDelete(req, res);
+      } else {
+        res.status(405).set('Allow', 'GET, POST, DELETE').send('Method Not Allowed');
+      }
+    });
+
+    this.app.use(router);
+
+    // Malformed JSON bodies are JSON-RPC parse errors
+    // Registered on the app so it also catches errors from a shared app's own body parser
+    this.app.use(this.options.endpoint, (err, req, res, next) => {
+      if (err.type === 'entity.parse.failed') {
+        return this._sendHttpError(res, 400, ErrorCode.ParseError, 'Parse error');
+      }
+      next(err);
+    });
+  }
+
+  async start() {
+    if (this._started) throw new Error('StreamableHttpTransport already started!');
+
+    // When mounted on another app, that app's server does the listening
+    if (!this._ownsApp) {
+      this._started = true;
+      console.error(`Streamable HTTP transport mounted at ${this.options.endpoint}`);
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      this._server = http.createServer(this.app);
+
+      this._server.on('error', (err) => {
+        console.error('HTTP server error:', err);
+        if (this.onerror) this.onerror(err);
+        reject(err);
+      });
+
+      this._server.listen(this.options.port, this.options.host, () => {
+        this._started = true;
+        // Port 0 picks a free port - keep the one we actually got
+        this.options.port = this._server.address().port;
+        console.error(`Streamable HTTP transport started at http://${this.options.host}:${this.options.port}${this.options.endpoint}`);
+        resolve();
+      });
+    });
+  }
+
+  async close() {
+    if (!this._started) {
+      this._log('debug', 'StreamableHttpTransport: Already closed');
+      return;
+    }
+
+    // End all open streams
+    for (const sessionId of Object.keys(this._sessions)) {
+      this._closeSession(sessionId);
+    }
+
+    this._started = false;
+
+    if (this._server) {
+      await new Promise((resolve, reject) => {
+        this._server.close((err) => (err ? reject(err) : resolve()));
+      });
+      this._server = null;
+    }
+
+    this._log('info', 'StreamableHttpTransport: Closed');
+    if (this.onclose) this.onclose();
+  }
+
+  // Send a message to a specific session
+  // Responses go back on the POST that carried the request; other messages go on the
+  // session's GET stream, falling back to any open POST stream of the session
+  async send(message, sessionId) {
+    if (!this._started) {
+      throw new Error('StreamableHttpTransport not started');
+    }
+
+    // Batched responses are routed entry by entry
+    if (Array.isArray(message)) {
+      for (const entry of message) {
+        await this.send(entry, sessionId);
+      }
+      return true;
+    }
+
+    // Notifications without a session ID (e.g. list_changed) are broadcast to all sessions
+    if (!sessionId && !('id' in message)) {
+      for (const id of Object.keys(this._sessions)) {
+        await this.send(message, id).catch(() => {});
+      }
+      return true;
+    }
+
+    // The session may have ended while the message was being handled - nobody to deliver to
+    const session = this._sessions[sessionId];
+    if (!session) {
+      this._log('warning', `Session ${sessionId} not found, dropping message`);
+      return false;
+    }
+
+    const isResponse = 'id' in message && ('result' in message || 'error' in message);
+    if (isResponse) {
+      // The client closed the POST before the response was ready - it no longer waits for it
+      const stream = session.requestStreams.get(message.id);
+      if (!stream) {
+        this._log('debug', `No open stream for response ${message.id} in session ${sessionId}, dropping it`);
+        return false;
+      }
+      session.requestStreams.delete(message.id);
+      this._writeResponse(stream, message);
+      return true;
+    }
+
+    const stream = session.stream || this._findOpenSseStream(session);
+    if (!stream) {
+      throw new Error(`No open stream for session ${sessionId}`);
+    }
+    this._writeEvent(stream.res, message);
+    return true;
+  }
+
+  // Handle POST - one JSON-RPC message or a batch of them
+  _handlePost(req, res) {
+    const accept = req.headers.accept || '';
+    if (!accept.includes('application/json') || !accept.includes('text/event-stream')) {
+      return this._sendHttpError(res, 406, ErrorCode.BadRequest, 'Not Acceptable: Client must accept both application/json and text/event-stream');
+    }
+
+    const body = req.body;
+    const messages = Array.isArray(body) ? body : [body];
+    if (messages.length === 0 || messages.some(message => !message || message.jsonrpc !== '2.0')) {
+      return this._sendHttpError(res, 400, ErrorCode.InvalidRequest, 'Invalid Request: Not a valid JSON-RPC 2.0 message');
+    }
+
+    // initialize starts a new session; everything else must belong to an existing one
+    const isInitialize = messages.some(message => message.method === 'initialize');
+    let sessionId = req.headers[SESSION_HEADER];
+
+    if (isInitialize) {
+      if (messages.length > 1) {
+        return this._sendHttpError(res, 400, ErrorCode.InvalidRequest, 'Invalid Request: initialize must not be part of a batch');
+      }
+      sessionId = uuidv4();
+      this._sessions[sessionId] = {
+        createdAt: new Date(),
+        principal: req.auth ?? null,
+        stream: null,
+        requestStreams: new Map()
+      };
+      this._log('info', `New Streamable HTTP session: ${sessionId}`);
+      this.onsessionopen?.(sessionId);
+    } else {
+      if (!sessionId) {
+        return this._sendHttpError(res, 400, ErrorCode.BadRequest, 'Bad Request: Mcp-Session-Id header is required');
+      }
+      if (!this._sessions[sessionId]) {
+        return this._sendHttpError(res, 404, ErrorCode.SessionNotFound, 'Session not found');
+      }
+      if (!isSamePrincipal(this._sessions[sessionId].principal, req.auth)) {
+        return this._sendHttpError(res, 403, ErrorCode.BadRequest, 'Forbidden: Session belongs to another principal');
+      }
+    }
+
+    const session = this._sessions[sessionId];
+    res.setHeader('Mcp-Session-Id', sessionId);
+    this._touchSession(sessionId);
+
+    const requests = messages.filter(message => 'id' in message && 'method' in message);
+
+    // Responses are routed back by request ID, so IDs must be unique among the session's open requests
+    const ids = requests.map(request => request.id);
+    if (new Set(ids).size < ids.length || ids.some(id => session.requestStreams.has(id))) {
+      return this._sendHttpError(res, 400, ErrorCode.InvalidRequest, 'Invalid Request: duplicate request id');
+    }
+
+    // Only notifications and responses - nothing to answer
+    if (requests.length === 0) {
+      res.status(202).end();
+      this._dispatch(body, sessionId, req.auth);
+      return;
+    }
+
+    // Requests are answered on this POST, either streamed or as one JSON body
+    const stream = {
+      res,
+      sse: !this.options.enableJsonResponse,
+      batch: Array.isArray(body),
+      pending: new Set(requests.map(request => request.id)),
+      responses: []
+    };
+
+    for (const request of requests) {
+      session.requestStreams.set(request.id, stream);
+    }
+
+    if (stream.sse) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+    }
+
+    // Forget the pending requests if the client goes away before we answer
+    res.on('close', () => {
+      for (const id of stream.pending) {
+        if (session.requestStreams.get(id) === stream) {
+          session.requestStreams.delete(id);
+        }
+      }
+      stream.pending.clear();
+    });
+
+    this._dispatch(body, sessionId, req.auth);
+  }
+
+  // Handle GET - SSE stream for server-initiated messages
+  _handleGet(req, res) {
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      return this._sendHttpError(res, 406, ErrorCode.BadRequest, 'Not Acceptable: Client must accept text/event-stream');
+    }
+
+    const session = this._getSessionFromRequest(req, res);
+    if (!session) return;
+
+    // Only one standalone stream per session
+    if (session.stream) {
+      return this._sendHttpError(res, 409, ErrorCode.BadRequest, 'Conflict: Only one SSE stream is allowed per session');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Mcp-Session-Id': req.headers[SESSION_HEADER]
+    });
+
+    // Keep-alive by sending a comment every keepAliveInterval ms
+    const keepAliveInterval = setInterval(() => {
+      try {
+        res.write(': keepalive\n\n');
+      } catch (error) {
+        clearInterval(keepAliveInterval);
+      }
+    }, this.options.keepAliveInterval);
+
+    session.stream = { res, keepAliveInterval };
+
+    req.on('close', () => {
+      clearInterval(keepAliveInterval);
+      if (session.stream?.res === res) {
+        session.stream = null;
+      }
+      this._touchSession(req.headers[SESSION_HEADER]);
+    });
+  }
+
+  // Handle DELETE - client ends the session
+  _handleDelete(req, res) {
+    const session = this._getSessionFromRequest(req, res);
+    if (!session) return;
+
+    const sessionId = req.headers[SESSION_HEADER];
+    this._closeSession(sessionId);
+    this._log('info', `Streamable HTTP session terminated by client: ${sessionId}`);
+    res.status(200).end();
+  }
+
+  // Look up the session named by the Mcp-Session-Id header, answering with an error if invalid
+  _getSessionFromRequest(req, res) {
+    const sessionId = req.headers[SESSION_HEADER];
+    if (!sessionId) {
+      this._sendHttpError(res, 400, ErrorCode.BadRequest, 'Bad Request: Mcp-Session-Id header is required');
+      return null;
+    }
+
+    const session = this._sessions[sessionId];
+    if (!session) {
+      this._sendHttpError(res, 404, ErrorCode.SessionNotFound, 'Session not found');
+      return null;
+    }
+
+    if (!isSamePrincipal(session.principal, req.auth)) {
+      this._sendHttpError(res, 403, ErrorCode.BadRequest, 'Forbidden: Session belongs to another principal');
+      return null;
+    }
+
+    return session;
+  }
+
+  // Pass a received message or batch to the onmessage handler
+  _dispatch(message, sessionId, principal) {
+    if (!this.onmessage) return;
+
+    // Store sessionId in the message (and each batch entry) for processing
+    for (const entry of [].concat(message)) {
+      entry._sessionId = sessionId;
+      if (entry.method === 'notifications/cancelled') {
+        this._cancelRequest(this._sessions[sessionId], entry.params?.requestId);
+      }
+    }
+
+    try {
+      this.onmessage(message, sessionId, { principal: principal ?? null });
+    } catch (error) {
+      this._log('error', 'Error in onmessage handler:', error);
+      if (this.onerror) this.onerror(error);
+    }
+  }
+
+  // Deliver a response on its POST stream
+  _writeResponse(stream, message) {
+    if (stream.sse) {
+      this._writeEvent(stream.res, message);
+    } else {
+      stream.responses.push(message);
+    }
+    this._settleRequest(stream, message.id);
+  }
+
+  // A cancelled request gets no response - stop waiting for it on its POST
+  _cancelRequest(session, requestId) {
+    const stream = session?.requestStreams.get(requestId);
+    if (!stream) return;
+    session.requestStreams.delete(requestId);
+    this._settleRequest(stream, requestId);
+  }
+
+  // Finish the POST once all its requests are answered or cancelled
+  // A JSON POST whose requests were all cancelled has nothing to send back
+  _settleRequest(stream, id) {
+    stream.pending.delete(id);
+    if (stream.pending.size > 0) return;
+
+    if (stream.sse) {
+      stream.res.end();
+    } else if (stream.responses.length === 0) {
+      stream.res.status(202).end();
+    } else {
+      stream.res.status(200).json(stream.batch ? stream.responses : stream.responses[0]);
+    }
+  }
+
+  // Find a POST stream of the session that is still open and streaming
+  _findOpenSseStream(session) {
+    for (const stream of session.requestStreams.values()) {
+      if (stream.sse && !stream.res.writableEnded) {
+        return stream;
+      }
+    }
+    return null;
+  }
+
+  _writeEvent(res, message) {
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  // Restart a session's idle timer
+  // When it fires, the session ends unless a stream is still open (then it waits another round)
+  _touchSession(sessionId) {
+    const session = this._sessions[sessionId];
+    if (!session || !this.options.sessionIdleTimeout) return;
+
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+      if (session.stream || session.requestStreams.size > 0) {
+        this._touchSession(sessionId);
+        return;
+      }
+      this._log('info', `Streamable HTTP session ${sessionId} expired after ${this.options.sessionIdleTimeout}ms idle`);
+      this._closeSession(sessionId);
+    }, this.options.sessionIdleTimeout);
+  }
+
+  _closeSession(sessionId) {
+    const session = this._sessions[sessionId];
+    if (!session) return;
+
+    clearTimeout(session.idleTimer);
+    try {
+      if (session.stream) {
+        clearInterval(session.stream.keepAliveInterval);
+        session.stream.res.end();
+      }
+      for (const stream of session.requestStreams.values()) {
+        if (!stream.res.writableEnded) stream.res.end();
+      }
+    } catch (err) {
+      this._log('warning', `Error closing session ${sessionId}:`, err);
+    }
+
+    delete this._sessions[sessionId];
+    if (this.onsessionclose) this.onsessionclose(sessionId);
+  }
+
+  // Log through the server's logger; before connect, only warnings and errors reach stderr
+  _log(level, ...args) {
+    if (this.logger) {
+      this.logger.log(level, ...args);
+    } else if (isLevelEnabled(level, 'warning')) {
+      console.error(...args);
+    }
+  }
+
+  _sendHttpError(res, status, code, message) {
+    res.status(status).json({
+      jsonrpc: '2.0',
+      error: { code, message },
+      id: null
+    });
+  }
+}
+
+export { StreamableHttpTransport };
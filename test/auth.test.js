@@ -0,0 +1,182 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { HttpSseTransport, StreamableHttpTransport, apiKeyVerifier, jwtVerifier, AuthError } from '../src/transports/index.js';
+import { isSamePrincipal } from '../src/transports/auth.js';
+import { LATEST_PROTOCOL_VERSION } from '../src/core/index.js';
+import { createCalculatorServer } from './helpers.js';
+
+// Sign a JWT - with an HMAC secret (HS256) or an RSA private key (RS256)
+function signJwt(payload, { alg = 'HS256', kid, key }) {
+  const header = { alg, typ: 'JWT', ...(kid !== undefined && { kid }) };
+  const input = [header, payload].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+  const signature = alg === 'HS256'
+    ? crypto.createHmac('sha256', key).update(input).digest()
+    : crypto.sign('RSA-SHA256', Buffer.from(input), key);
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+describe('isSamePrincipal', () => {
+  test('compares issuer and subject', () => {
+    assert.equal(isSamePrincipal({ subject: 'alice', issuer: 'a' }, { subject: 'alice', issuer: 'a', scopes: ['x'] }), true);
+    assert.equal(isSamePrincipal({ subject: 'alice', issuer: 'a' }, { subject: 'alice', issuer: 'b' }), false);
+    assert.equal(isSamePrincipal({ subject: 'alice' }, { subject: 'bob' }), false);
+  });
+
+  test('matches nothing without a subject, and only null without auth', () => {
+    assert.equal(isSamePrincipal({ issuer: 'a' }, { issuer: 'a' }), false);
+    assert.equal(isSamePrincipal({ subject: 'alice' }, null), false);
+    assert.equal(isSamePrincipal(null, undefined), true);
+  });
+});
+
+describe('jwtVerifier', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const octKey = crypto.randomBytes(32);
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = {
+    keys: [
+      { kty: 'oct', kid: 'shared', k: octKey.toString('base64url') },
+      { ...publicKey.export({ format: 'jwk' }), kid: 'rsa-1' }
+    ]
+  };
+
+  test('checks HS256 tokens against JWKS oct keys', async () => {
+    const verify = jwtVerifier({ jwks, issuer: 'https://auth.example.com' });
+    const token = signJwt({ sub: 'alice', iss: 'https://auth.example.com', scope: 'tools read' }, { kid: 'shared', key: octKey });
+
+    assert.deepEqual(await verify(token), {
+      subject: 'alice',
+      issuer: 'https://auth.example.com',
+      scopes: ['tools', 'read'],
+      claims: { sub: 'alice', iss: 'https://auth.example.com', scope: 'tools read' }
+    });
+    await assert.rejects(verify(signJwt({ sub: 'alice' }, { kid: 'shared', key: 'wrong' })), /Invalid JWT signature/);
+    await assert.rejects(verify(signJwt({ sub: 'alice' }, { kid: 'other', key: octKey })), /Unknown JWT key/);
+  });
+
+  test('checks RS256 tokens against JWKS RSA keys', async () => {
+    const verify = jwtVerifier({ jwks, audience: 'mcp' });
+
+    const token = signJwt({ sub: 'bob', aud: ['mcp'] }, { alg: 'RS256', kid: 'rsa-1', key: privateKey });
+    assert.equal((await verify(token)).subject, 'bob');
+    await assert.rejects(verify(signJwt({ sub: 'bob', aud: 'other' }, { alg: 'RS256', kid: 'rsa-1', key: privateKey })), /audience/);
+    await assert.rejects(verify(signJwt({ sub: 'bob', aud: 'mcp' }, { alg: 'none', key: privateKey })), /Unsupported JWT algorithm/);
+  });
+
+  test('rejects expired and not yet valid tokens', async () => {
+    const verify = jwtVerifier({ secret: 'secret', clockTolerance: 0 });
+    await assert.rejects(verify(signJwt({ sub: 'alice', exp: now - 10 }, { key: 'secret' })), AuthError);
+    await assert.rejects(verify(signJwt({ sub: 'alice', nbf: now + 60 }, { key: 'secret' })), /not yet valid/);
+    await assert.rejects(verify('not-a-jwt'), /Malformed JWT/);
+  });
+});
+
+describe('HTTP transport auth', () => {
+  const keys = {
+    'alice-key': { subject: 'alice', scopes: ['tools'] },
+    'bob-key': { subject: 'bob', scopes: ['tools'] },
+    'anonymous-key': { scopes: ['tools'] },
+    'carol-key': { subject: 'carol' }
+  };
+  let server, baseUrl, streamableUrl;
+
+  before(async () => {
+    server = createCalculatorServer();
+    const sseTransport = new HttpSseTransport({ port: 0, auth: apiKeyVerifier(keys) });
+    await server.connect(sseTransport);
+    baseUrl = `http://localhost:${sseTransport.options.port}`;
+
+    const streamable = new StreamableHttpTransport({ port: 0, enableJsonResponse: true, auth: { verify: apiKeyVerifier(keys), requiredScopes: ['tools'] } });
+    await server.connect(streamable);
+    streamableUrl = `http://localhost:${streamable.options.port}/mcp`;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  // Open an SSE stream as the given API key and return the session ID from its endpoint event
+  async function openSession(key) {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/sse`, { headers: { Authorization: `Bearer ${key}` }, signal: controller.signal });
+    const reader = response.body.getReader();
+    let text = '';
+    while (!text.includes('\n\n')) {
+      text += new TextDecoder().decode((await reader.read()).value);
+    }
+    const endpoint = /data: (.*)/.exec(text)[1];
+    return { sessionId: new URL(endpoint, baseUrl).searchParams.get('sessionId'), close: () => controller.abort() };
+  }
+
+  function postAs(key, sessionId, message) {
+    return fetch(`${baseUrl}/sse?sessionId=${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify(message)
+    });
+  }
+
+  test('answers missing and unknown tokens with 401 and a challenge', async () => {
+    const missing = await fetch(`${baseUrl}/sse`);
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers.get('www-authenticate'), /^Bearer realm="mcp", resource_metadata=".*\/\.well-known\/oauth-protected-resource"$/);
+
+    const unknown = await fetch(`${baseUrl}/sse`, { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(unknown.status, 401);
+    assert.match(unknown.headers.get('www-authenticate'), /error="invalid_token"/);
+
+    const metadata = await (await fetch(`${baseUrl}/.well-known/oauth-protected-resource`)).json();
+    assert.deepEqual(metadata.bearer_methods_supported, ['header']);
+  });
+
+  test('refuses principals without a subject', async () => {
+    const response = await fetch(`${baseUrl}/sse`, { headers: { Authorization: 'Bearer anonymous-key' } });
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get('www-authenticate'), /does not identify a subject/);
+  });
+
+  test('keeps sessions to the principal that opened them', async () => {
+    const session = await openSession('alice-key');
+    const ping = { jsonrpc: '2.0', id: 1, method: 'ping' };
+
+    assert.equal((await postAs('bob-key', session.sessionId, ping)).status, 403);
+    const resume = await fetch(`${baseUrl}/sse?sessionId=${session.sessionId}`, { headers: { Authorization: 'Bearer bob-key' } });
+    assert.equal(resume.status, 403);
+    assert.equal((await postAs('alice-key', session.sessionId, ping)).status, 202);
+    session.close();
+  });
+
+  test('passes the principal to handlers and checks required scopes', async () => {
+    const unscoped = await fetch(streamableUrl, { method: 'POST', headers: { Authorization: 'Bearer carol-key' } });
+    assert.equal(unscoped.status, 403);
+    assert.match(unscoped.headers.get('www-authenticate'), /error="insufficient_scope", .*scope="tools"/);
+
+    server.registerTool({ name: 'whoami', inputSchema: { type: 'object' } }, async (args, { principal }) => ({
+      content: [{ type: 'text', text: principal.subject }]
+    }));
+    const post = (message, sessionId) => fetch(streamableUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        Authorization: 'Bearer alice-key',
+        ...(sessionId && { 'Mcp-Session-Id': sessionId })
+      },
+      body: JSON.stringify(message)
+    });
+
+    const initialized = await post({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: LATEST_PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: 'auth-test', version: '1.0.0' } }
+    });
+    const sessionId = initialized.headers.get('mcp-session-id');
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+
+    const call = await post({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'whoami' } }, sessionId);
+    assert.equal((await call.json()).result.content[0].text, 'alice');
+    server.removeTool('whoami');
+  });
+});
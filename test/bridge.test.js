@@ -0,0 +1,217 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { InternalError, LATEST_PROTOCOL_VERSION } from '../src/core/index.js';
+import { McpClient, SseClientTransport } from '../src/client/index.js';
+import { HttpSseTransport } from '../src/transports/index.js';
+import { StdioToSseBridge, SseToStdioBridge } from '../src/bridge/index.js';
+import { createCalculatorServer } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXAMPLE_SERVER = path.join(__dirname, '../src/examples/stdio-server.js');
+
+// Start a bridge on a free port - resolves with the bridge and its SSE URL
+async function startBridge(options) {
+  const bridge = new StdioToSseBridge({
+    command: process.execPath,
+    args: [EXAMPLE_SERVER],
+    stderr: 'ignore',
+    transport: { port: 0, reconnectGracePeriod: 100 },
+    ...options
+  });
+  await bridge.start();
+  return { bridge, url: `http://localhost:${bridge.transport.options.port}/sse` };
+}
+
+async function connectClient(url) {
+  const client = new McpClient({ name: 'bridge-test', version: '1.0.0' });
+  client.on('error', () => {});
+  await client.connect(new SseClientTransport({ url, reconnect: false }));
+  return client;
+}
+
+async function add(client, a, b) {
+  const result = await client.callTool('calculator', { operation: 'add', a, b });
+  return result.content[0].text;
+}
+
+describe('StdioToSseBridge', () => {
+  for (const mode of ['per-session', 'shared']) {
+    test(`serves several SSE sessions (${mode})`, async () => {
+      const { bridge, url } = await startBridge({ mode });
+      try {
+        const [first, second] = await Promise.all([connectClient(url), connectClient(url)]);
+        assert.equal(first.serverInfo.name, 'mcp-stdio-server');
+        assert.notEqual(first.transport.sessionId, second.transport.sessionId);
+        assert.equal(bridge.processCount, mode === 'shared' ? 1 : 2);
+
+        // Both clients can use ID 0, 1, ... - responses must reach the right session
+        const [one, two] = await Promise.all([add(first, 1, 1), add(second, 2, 2)]);
+        assert.equal(one, 'Result of 1 add 1 = 2');
+        assert.equal(two, 'Result of 2 add 2 = 4');
+
+        await assert.rejects(first.callTool('calculator', { operation: 'pow', a: 1, b: 1 }), { code: -32602 });
+        await Promise.all([first.close(), second.close()]);
+      } finally {
+        await bridge.close();
+      }
+    });
+  }
+
+  test('per-session mode starts a server per session and stops it with the session', async () => {
+    const { bridge, url } = await startBridge();
+    try {
+      const client = await connectClient(url);
+      assert.equal(bridge.processCount, 1);
+
+      await client.close();
+      // The session ends once the reconnect grace period is over
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert.equal(bridge.processCount, 0);
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  test('per-session mode starts no server for unknown sessions', async () => {
+    const { bridge, url } = await startBridge();
+    try {
+      await fetch(`${url}?sessionId=bogus`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })
+      });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.equal(bridge.processCount, 0);
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  test('answers requests with an error when the server cannot be started', async () => {
+    const { bridge, url } = await startBridge({ command: 'no-such-mcp-server-command', args: [] });
+    try {
+      await assert.rejects(connectClient(url), (error) => {
+        assert.ok(error instanceof InternalError);
+        assert.match(error.message, /Failed to start no-such-mcp-server-command/);
+        return true;
+      });
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  test('shared mode relays batches and rejects null IDs and non-object entries', async () => {
+    const { bridge, url } = await startBridge({ mode: 'shared' });
+    try {
+      const client = await connectClient(url);
+      const responses = new Promise((resolve) => {
+        client.transport.onmessage = resolve;
+      });
+      await client.transport.send([
+        { jsonrpc: '2.0', id: 'a', method: 'ping' },
+        { jsonrpc: '2.0', id: null, method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/roots/list_changed' },
+        null,
+        5
+      ]);
+
+      const batch = await responses;
+      assert.equal(batch.length, 4);
+      assert.deepEqual(batch.find(response => response.id === 'a').result, {});
+      const rejected = batch.filter(response => response.id === null);
+      assert.deepEqual(rejected.map(response => response.error.code), [-32600, -32600, -32600]);
+      await client.close();
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  test("shared mode answers initialize with the shared server's protocol version", async () => {
+    const { bridge, url } = await startBridge({ mode: 'shared' });
+    const transport = new SseClientTransport({ url, reconnect: false });
+    try {
+      await transport.start();
+      const response = new Promise((resolve) => {
+        transport.onmessage = resolve;
+      });
+      await transport.send({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2024-10-07', capabilities: {}, clientInfo: { name: 'old-client', version: '1.0.0' } }
+      });
+      const { result } = await response;
+      assert.equal(result.protocolVersion, LATEST_PROTOCOL_VERSION);
+      assert.equal(result.serverInfo.name, 'mcp-stdio-server');
+    } finally {
+      await transport.close();
+      await bridge.close();
+    }
+  });
+});
+
+describe('SseToStdioBridge', () => {
+  test('relays stdin/stdout to a remote HTTP+SSE server', async () => {
+    const server = createCalculatorServer();
+    const transport = new HttpSseTransport({ port: 0 });
+    await server.connect(transport);
+
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    const stderr = new PassThrough().resume();
+    const bridge = new SseToStdioBridge({
+      url: `http://localhost:${transport.options.port}/sse`,
+      reconnect: false,
+      stdin,
+      stdout,
+      stderr
+    });
+
+    try {
+      await bridge.start();
+
+      const lines = [];
+      let buffer = '';
+      let notify;
+      stdout.setEncoding('utf8').on('data', (chunk) => {
+        buffer += chunk;
+        const parts = buffer.split('\n');
+        buffer = parts.pop();
+        lines.push(...parts.map(line => JSON.parse(line)));
+        notify?.();
+      });
+      const next = async () => {
+        while (lines.length === 0) {
+          await new Promise(resolve => { notify = resolve; });
+        }
+        return lines.shift();
+      };
+
+      stdin.write(`${JSON.stringify({
+        jsonrpc: '2.0',
+        id: 0,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'host', version: '1' } }
+      })}\n`);
+      const initialized = await next();
+      assert.equal(initialized.id, 0);
+      assert.equal(initialized.result.serverInfo.name, 'test-server');
+
+      stdin.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+      stdin.write('{"jsonrpc":"2.0","id":1,"method":"tools/list"}\n');
+      const { result } = await next();
+      assert.equal(result.tools[0].name, 'calculator');
+
+      // The host going away closes the bridge
+      const closed = new Promise(resolve => { bridge.onclose = resolve; });
+      stdin.end();
+      await closed;
+    } finally {
+      await bridge.close();
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCalculatorServer, createServerWithTool, connectClient, connectRaw } from './helpers.js';
+
+// A server whose tool runs until its request is cancelled
+// running resolves with the handler's signal once the tool is running
+function createWaitingServer() {
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const server = createServerWithTool('wait', (args, { signal }) => {
+    started(signal);
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+  });
+  return { server, running };
+}
+
+describe('cancellation', () => {
+  test("aborting the client's signal aborts the handler's signal", async () => {
+    const { server, running } = createWaitingServer();
+    const client = await connectClient(server);
+
+    const controller = new AbortController();
+    const call = client.callTool('wait', {}, { signal: controller.signal });
+    const signal = await running;
+    assert.equal(signal.aborted, false);
+
+    controller.abort(new Error('user gave up'));
+    await assert.rejects(call, /user gave up/);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(signal.aborted, true);
+
+    // The session keeps working
+    assert.deepEqual(await client.ping(), {});
+    await client.close();
+    await server.close();
+  });
+
+  test('sends no response to a cancelled request', async () => {
+    const { server, running } = createWaitingServer();
+    const raw = await connectRaw(server);
+    await raw.initialize();
+
+    await raw.send({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'wait' } });
+    const signal = await running;
+    await raw.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7, reason: 'not needed' } });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(signal.aborted, true);
+
+    // The next message is the answer to the ping, not to request 7
+    const response = await raw.request({ id: 8, method: 'ping' });
+    assert.deepEqual(response, { jsonrpc: '2.0', id: 8, result: {} });
+    await server.close();
+  });
+
+  test('ignores cancellations for unknown requests', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+    await raw.initialize();
+
+    await raw.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'nope' } });
+    const response = await raw.request({ id: 1, method: 'tools/call', params: { name: 'calculator', arguments: { operation: 'add', a: 1, b: 2 } } });
+    assert.equal(response.result.content[0].text, 'Result of 1 add 2 = 3');
+    await server.close();
+  });
+});
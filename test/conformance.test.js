@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runConformance, CHECKS } from '../src/conformance/index.js';
+import { HttpSseTransport } from '../src/transports/index.js';
+import { createCalculatorServer } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXAMPLE_SERVER = path.join(__dirname, '../src/examples/stdio-server.js');
+const BROKEN_SERVER = path.join(__dirname, 'fixtures/broken-server.js');
+const CLI = path.join(__dirname, '../src/conformance/cli.js');
+
+test('the example stdio server passes every check', async () => {
+  const report = await runConformance({ command: process.execPath, args: [EXAMPLE_SERVER] });
+
+  assert.deepEqual(report.results.filter(result => result.status !== 'passed'), []);
+  assert.equal(report.passed, CHECKS.length);
+});
+
+test('an HTTP+SSE server passes every check', async () => {
+  const server = createCalculatorServer();
+  const transport = new HttpSseTransport({ port: 0 });
+  await server.connect(transport);
+
+  try {
+    const report = await runConformance({ url: `http://localhost:${transport.options.port}/sse` });
+    assert.deepEqual(report.results.filter(result => result.status !== 'passed'), []);
+  } finally {
+    await server.close();
+  }
+});
+
+test('protocol violations are reported as failures', async () => {
+  const report = await runConformance(
+    { command: process.execPath, args: [BROKEN_SERVER] },
+    { timeout: 500 }
+  );
+
+  const failed = report.results.filter(result => result.status === 'failed').map(result => result.id);
+  assert.deepEqual(failed.sort(), [
+    'handshake',
+    'id-types',
+    'malformed-json',
+    'notifications',
+    'null-id',
+    'tools-list',
+    'unknown-method',
+    'version-negotiation'
+  ]);
+
+  const toolsList = report.results.find(result => result.id === 'tools-list');
+  assert.match(toolsList.message, /no-schema: \/inputSchema is required/);
+});
+
+test('only runs the selected checks', async () => {
+  const report = await runConformance(
+    { command: process.execPath, args: [EXAMPLE_SERVER] },
+    { only: ['ping', 'unknown-method'] }
+  );
+  assert.deepEqual(report.results.map(result => result.id), ['ping', 'unknown-method']);
+});
+
+test('the CLI exits with 1 when a check fails', () => {
+  const passing = spawnSync(process.execPath, [CLI, '--check', 'ping', '--', process.execPath, EXAMPLE_SERVER], { encoding: 'utf8' });
+  assert.equal(passing.status, 0, passing.stdout + passing.stderr);
+  assert.match(passing.stdout, /1 passed, 0 failed/);
+
+  const failing = spawnSync(process.execPath, [CLI, '--check', 'tools-list', '--', process.execPath, BROKEN_SERVER], { encoding: 'utf8' });
+  assert.equal(failing.status, 1);
+  assert.match(failing.stdout, /0 passed, 1 failed/);
+});
@@ -0,0 +1,38 @@
+/**
+ * A stdio "MCP server" that breaks the protocol on purpose, for the conformance tests:
+ * - accepts any protocol version, even ones it cannot support
+ * - ignores malformed JSON instead of answering with a parse error
+ * - answers unknown methods with an empty result
+ * - turns integer IDs into strings
+ * - answers notifications
+ * - lists a tool without an inputSchema
+ */
+import readline from 'node:readline';
+
+const send = (message) => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    return;
+  }
+
+  const id = typeof message.id === 'number' ? String(message.id) : message.id;
+  switch (message.method) {
+    case 'initialize':
+      return send({
+        id,
+        result: {
+          protocolVersion: message.params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'broken-server', version: '0.0.1' }
+        }
+      });
+    case 'tools/list':
+      return send({ id, result: { tools: [{ name: 'no-schema' }] } });
+    default:
+      return send({ id: id ?? null, result: {} });
+  }
+});
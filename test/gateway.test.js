@@ -0,0 +1,191 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { once } from 'node:events';
+import { McpServer, UpstreamUnavailable } from '../src/core/index.js';
+import { InMemoryTransport } from '../src/transports/index.js';
+import { McpGateway } from '../src/gateway/index.js';
+import { createCalculatorServer, connectClient } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXAMPLE_SERVER = path.join(__dirname, '../src/examples/stdio-server.js');
+
+// An upstream config that connects to an in-process server
+function inMemoryUpstream(name, server) {
+  return {
+    name,
+    transport: () => {
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      server.connect(serverTransport);
+      return clientTransport;
+    }
+  };
+}
+
+function createGateway(upstreams, options = {}) {
+  return new McpGateway(
+    { name: 'test-gateway', version: '1.0.0' },
+    { stderrLogLevel: 'emergency', retryInterval: 0, upstreams, ...options }
+  );
+}
+
+describe('McpGateway', () => {
+  test('merges upstream lists under namespaced names and routes calls', async () => {
+    const gateway = createGateway([
+      inMemoryUpstream('calc', createCalculatorServer()),
+      { name: 'stdio', command: process.execPath, args: [EXAMPLE_SERVER], stderr: 'ignore' }
+    ]);
+    const client = await connectClient(gateway);
+    try {
+      const { tools } = await client.listTools();
+      assert.deepEqual(tools.map(tool => tool.name).sort(), ['calc__calculator', 'stdio__calculator']);
+
+      const result = await client.callTool('stdio__calculator', { operation: 'multiply', a: 6, b: 7 });
+      assert.equal(result.content[0].text, 'Result of 6 multiply 7 = 42');
+
+      // Tool errors come back as results
+      const failed = await client.callTool('calc__calculator', { operation: 'divide', a: 1, b: 0 });
+      assert.equal(failed.isError, true);
+
+      // Resources keep their URIs; the first upstream serving a URI wins
+      const { resources } = await client.listResources();
+      assert.deepEqual(resources.map(resource => resource.name), ['calc__Calculator documentation']);
+      const docs = await client.readResource('docs://calculator');
+      assert.match(docs.contents[0].text, /calculator/i);
+      const pi = await client.readResource('math://constants/pi');
+      assert.equal(pi.contents[0].text, String(Math.PI));
+
+      // Upstream protocol errors stay protocol errors
+      await assert.rejects(client.readResource('math://constants/nope'), { code: -32002 });
+
+      const { prompts } = await client.listPrompts();
+      assert.ok(prompts.some(prompt => prompt.name === 'stdio__calculator-help'));
+      const prompt = await client.getPrompt('calc__explain-calculation', { expression: '2 + 2' });
+      assert.match(prompt.messages[0].content.text, /2 \+ 2/);
+    } finally {
+      await client.close();
+      await gateway.close();
+    }
+  });
+
+  test('forwards upstream list_changed notifications', async () => {
+    const upstream = createCalculatorServer();
+    const gateway = createGateway([inMemoryUpstream('calc', upstream)]);
+    const client = await connectClient(gateway);
+    try {
+      const changed = once(client, 'notification:notifications/tools/list_changed');
+      upstream.registerTool(
+        { name: 'echo', description: 'Echo the text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } },
+        ({ text }) => ({ content: [{ type: 'text', text }] })
+      );
+      await changed;
+
+      const { tools } = await client.listTools();
+      assert.ok(tools.some(tool => tool.name === 'calc__echo'));
+      const result = await client.callTool('calc__echo', { text: 'hello' });
+      assert.equal(result.content[0].text, 'hello');
+    } finally {
+      await client.close();
+      await gateway.close();
+    }
+  });
+
+  test('marks the tools of a failed upstream unavailable and reconnects', async () => {
+    const upstream = createCalculatorServer();
+    const gateway = createGateway([
+      inMemoryUpstream('calc', upstream),
+      { name: 'broken', command: process.execPath, args: ['-e', 'process.exit(1)'], stderr: 'ignore' }
+    ], { retryInterval: 50, timeout: 2000 });
+    const client = await connectClient(gateway);
+    try {
+      // An upstream that never started does not take the gateway down
+      const broken = gateway.upstreams.find(entry => entry.name === 'broken');
+      assert.notEqual(broken.status, 'available');
+
+      const changed = once(client, 'notification:notifications/tools/list_changed');
+      await upstream.close();
+      await changed;
+
+      const [tool] = (await client.listTools()).tools;
+      assert.equal(tool.name, 'calc__calculator');
+      assert.match(tool.description, /^\[unavailable: upstream calc/);
+
+      const result = await client.callTool('calc__calculator', { operation: 'add', a: 1, b: 2 });
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /Upstream calc is unavailable/);
+      await assert.rejects(client.readResource('math://constants/pi'), UpstreamUnavailable);
+
+      // The gateway reconnects in the background and the tool works again
+      await once(client, 'notification:notifications/tools/list_changed');
+      const available = await client.callTool('calc__calculator', { operation: 'add', a: 1, b: 2 });
+      assert.equal(available.content[0].text, 'Result of 1 add 2 = 3');
+    } finally {
+      await client.close();
+      await gateway.close();
+    }
+  });
+
+  test('skips upstream entries it cannot serve and keeps syncing', async () => {
+    const upstream = createCalculatorServer();
+    // Advertise tools McpServer itself would refuse to register
+    const listTools = upstream.requestHandlers.get('tools/list');
+    upstream.setRequestHandler('tools/list', async (params, context) => {
+      const result = await listTools(params, context);
+      return {
+        tools: [
+          ...result.tools,
+          { name: 'bad', inputSchema: { type: 'object', properties: { code: { type: 'string', pattern: '(' } } } },
+          { inputSchema: { type: 'object' } },
+          result.tools[0]
+        ]
+      };
+    });
+
+    const gateway = createGateway([inMemoryUpstream('calc', upstream)]);
+    const client = await connectClient(gateway);
+    try {
+      assert.equal(gateway.upstreams[0].status, 'available');
+      assert.deepEqual((await client.listTools()).tools.map(tool => tool.name), ['calc__calculator']);
+      const result = await client.callTool('calc__calculator', { operation: 'add', a: 1, b: 2 });
+      assert.equal(result.content[0].text, 'Result of 1 add 2 = 3');
+
+      // Later syncs still run
+      const changed = once(client, 'notification:notifications/tools/list_changed');
+      upstream.registerTool({ name: 'echo', inputSchema: { type: 'object' } }, ({ text }) => ({ content: [{ type: 'text', text }] }));
+      await changed;
+      assert.deepEqual((await client.listTools()).tools.map(tool => tool.name), ['calc__calculator', 'calc__echo']);
+    } finally {
+      await client.close();
+      await gateway.close();
+    }
+  });
+
+  test('rejects upstream names containing the separator', () => {
+    assert.throws(() => createGateway([{ name: 'a__b', command: 'true' }]), /separator/);
+    assert.throws(() => createGateway([{ name: 'a', command: 'true' }, { name: 'a', command: 'true' }]), /twice/);
+  });
+
+  test('passes on resource updates to subscribed sessions', async () => {
+    const upstream = new McpServer({ name: 'notes', version: '1.0.0' }, { stderrLogLevel: 'emergency' });
+    let note = 'first';
+    upstream.registerResource({ uri: 'notes://today', name: 'Today' }, () => note);
+
+    const gateway = createGateway([inMemoryUpstream('notes', upstream)]);
+    const client = await connectClient(gateway);
+    try {
+      await client.subscribeResource('notes://today');
+      const updated = once(client, 'notification:notifications/resources/updated');
+      note = 'second';
+      await upstream.notifyResourceUpdated('notes://today');
+
+      const [{ uri }] = await updated;
+      assert.equal(uri, 'notes://today');
+      const { contents } = await client.readResource(uri);
+      assert.equal(contents[0].text, 'second');
+    } finally {
+      await client.close();
+      await gateway.close();
+    }
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Shared helpers for the test suite
+ *
+ * Servers are built like the examples (calculator tool, resources and prompts)
+ * and connected to clients through an in-memory transport pair, so tests run
+ * without child processes or sleeps.
+ */
+import { McpServer } from '../src/core/index.js';
+import { McpClient } from '../src/client/index.js';
+import { InMemoryTransport } from '../src/transports/index.js';
+import { calculatorToolDefinition, handleCalculatorTool } from '../src/tools/index.js';
+import {
+  calculatorDocsResource,
+  handleCalculatorDocs,
+  mathConstantResourceTemplate,
+  handleMathConstant
+} from '../src/resources/index.js';
+import {
+  explainCalculationPrompt,
+  calculatorHelpPrompt,
+  handleCalculatorHelpPrompt
+} from '../src/prompts/index.js';
+
+// A calculator server like the examples, with stderr logging turned down
+function createCalculatorServer(options = {}) {
+  const server = new McpServer(
+    { name: 'test-server', version: '1.0.0' },
+    { stderrLogLevel: 'emergency', ...options }
+  );
+
+  server.registerTool(calculatorToolDefinition, handleCalculatorTool);
+  server.registerResource(calculatorDocsResource, handleCalculatorDocs);
+  server.registerResourceTemplate(mathConstantResourceTemplate, handleMathConstant);
+  server.registerPrompt(explainCalculationPrompt);
+  server.registerPrompt(calculatorHelpPrompt, handleCalculatorHelpPrompt);
+
+  return server;
+}
+
+// A calculator server with one more tool that takes any arguments
+// Feature tests (progress, cancellation, sampling, logging) put the handler under test here
+function createServerWithTool(name, handler, options = {}) {
+  const server = createCalculatorServer(options);
+  server.registerTool({ name, inputSchema: { type: 'object' } }, handler);
+  return server;
+}
+
+// Connect an McpClient to the server in memory - resolves once initialized
+// requestHandlers ({ method: handler }) answer the requests the server sends
+async function connectClient(server, clientOptions = {}, requestHandlers = {}) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+
+  const client = new McpClient({ name: 'test-client', version: '1.0.0' }, clientOptions);
+  for (const [method, handler] of Object.entries(requestHandlers)) {
+    client.setRequestHandler(method, handler);
+  }
+  await client.connect(clientTransport);
+  return client;
+}
+
+// Collect the params of every notification with the given method the client receives
+function collectNotifications(client, method) {
+  const received = [];
+  client.on(`notification:${method}`, (params) => received.push(params));
+  return received;
+}
+
+// Talk to the server with raw JSON-RPC messages
+// Returns { send(message), next() } - next() resolves with the next message from the server
+async function connectRaw(server) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+
+  const received = [];
+  const waiting = [];
+  clientTransport.onmessage = (message) => {
+    const resolve = waiting.shift();
+    if (resolve) resolve(message);
+    else received.push(message);
+  };
+  await clientTransport.start();
+
+  return {
+    transport: clientTransport,
+    send: (message) => clientTransport.send(message),
+    next: () => received.length > 0
+      ? Promise.resolve(received.shift())
+      : new Promise(resolve => waiting.push(resolve)),
+    // Send a request and wait for the next message (its response)
+    async request(message) {
+      await clientTransport.send({ jsonrpc: '2.0', ...message });
+      return this.next();
+    },
+    // Run the initialize handshake
+    async initialize(params = {}) {
+      const response = await this.request({
+        id: 'init',
+        method: 'initialize',
+        params: {
+          protocolVersion: '2025-03-26',
+          capabilities: {},
+          clientInfo: { name: 'raw-client', version: '1.0.0' },
+          ...params
+        }
+      });
+      await clientTransport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      return response;
+    }
+  };
+}
+
+export { createCalculatorServer, createServerWithTool, connectClient, collectNotifications, connectRaw };
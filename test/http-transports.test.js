@@ -0,0 +1,308 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { LATEST_PROTOCOL_VERSION, ErrorCode, InvalidParams } from '../src/core/index.js';
+import { McpClient, SseClientTransport } from '../src/client/index.js';
+import { HttpSseTransport, StreamableHttpTransport } from '../src/transports/index.js';
+import { createCalculatorServer } from './helpers.js';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: LATEST_PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '1.0.0' }
+  }
+};
+
+describe('HttpSseTransport', () => {
+  let server, transport, baseUrl;
+
+  before(async () => {
+    server = createCalculatorServer();
+    transport = new HttpSseTransport({ port: 0 });
+    await server.connect(transport);
+    baseUrl = `http://localhost:${transport.options.port}`;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function connectClient() {
+    const client = new McpClient({ name: 'test-client', version: '1.0.0' });
+    await client.connect(new SseClientTransport({ url: `${baseUrl}/sse`, reconnect: false }));
+    return client;
+  }
+
+  test('listens on the port it was given (0 picks a free one)', () => {
+    assert.ok(transport.options.port > 0);
+  });
+
+  test('runs the initialize handshake and calls tools', async () => {
+    const client = await connectClient();
+    assert.equal(client.serverInfo.name, 'test-server');
+    assert.deepEqual(await client.ping(), {});
+
+    const result = await client.callTool('calculator', { operation: 'multiply', a: 6, b: 7 });
+    assert.equal(result.content[0].text, 'Result of 6 multiply 7 = 42');
+    await client.close();
+  });
+
+  test('keeps clients in separate sessions', async () => {
+    const first = await connectClient();
+    const second = await connectClient();
+    const sessionIds = [first.transport.sessionId, second.transport.sessionId];
+    await Promise.all([first.close(), second.close()]);
+
+    assert.notEqual(sessionIds[0], sessionIds[1]);
+    for (const sessionId of sessionIds) {
+      assert.equal(server.getSession(sessionId)?.isReady, true);
+    }
+  });
+
+  test('returns typed errors to the client', async () => {
+    const client = await connectClient();
+    await assert.rejects(client.callTool('calculator', { operation: 'add' }), InvalidParams);
+    await client.close();
+  });
+
+  test('rejects messages for unknown sessions without creating them', async () => {
+    const response = await fetch(`${baseUrl}/sse?sessionId=bogus`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })
+    });
+    assert.equal(response.status, 404);
+    assert.equal(server.getSession('bogus'), undefined);
+
+    const client = await connectClient();
+    assert.deepEqual(await client.ping(), {});
+    await client.close();
+  });
+
+  test('reports aggregate limiter state on /status, without session IDs', async () => {
+    const client = await connectClient();
+    const status = await (await fetch(`${baseUrl}/status`)).json();
+
+    assert.equal(status.status, 'ok');
+    assert.ok(status.sessions >= 1);
+    assert.deepEqual(status.limits, {
+      maxSessionsPerIp: null,
+      clientAddresses: 1,
+      requestsPerSecond: null,
+      burst: null,
+      maxConcurrentToolCalls: null,
+      activeToolCalls: 0,
+      throttledSessions: 0,
+      toolQuotas: {}
+    });
+    assert.equal(JSON.stringify(status).includes(client.transport.sessionId), false);
+    await client.close();
+  });
+
+  test('answers malformed JSON with -32700', async () => {
+    const response = await fetch(`${baseUrl}/sse?sessionId=unknown`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"jsonrpc":'
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, ErrorCode.ParseError);
+  });
+});
+
+describe('StreamableHttpTransport', () => {
+  let server, transport, url;
+
+  before(async () => {
+    server = createCalculatorServer();
+    transport = new StreamableHttpTransport({ port: 0, enableJsonResponse: true });
+    await server.connect(transport);
+    url = `http://localhost:${transport.options.port}/mcp`;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  function post(message, sessionId) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream'
+    };
+    if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+    return fetch(url, { method: 'POST', headers, body: JSON.stringify(message) });
+  }
+
+  // Initialize a session and return its ID
+  async function initialize() {
+    const response = await post(INITIALIZE);
+    assert.equal(response.status, 200);
+    const sessionId = response.headers.get('mcp-session-id');
+    assert.ok(sessionId);
+    assert.equal((await response.json()).result.protocolVersion, LATEST_PROTOCOL_VERSION);
+
+    const initialized = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+    assert.equal(initialized.status, 202);
+    return sessionId;
+  }
+
+  test('assigns a session on initialize and answers requests in it', async () => {
+    const sessionId = await initialize();
+
+    const response = await post({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'calculator', arguments: { operation: 'subtract', a: 10, b: 4 } }
+    }, sessionId);
+    const body = await response.json();
+    assert.equal(body.id, 2);
+    assert.equal(body.result.content[0].text, 'Result of 10 subtract 4 = 6');
+  });
+
+  test('rejects requests without a session', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 3, method: 'ping' });
+    assert.equal(response.status, 400);
+  });
+
+  test('rejects unknown sessions with 404', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 4, method: 'ping' }, 'no-such-session');
+    assert.equal(response.status, 404);
+  });
+
+  test('ends a session on DELETE', async () => {
+    const sessionId = await initialize();
+
+    assert.ok(server.getSession(sessionId));
+    const deleted = await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+    assert.equal(deleted.status, 200);
+    assert.equal(server.getSession(sessionId), undefined);
+
+    const response = await post({ jsonrpc: '2.0', id: 5, method: 'ping' }, sessionId);
+    assert.equal(response.status, 404);
+  });
+
+  test('rejects batches that repeat a request id', async () => {
+    const sessionId = await initialize();
+
+    const response = await post([
+      { jsonrpc: '2.0', id: 1, method: 'ping' },
+      { jsonrpc: '2.0', id: 1, method: 'ping' }
+    ], sessionId);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, ErrorCode.InvalidRequest);
+
+    const ping = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, sessionId);
+    assert.deepEqual((await ping.json()).result, {});
+  });
+
+  test('answers malformed JSON with -32700', async () => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: '{"jsonrpc":'
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, ErrorCode.ParseError);
+  });
+});
+
+describe('StreamableHttpTransport sessions', () => {
+  let server, transport, url, releaseSlowTool, slowToolStarted;
+
+  before(async () => {
+    server = createCalculatorServer();
+    server.registerTool({ name: 'slow', inputSchema: { type: 'object' } }, () => new Promise((resolve) => {
+      slowToolStarted();
+      releaseSlowTool = () => resolve({ content: [{ type: 'text', text: 'done' }] });
+    }));
+    transport = new StreamableHttpTransport({ port: 0, enableJsonResponse: true, sessionIdleTimeout: 200, keepAliveInterval: 20 });
+    await server.connect(transport);
+    url = `http://localhost:${transport.options.port}/mcp`;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  function post(message, sessionId, signal) {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+    if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+    return fetch(url, { method: 'POST', headers, body: JSON.stringify(message), signal });
+  }
+
+  async function initialize() {
+    const response = await post(INITIALIZE);
+    const sessionId = response.headers.get('mcp-session-id');
+    await response.json();
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+    return sessionId;
+  }
+
+  test('drops the response to a POST the client aborted', async () => {
+    const sessionId = await initialize();
+    const started = new Promise(resolve => { slowToolStarted = resolve; });
+
+    const controller = new AbortController();
+    const call = post({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'slow' } }, sessionId, controller.signal);
+    await started;
+    controller.abort();
+    await assert.rejects(call, { name: 'AbortError' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    releaseSlowTool();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const response = await post({ jsonrpc: '2.0', id: 3, method: 'ping' }, sessionId);
+    assert.deepEqual((await response.json()).result, {});
+  });
+
+  test('finishes a POST whose request was cancelled', async () => {
+    const sessionId = await initialize();
+    const started = new Promise(resolve => { slowToolStarted = resolve; });
+
+    const batch = post([
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'slow' } },
+      { jsonrpc: '2.0', id: 3, method: 'ping' }
+    ], sessionId);
+    await started;
+    const cancel = await post({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 2 } }, sessionId);
+    assert.equal(cancel.status, 202);
+
+    // The batch is answered once the tool returns, without the cancelled request
+    releaseSlowTool();
+    assert.deepEqual(await (await batch).json(), [{ jsonrpc: '2.0', id: 3, result: {} }]);
+
+    // A POST with nothing left to answer ends empty
+    const single = post({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'slow' } }, sessionId);
+    await new Promise(resolve => { slowToolStarted = resolve; });
+    await post({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 4 } }, sessionId);
+    assert.equal((await single).status, 202);
+    releaseSlowTool();
+  });
+
+  test('ends sessions after sessionIdleTimeout', async () => {
+    const sessionId = await initialize();
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    const response = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, sessionId);
+    assert.equal(response.status, 404);
+  });
+
+  test('sends keepalive comments every keepAliveInterval', async () => {
+    const sessionId = await initialize();
+    const controller = new AbortController();
+    const response = await fetch(url, {
+      headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId },
+      signal: controller.signal
+    });
+
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    assert.match(new TextDecoder().decode(value), /^: keepalive/);
+    controller.abort();
+  });
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryTransport } from '../src/transports/index.js';
+
+test('createLinkedPair delivers messages in both directions', async () => {
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  const toA = new Promise(resolve => { a.onmessage = resolve; });
+  const toB = new Promise(resolve => { b.onmessage = resolve; });
+  await a.start();
+  await b.start();
+
+  await a.send({ jsonrpc: '2.0', method: 'hello' });
+  await b.send({ jsonrpc: '2.0', id: 1, result: {} });
+
+  assert.deepEqual(await toB, { jsonrpc: '2.0', method: 'hello' });
+  assert.deepEqual(await toA, { jsonrpc: '2.0', id: 1, result: {} });
+});
+
+test('messages sent before start are delivered once started', async () => {
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  await a.start();
+  await a.send({ jsonrpc: '2.0', method: 'early' });
+
+  const received = new Promise(resolve => { b.onmessage = resolve; });
+  await b.start();
+  assert.equal((await received).method, 'early');
+});
+
+test('messages are copied, not shared', async () => {
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  const received = new Promise(resolve => { b.onmessage = resolve; });
+  await a.start();
+  await b.start();
+
+  const message = { jsonrpc: '2.0', method: 'm', params: { value: 1 } };
+  await a.send(message);
+  message.params.value = 2;
+  assert.equal((await received).params.value, 1);
+});
+
+test('closing one end closes both', async () => {
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  let closed = 0;
+  a.onclose = () => closed++;
+  b.onclose = () => closed++;
+  await a.start();
+  await b.start();
+
+  await b.close();
+  assert.equal(closed, 2);
+  await assert.rejects(a.send({ jsonrpc: '2.0', method: 'm' }), /not connected/);
+});
+
+test('start can only be called once', async () => {
+  const [a] = InMemoryTransport.createLinkedPair();
+  await a.start();
+  await assert.rejects(a.start(), /already started/);
+});
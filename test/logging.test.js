@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { once } from 'node:events';
+import { ErrorCode } from '../src/core/index.js';
+import { StdioTransport } from '../src/transports/index.js';
+import { createCalculatorServer, createServerWithTool, connectClient, collectNotifications } from './helpers.js';
+
+// The tool logs one message per level through its context logger
+async function chatty(args, { logger }) {
+  logger.debug('debug from tool');
+  logger.info('info from tool');
+  logger.error({ event: 'failure' });
+  return { content: [] };
+}
+
+describe('logging', () => {
+  test('sends handler logs to the calling session at its level', async () => {
+    const server = createServerWithTool('chatty', chatty);
+    const client = await connectClient(server);
+    const logged = collectNotifications(client, 'notifications/message');
+
+    await client.callTool('chatty');
+    assert.deepEqual(logged.map(entry => entry.data), ['info from tool', { event: 'failure' }]);
+    assert.equal(logged[0].level, 'info');
+    assert.equal(logged[0].logger, 'test-server');
+
+    logged.length = 0;
+    await client.setLoggingLevel('error');
+    await client.callTool('chatty');
+    assert.deepEqual(logged.map(entry => entry.level), ['error']);
+
+    logged.length = 0;
+    await client.setLoggingLevel('debug');
+    await client.callTool('chatty');
+    assert.deepEqual(logged.map(entry => entry.level), ['debug', 'info', 'error']);
+    await client.close();
+    await server.close();
+  });
+
+  test("never sends one session's logs to another", async () => {
+    const server = createServerWithTool('chatty', chatty);
+    const first = await connectClient(server);
+    const second = await connectClient(server);
+    const firstLogged = collectNotifications(first, 'notifications/message');
+    const secondLogged = collectNotifications(second, 'notifications/message');
+    await second.setLoggingLevel('debug');
+
+    await first.callTool('chatty', { secret: 'hunter2' });
+    await second.ping();
+
+    assert.equal(firstLogged.length, 2);
+    assert.deepEqual(secondLogged, []);
+    await first.close();
+    await second.close();
+    await server.close();
+  });
+
+  test('keeps server-wide logs and internal errors on stderr', async () => {
+    const server = createServerWithTool('chatty', chatty);
+    const client = await connectClient(server);
+    const logged = collectNotifications(client, 'notifications/message');
+    await client.setLoggingLevel('debug');
+    server.setRequestHandler('custom/fail', () => {
+      throw new Error('internal details');
+    });
+
+    server.logger.error('server-wide message');
+    await assert.rejects(client.request('custom/fail'), { code: ErrorCode.InternalError });
+    await client.ping();
+
+    assert.deepEqual(logged, []);
+    await client.close();
+    await server.close();
+  });
+
+  test('session loggers can be created for a session ID', async () => {
+    const server = createServerWithTool('chatty', chatty);
+    const client = await connectClient(server);
+    const logged = collectNotifications(client, 'notifications/message');
+
+    server.logger.child({ sessionId: server.sessions[0].id, name: 'jobs' }).warning('queue is full');
+    await client.ping();
+
+    assert.deepEqual(logged, [{ level: 'warning', logger: 'jobs', data: 'queue is full' }]);
+    await client.close();
+    await server.close();
+  });
+
+  test('logs transport traffic through the server logger at debug level', async (t) => {
+    const printed = t.mock.method(console, 'error', () => {});
+    const traffic = () => printed.mock.calls.filter(call => /^StdioTransport: Received message/.test(call.arguments[1]));
+
+    for (const stderrLogLevel of ['info', 'debug']) {
+      const stdin = new PassThrough();
+      const stdout = new PassThrough().resume();
+      const stderr = new PassThrough().setEncoding('utf8');
+      const server = createCalculatorServer({ stderrLogLevel });
+      await server.connect(new StdioTransport(stdin, stdout, stderr));
+
+      stdin.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+      await once(stdout, 'data');
+      // The transport's own stream only gets the start message
+      assert.equal(stderr.read(), 'StdioTransport: Started listening for messages\n');
+      await server.close();
+    }
+
+    assert.equal(traffic().length, 1);
+    assert.equal(traffic()[0].arguments[0], '[debug] [test-server]');
+  });
+});
@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpClient, StdioClientTransport } from '../src/client/index.js';
+import { InMemoryTransport } from '../src/transports/index.js';
+import { createCalculatorServer } from './helpers.js';
+
+// A client talking to a hand-driven server end that answers initialize
+async function connectToFakeServer(client) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  serverTransport.onmessage = (message) => {
+    if (message.method === 'initialize') {
+      serverTransport.send({
+        jsonrpc: '2.0',
+        id: message.id,
+        result: { protocolVersion: message.params.protocolVersion, capabilities: {}, serverInfo: { name: 'fake', version: '1' } }
+      });
+    }
+  };
+  await serverTransport.start();
+  await client.connect(clientTransport);
+  return serverTransport;
+}
+
+describe('McpClient errors', () => {
+  test('reports stray messages to onerror without throwing', async () => {
+    const client = new McpClient();
+    const errors = [];
+    client.onerror = (error) => errors.push(error.message);
+    const server = await connectToFakeServer(client);
+
+    await server.send({ not: 'json-rpc' });
+    await server.send({ jsonrpc: '2.0', id: 99, result: {} });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(errors, [
+      'Received a message that is not JSON-RPC 2.0',
+      'Received response for unknown request ID: 99'
+    ]);
+    await client.close();
+  });
+
+  test("emits 'error' only when there are listeners", async () => {
+    const client = new McpClient();
+    const server = await connectToFakeServer(client);
+
+    // No listener - nothing may throw out of the transport callback
+    await server.send({ not: 'json-rpc' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const emitted = new Promise(resolve => client.once('error', resolve));
+    await server.send({ not: 'json-rpc' });
+    assert.match((await emitted).message, /not JSON-RPC/);
+    await client.close();
+  });
+
+  test("emits server notifications under a prefix, so they never clash with the client's events", async () => {
+    const client = new McpClient();
+    const server = await connectToFakeServer(client);
+    const closed = [];
+    client.on('close', () => closed.push(true));
+    const received = [];
+    client.on('notification', ({ method }) => received.push(method));
+    const updated = new Promise(resolve => client.once('notification:notifications/resources/updated', resolve));
+
+    // An 'error' notification with no 'error' listener must not throw
+    await server.send({ jsonrpc: '2.0', method: 'error', params: null });
+    await server.send({ jsonrpc: '2.0', method: 'close' });
+    await server.send({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'docs://a' } });
+
+    assert.deepEqual(await updated, { uri: 'docs://a' });
+    assert.deepEqual(received, ['error', 'close', 'notifications/resources/updated']);
+    assert.deepEqual(closed, []);
+    await client.close();
+  });
+
+  test('sends null params as an empty object', async () => {
+    const server = createCalculatorServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    const client = new McpClient();
+    await client.connect(clientTransport);
+
+    assert.deepEqual(await client.request('ping', null, { onprogress: () => {} }), {});
+    await client.close();
+    await server.close();
+  });
+
+  test('keeps working after a stray message', async () => {
+    const server = createCalculatorServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    const client = new McpClient();
+    await client.connect(clientTransport);
+
+    clientTransport.onmessage('garbage');
+    assert.deepEqual(await client.ping(), {});
+    await client.close();
+    await server.close();
+  });
+});
+
+describe('StdioClientTransport', () => {
+  test('kills a server that ignores SIGTERM on close', async () => {
+    // Announces itself once its SIGTERM handler is installed, then never exits on its own
+    const script = `process.on('SIGTERM', () => {}); setInterval(() => {}, 1000);
+      console.log(JSON.stringify({ jsonrpc: '2.0', method: 'ready' }));`;
+    const transport = new StdioClientTransport({ command: process.execPath, args: ['-e', script], closeTimeout: 50, killTimeout: 50 });
+    const ready = new Promise(resolve => { transport.onmessage = resolve; });
+    await transport.start();
+    await ready;
+
+    const exited = new Promise(resolve => transport._process.once('exit', (code, signal) => resolve(signal)));
+    await transport.close();
+    assert.equal(await exited, 'SIGKILL');
+  });
+});
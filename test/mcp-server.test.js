@@ -0,0 +1,355 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LATEST_PROTOCOL_VERSION,
+  ErrorCode,
+  McpError,
+  InvalidParams,
+  MethodNotFound,
+  ResourceNotFound
+} from '../src/core/index.js';
+import { InMemoryTransport } from '../src/transports/index.js';
+import { createCalculatorServer, connectClient, connectRaw } from './helpers.js';
+
+describe('initialize', () => {
+  test('echoes a supported protocol version', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+
+    const response = await raw.initialize({ protocolVersion: '2024-11-05' });
+    assert.equal(response.result.protocolVersion, '2024-11-05');
+    assert.deepEqual(response.result.serverInfo, { name: 'test-server', version: '1.0.0' });
+    await server.close();
+  });
+
+  test('answers an unknown protocol version with the latest one', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+
+    const response = await raw.initialize({ protocolVersion: '1999-01-01' });
+    assert.equal(response.result.protocolVersion, LATEST_PROTOCOL_VERSION);
+    await server.close();
+  });
+
+  test('advertises the registered features', async () => {
+    const server = createCalculatorServer({ instructions: 'Use the calculator' });
+    const client = await connectClient(server);
+
+    assert.ok(client.serverCapabilities.tools);
+    assert.ok(client.serverCapabilities.resources);
+    assert.ok(client.serverCapabilities.prompts);
+    assert.ok(client.serverCapabilities.logging);
+    assert.equal(client.instructions, 'Use the calculator');
+    assert.deepEqual(server.getClientVersion(), { name: 'test-client', version: '1.0.0' });
+    await client.close();
+  });
+
+  test('rejects requests before initialize', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+
+    const response = await raw.request({ id: 1, method: 'tools/list' });
+    assert.equal(response.error.code, ErrorCode.InvalidRequest);
+    await server.close();
+  });
+
+  test('rejects a second initialize', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+    await raw.initialize();
+
+    const response = await raw.request({
+      id: 2,
+      method: 'initialize',
+      params: { protocolVersion: LATEST_PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: 'c', version: '1' } }
+    });
+    assert.equal(response.error.code, ErrorCode.InvalidRequest);
+    await server.close();
+  });
+});
+
+describe('ping', () => {
+  test('is answered before and after initialize', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+
+    assert.deepEqual((await raw.request({ id: 1, method: 'ping' })).result, {});
+    await raw.initialize();
+    assert.deepEqual((await raw.request({ id: 2, method: 'ping' })).result, {});
+    await server.close();
+  });
+
+  test('works from the client helper', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    assert.deepEqual(await client.ping(), {});
+    await client.close();
+  });
+});
+
+describe('JSON-RPC', () => {
+  test('unknown methods return -32601', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    await assert.rejects(client.request('no/such/method'), (error) => {
+      assert.ok(error instanceof MethodNotFound);
+      assert.equal(error.code, ErrorCode.MethodNotFound);
+      return true;
+    });
+    await client.close();
+  });
+
+  test('invalid messages return -32600', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+
+    const response = await raw.request({ jsonrpc: '1.0', id: 1, method: 'ping' });
+    assert.equal(response.error.code, ErrorCode.InvalidRequest);
+    await server.close();
+  });
+
+  test('requests with a null id return -32600', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+    await raw.initialize();
+
+    const response = await raw.request({ id: null, method: 'ping' });
+    assert.equal(response.id, null);
+    assert.equal(response.error.code, ErrorCode.InvalidRequest);
+    await server.close();
+  });
+
+  test('batches are answered with an array of responses', async () => {
+    const server = createCalculatorServer();
+    const raw = await connectRaw(server);
+    await raw.initialize();
+
+    await raw.send([
+      { jsonrpc: '2.0', id: 1, method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/roots/list_changed' },
+      { jsonrpc: '2.0', id: 2, method: 'nope' }
+    ]);
+    const responses = await raw.next();
+    assert.equal(responses.length, 2);
+    assert.deepEqual(responses.find(r => r.id === 1).result, {});
+    assert.equal(responses.find(r => r.id === 2).error.code, ErrorCode.MethodNotFound);
+    await server.close();
+  });
+
+  test('only keeps sessions the transport announced, until it closes them', async () => {
+    const server = createCalculatorServer();
+    const [, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+
+    serverTransport.onmessage({ jsonrpc: '2.0', id: 1, method: 'ping' }, 'unknown');
+    assert.deepEqual(server.sessions, []);
+
+    serverTransport.onsessionopen('client-1');
+    assert.deepEqual(server.sessions.map(session => session.id), ['client-1']);
+    serverTransport.onsessionclose('client-1');
+    assert.deepEqual(server.sessions, []);
+    await server.close();
+  });
+});
+
+describe('calculator tool', () => {
+  test('is listed with its input schema', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    const { tools } = await client.listTools();
+    assert.equal(tools.length, 1);
+    assert.equal(tools[0].name, 'calculator');
+    assert.deepEqual(tools[0].inputSchema.required, ['operation', 'a', 'b']);
+    await client.close();
+  });
+
+  for (const [operation, a, b, expected] of [
+    ['add', 5, 3, 8],
+    ['subtract', 5, 3, 2],
+    ['multiply', 4, 3, 12],
+    ['divide', 10, 2, 5]
+  ]) {
+    test(`${operation} ${a} and ${b}`, async () => {
+      const server = createCalculatorServer();
+      const client = await connectClient(server);
+
+      const result = await client.callTool('calculator', { operation, a, b });
+      assert.equal(result.isError, undefined);
+      assert.equal(result.content[0].text, `Result of ${a} ${operation} ${b} = ${expected}`);
+      await client.close();
+    });
+  }
+
+  test('dividing by zero is an error result', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    const result = await client.callTool('calculator', { operation: 'divide', a: 1, b: 0 });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /divide by zero/);
+    await client.close();
+  });
+});
+
+describe('error paths', () => {
+  test('invalid tool arguments return -32602 with each violation', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    await assert.rejects(client.callTool('calculator', { operation: 'power', a: 'x' }), (error) => {
+      assert.ok(error instanceof InvalidParams);
+      assert.equal(error.data.tool, 'calculator');
+      const pointers = error.data.errors.map(entry => entry.pointer);
+      assert.ok(pointers.includes('/operation'));
+      assert.ok(pointers.includes('/a'));
+      return true;
+    });
+    await client.close();
+  });
+
+  test('validates own properties only, and patterns compiled at registration', async () => {
+    const server = createCalculatorServer();
+    server.registerTool({
+      name: 'strict',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', pattern: '^[A-Z]{3}$' },
+          offset: { type: 'string', pattern: '^\\-?\\d+$' }
+        },
+        required: ['constructor'],
+        additionalProperties: false
+      }
+    }, async () => ({ content: [] }));
+    assert.throws(
+      () => server.registerTool({ name: 'broken', inputSchema: { properties: { code: { pattern: '(' } } } }, async () => ({})),
+      /Tool broken has an invalid inputSchema: Invalid pattern at \/properties\/code/
+    );
+    const client = await connectClient(server);
+
+    await assert.rejects(client.callTool('strict', { code: 'abc', offset: '-12', toString: 1 }), (error) => {
+      assert.deepEqual(error.data.errors, [
+        { pointer: '/constructor', message: 'is required' },
+        { pointer: '/code', message: 'must match pattern ^[A-Z]{3}$' },
+        { pointer: '/toString', message: 'is not allowed' }
+      ]);
+      return true;
+    });
+    // Escaped punctuation is valid in ECMA-262 patterns, though not in unicode mode
+    await assert.rejects(client.callTool('strict', { offset: '1-2' }), (error) => {
+      assert.deepEqual(error.data.errors[1], { pointer: '/offset', message: 'must match pattern ^\\-?\\d+$' });
+      return true;
+    });
+    await client.close();
+  });
+
+  test('unknown tools return -32602', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    await assert.rejects(client.callTool('nope'), { code: ErrorCode.InvalidParams, message: 'Unknown tool: nope' });
+    await client.close();
+  });
+
+  test('a tool throwing a plain Error produces an isError result', async () => {
+    const server = createCalculatorServer();
+    server.registerTool({ name: 'broken', description: 'Always fails' }, async () => {
+      throw new Error('upstream timed out');
+    });
+    const client = await connectClient(server);
+
+    const result = await client.callTool('broken');
+    assert.equal(result.isError, true);
+    assert.equal(result.content[0].text, 'upstream timed out');
+    await client.close();
+  });
+
+  test('McpErrors keep their code and data', async () => {
+    const server = createCalculatorServer();
+    server.registerTool({ name: 'custom', description: 'Fails with an application code' }, async () => {
+      throw new McpError(-31001, 'Quota service down', { service: 'quota' });
+    });
+    const client = await connectClient(server);
+
+    await assert.rejects(client.callTool('custom'), (error) => {
+      assert.ok(error instanceof McpError);
+      assert.equal(error.code, -31001);
+      assert.equal(error.message, 'Quota service down');
+      assert.deepEqual(error.data, { service: 'quota' });
+      return true;
+    });
+    await client.close();
+  });
+
+  test('other handler exceptions become -32603', async () => {
+    const server = createCalculatorServer();
+    server.setRequestHandler('custom/fail', () => {
+      throw new TypeError('oops');
+    });
+    const client = await connectClient(server);
+
+    await assert.rejects(client.request('custom/fail'), { code: ErrorCode.InternalError, message: 'oops' });
+    await client.close();
+  });
+
+  test('unknown resources return -32002', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    await assert.rejects(client.readResource('math://constants/tau'), (error) => {
+      assert.ok(error instanceof ResourceNotFound);
+      assert.deepEqual(error.data, { uri: 'math://constants/tau' });
+      return true;
+    });
+    // Neither inherited properties nor malformed percent-encoding are constants
+    await assert.rejects(client.readResource('math://constants/toString'), ResourceNotFound);
+    await assert.rejects(client.readResource('math://constants/%E0%A4%A'), ResourceNotFound);
+    await client.close();
+  });
+
+  test('missing prompt arguments return -32602', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    await assert.rejects(client.getPrompt('explain-calculation'), (error) => {
+      assert.equal(error.code, ErrorCode.InvalidParams);
+      assert.deepEqual(error.data.missing, ['expression']);
+      return true;
+    });
+    await client.close();
+  });
+
+  test('invalid log levels return -32602', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    await assert.rejects(client.setLoggingLevel('loud'), { code: ErrorCode.InvalidParams });
+    await client.close();
+  });
+});
+
+describe('resources and prompts', () => {
+  test('reads static and templated resources', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    const docs = await client.readResource('docs://calculator');
+    assert.match(docs.contents[0].text, /# Calculator/);
+
+    const pi = await client.readResource('math://constants/pi');
+    assert.equal(pi.contents[0].text, String(Math.PI));
+    await client.close();
+  });
+
+  test('renders prompt templates', async () => {
+    const server = createCalculatorServer();
+    const client = await connectClient(server);
+
+    const prompt = await client.getPrompt('explain-calculation', { expression: '2 + 2' });
+    assert.match(prompt.messages[0].content.text, /2 \+ 2/);
+    await client.close();
+  });
+});
@@ -0,0 +1,138 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry, McpMetrics } from '../src/core/index.js';
+import { McpClient, SseClientTransport } from '../src/client/index.js';
+import { HttpSseTransport } from '../src/transports/index.js';
+import { createCalculatorServer, connectClient, connectRaw } from './helpers.js';
+
+// Value of one sample line in the text format, e.g. 'mcp_requests_total{method="ping"}'
+function sample(text, series) {
+  const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('MetricsRegistry', () => {
+  test('renders counters, gauges and histograms in the Prometheus text format', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('jobs_total', 'Jobs run', ['queue']);
+    const gauge = registry.gauge('workers', 'Busy workers');
+    const histogram = registry.histogram('job_seconds', 'Job time', [], [0.1, 1]);
+
+    counter.inc({ queue: 'a "quoted"\nqueue' });
+    counter.inc({ queue: 'b' }, 2);
+    gauge.inc();
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 5);
+
+    const text = registry.render();
+    assert.match(text, /^# HELP jobs_total Jobs run\n# TYPE jobs_total counter\n/);
+    assert.equal(sample(text, 'jobs_total{queue="a \\"quoted\\"\\nqueue"}'), 1);
+    assert.equal(sample(text, 'jobs_total{queue="b"}'), 2);
+    assert.equal(sample(text, 'workers'), 1);
+    assert.equal(sample(text, 'job_seconds_bucket{le="0.1"}'), 1);
+    assert.equal(sample(text, 'job_seconds_bucket{le="1"}'), 2);
+    assert.equal(sample(text, 'job_seconds_bucket{le="+Inf"}'), 3);
+    assert.equal(sample(text, 'job_seconds_sum'), 5.55);
+    assert.equal(sample(text, 'job_seconds_count'), 3);
+    assert.throws(() => counter.inc({}, -1), /cannot decrease/);
+  });
+
+  test('dumps the metrics on a signal', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('dumps_total', 'Dumps').inc();
+
+    const written = [];
+    const remove = registry.dumpTo(text => written.push(text), { signal: 'SIGUSR2', exit: false });
+    process.emit('SIGUSR2');
+    remove();
+    process.emit('SIGUSR2');
+
+    assert.equal(written.length, 1);
+    assert.equal(sample(written[0], 'dumps_total'), 1);
+  });
+});
+
+describe('McpServer metrics', () => {
+  test('counts requests by method and tool, and errors by code', async () => {
+    const server = createCalculatorServer({ metrics: true });
+    const { metrics } = server;
+    const client = await connectClient(server);
+
+    await client.callTool('calculator', { operation: 'add', a: 1, b: 2 });
+    await client.callTool('calculator', { operation: 'divide', a: 1, b: 0 });
+    await assert.rejects(client.callTool('no-such-tool', {}));
+    await assert.rejects(client.request('no/such-method'));
+
+    assert.equal(metrics.requests.get({ method: 'tools/call', tool: 'calculator' }), 2);
+    assert.equal(metrics.requests.get({ method: 'tools/call', tool: 'unknown' }), 1);
+    assert.equal(metrics.requests.get({ method: 'unknown' }), 1);
+    assert.equal(metrics.requests.get({ method: 'initialize' }), 1);
+    assert.equal(metrics.requestDuration.get({ method: 'tools/call', tool: 'calculator' }).count, 2);
+    assert.equal(metrics.toolErrors.get({ tool: 'calculator' }), 1);
+    assert.equal(metrics.errors.get({ code: -32602 }), 1);
+    assert.equal(metrics.errors.get({ code: -32601 }), 1);
+    assert.equal(metrics.requestsInFlight.get(), 0);
+
+    const text = metrics.render();
+    assert.equal(sample(text, 'mcp_requests_total{method="tools/call",tool="calculator"}'), 2);
+    assert.equal(sample(text, 'mcp_errors_total{code="-32601"}'), 1);
+    await client.close();
+    await server.close();
+  });
+
+  test('counts error responses inside batches', async () => {
+    const metrics = new McpMetrics();
+    const server = createCalculatorServer({ metrics });
+    const raw = await connectRaw(server);
+    await raw.initialize();
+
+    await raw.send([
+      { jsonrpc: '2.0', id: 1, method: 'no/such-method' },
+      { jsonrpc: '2.0', id: 2, method: 'ping' }
+    ]);
+    await raw.next();
+    assert.equal(metrics.errors.get({ code: -32601 }), 1);
+    await server.close();
+  });
+});
+
+describe('HttpSseTransport /metrics', () => {
+  test('serves server and SSE metrics', async () => {
+    const server = createCalculatorServer({ metrics: true });
+    const transport = new HttpSseTransport({ port: 0 });
+    await server.connect(transport);
+    const baseUrl = `http://localhost:${transport.options.port}`;
+
+    const client = new McpClient({ name: 'test-client', version: '1.0.0' });
+    await client.connect(new SseClientTransport({ url: `${baseUrl}/sse`, reconnect: false }));
+    try {
+      await client.callTool('calculator', { operation: 'add', a: 1, b: 2 });
+
+      const response = await fetch(`${baseUrl}/metrics`);
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+
+      const text = await response.text();
+      assert.equal(sample(text, 'mcp_sse_sessions_active'), 1);
+      assert.ok(sample(text, 'mcp_sse_bytes_written_total') > 0);
+      assert.equal(sample(text, 'mcp_sse_keepalive_failures_total'), 0);
+      assert.equal(sample(text, 'mcp_requests_total{method="tools/call",tool="calculator"}'), 1);
+    } finally {
+      await client.close();
+      await server.close();
+    }
+    assert.equal(server.metrics.sseSessions.get(), 0);
+  });
+
+  test('answers 404 without metrics', async () => {
+    const transport = new HttpSseTransport({ port: 0 });
+    await transport.start();
+    try {
+      const response = await fetch(`http://localhost:${transport.options.port}/metrics`);
+      assert.equal(response.status, 404);
+    } finally {
+      await transport.close();
+    }
+  });
+});
@@ -0,0 +1,164 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode, InvalidParams, McpError } from '../src/core/index.js';
+import { createCalculatorServer, connectClient, connectRaw } from './helpers.js';
+
+describe('request middleware', () => {
+  test('runs in registration order around the handler', async () => {
+    const server = createCalculatorServer();
+    const calls = [];
+    server
+      .use(async (ctx, next) => {
+        calls.push(`outer ${ctx.method}`);
+        const result = await next();
+        calls.push('outer done');
+        return result;
+      })
+      .use(async (ctx, next) => {
+        calls.push('inner');
+        return next();
+      });
+    const client = await connectClient(server);
+
+    calls.length = 0;
+    await client.ping();
+    assert.deepEqual(calls, ['outer ping', 'inner', 'outer done']);
+    await client.close();
+    await server.close();
+  });
+
+  test('can transform params and results', async () => {
+    const server = createCalculatorServer();
+    server.use(async (ctx, next) => {
+      if (ctx.method === 'tools/call') {
+        ctx.params = { ...ctx.params, arguments: { ...ctx.params.arguments, b: 10 } };
+      }
+      const result = await next();
+      return ctx.method === 'tools/call' ? { ...result, _meta: { audited: true } } : result;
+    });
+    const client = await connectClient(server);
+
+    const result = await client.callTool('calculator', { operation: 'add', a: 1, b: 2 });
+    assert.equal(result.content[0].text, 'Result of 1 add 10 = 11');
+    assert.deepEqual(result._meta, { audited: true });
+    await client.close();
+    await server.close();
+  });
+
+  test('can short-circuit with a result or an error', async () => {
+    const server = createCalculatorServer();
+    server.use(async (ctx, next) => {
+      if (ctx.method === 'tools/list') return { tools: [] };
+      if (ctx.method === 'prompts/list' && !ctx.principal) throw new McpError(-32001, 'Forbidden');
+      return next();
+    });
+    const client = await connectClient(server);
+
+    assert.deepEqual(await client.listTools(), { tools: [] });
+    await assert.rejects(client.listPrompts(), { code: -32001, message: 'Forbidden' });
+    await client.close();
+    await server.close();
+  });
+
+  test('sees handler, lifecycle and unknown method errors', async () => {
+    const server = createCalculatorServer();
+    const seen = [];
+    server.use(async (ctx, next) => {
+      try {
+        return await next();
+      } catch (error) {
+        seen.push([ctx.method, error.code]);
+        throw error;
+      }
+    });
+    server.setRequestHandler('test/fail', () => {
+      throw new InvalidParams('bad input');
+    });
+    const raw = await connectRaw(server);
+
+    // Before initialize only ping is allowed
+    await raw.request({ id: 1, method: 'tools/list' });
+    await raw.initialize();
+    await raw.request({ id: 2, method: 'test/fail' });
+    await raw.request({ id: 3, method: 'does/not-exist' });
+
+    assert.deepEqual(seen, [
+      ['tools/list', ErrorCode.InvalidRequest],
+      ['test/fail', ErrorCode.InvalidParams],
+      ['does/not-exist', ErrorCode.MethodNotFound]
+    ]);
+    await server.close();
+  });
+
+  test('applies to requests inside a batch', async () => {
+    const server = createCalculatorServer();
+    const methods = [];
+    server.use((ctx, next) => {
+      methods.push(ctx.method);
+      return next();
+    });
+    const raw = await connectRaw(server);
+    await raw.initialize();
+
+    methods.length = 0;
+    await raw.send([
+      { jsonrpc: '2.0', id: 'a', method: 'ping' },
+      { jsonrpc: '2.0', id: 'b', method: 'tools/list' }
+    ]);
+    const batch = await raw.next();
+    assert.equal(batch.length, 2);
+    assert.deepEqual(methods.sort(), ['ping', 'tools/list']);
+    await server.close();
+  });
+
+  test('rejects non-functions', () => {
+    const server = createCalculatorServer();
+    assert.throws(() => server.use('nope'), /must be a function/);
+  });
+});
+
+describe('notification middleware', () => {
+  test('sees incoming notifications and can drop them', async () => {
+    const server = createCalculatorServer();
+    const seen = [];
+    server.useNotification(async (ctx, next) => {
+      seen.push(ctx.method);
+      if (ctx.method === 'notifications/cancelled') return;
+      await next();
+    });
+    const client = await connectClient(server);
+    await client.notification('notifications/cancelled', { requestId: 'x' });
+    await client.ping();
+
+    assert.deepEqual(seen, ['notifications/initialized', 'notifications/cancelled']);
+    assert.equal(server.sessions[0].isReady, true);
+    await client.close();
+    await server.close();
+  });
+});
+
+describe('outgoing middleware', () => {
+  test('can rewrite and drop outgoing messages', async () => {
+    const server = createCalculatorServer();
+    const sent = [];
+    server.useOutgoing(async (ctx, next) => {
+      sent.push(ctx.message.method ?? 'response');
+      if (ctx.message.method === 'notifications/message') return;
+      if (ctx.message.result?.tools) {
+        ctx.message = { ...ctx.message, result: { tools: ctx.message.result.tools.map(tool => tool.name) } };
+      }
+      await next();
+    });
+    const client = await connectClient(server);
+    const logged = [];
+    client.on('notification:notifications/message', (params) => logged.push(params));
+
+    server.logger.child({ sessionId: server.sessions[0].id }).info('hello');
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools, ['calculator']);
+    assert.deepEqual(logged, []);
+    assert.ok(sent.includes('notifications/message'));
+    await client.close();
+    await server.close();
+  });
+});
@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServerWithTool, connectClient, connectRaw } from './helpers.js';
+
+// The tool reports progress from a tight loop
+async function count({ to = 100, pause = 0 }, { reportProgress }) {
+  for (let i = 1; i <= to; i++) {
+    reportProgress(i, to, `step ${i}`);
+    if (pause) await new Promise(resolve => setTimeout(resolve, pause));
+  }
+  // Progress must increase - these are dropped
+  reportProgress(to, to);
+  reportProgress(1, to);
+  return { content: [{ type: 'text', text: 'counted' }] };
+}
+
+describe('progress', () => {
+  test('rate limits updates and delivers the last one before the response', async () => {
+    const server = createServerWithTool('count', count, { progressInterval: 50 });
+    const client = await connectClient(server);
+
+    const updates = [];
+    const result = await client.callTool('count', { to: 100 }, { onprogress: (progress) => updates.push(progress) });
+
+    assert.equal(result.content[0].text, 'counted');
+    // The first update goes out at once, the rest of the tight loop collapses into the last one
+    assert.deepEqual(updates, [
+      { progress: 1, total: 100, message: 'step 1' },
+      { progress: 100, total: 100, message: 'step 100' }
+    ]);
+    await client.close();
+    await server.close();
+  });
+
+  test('spaces updates out by progressInterval', async () => {
+    const server = createServerWithTool('count', count, { progressInterval: 40 });
+    const client = await connectClient(server);
+
+    const updates = [];
+    await client.callTool('count', { to: 20, pause: 10 }, { onprogress: (progress) => updates.push(progress) });
+
+    // About 200ms of work: roughly one update every 40ms, not one per report
+    assert.ok(updates.length > 1 && updates.length < 20, `got ${updates.length} updates`);
+    const values = updates.map(update => update.progress);
+    assert.deepEqual(values, [...values].sort((a, b) => a - b));
+    assert.equal(values.at(-1), 20);
+    await client.close();
+    await server.close();
+  });
+
+  test('sends no progress without a progress token', async () => {
+    const server = createServerWithTool('count', count);
+    const raw = await connectRaw(server);
+    await raw.initialize();
+
+    const response = await raw.request({ id: 1, method: 'tools/call', params: { name: 'count', arguments: { to: 5 } } });
+    assert.equal(response.id, 1);
+    assert.equal(response.result.content[0].text, 'counted');
+    await server.close();
+  });
+});
@@ -0,0 +1,126 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucket, DailyQuota, RateLimited } from '../src/core/index.js';
+import { createCalculatorServer, createServerWithTool, connectClient } from './helpers.js';
+
+// Only Date is faked - the in-memory transport and client timeouts keep real timers
+const ONE_MINUTE_TO_MIDNIGHT = Date.parse('2026-10-19T23:59:00.000Z');
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: ONE_MINUTE_TO_MIDNIGHT });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+describe('TokenBucket', () => {
+  test('allows a burst, then refills at the rate', () => {
+    const bucket = new TokenBucket(2, 3);
+    assert.deepEqual([bucket.take(), bucket.take(), bucket.take()], [0, 0, 0]);
+    assert.equal(bucket.take(), 1);
+
+    mock.timers.tick(250);
+    assert.equal(bucket.take(), 1);
+    mock.timers.tick(250);
+    assert.equal(bucket.take(), 0);
+
+    // Refill stops at the burst size
+    mock.timers.tick(60000);
+    assert.equal(bucket.tokens, 3);
+  });
+
+  test('waits whole seconds for slow rates', () => {
+    const bucket = new TokenBucket(0.1);
+    assert.equal(bucket.take(), 0);
+    assert.equal(bucket.take(), 10);
+    mock.timers.tick(5000);
+    assert.equal(bucket.take(), 5);
+  });
+});
+
+describe('DailyQuota', () => {
+  test('counts each key separately and resets at midnight UTC', () => {
+    const quota = new DailyQuota(2);
+    assert.deepEqual([quota.consume('alice'), quota.consume('alice')], [0, 0]);
+    assert.equal(quota.consume('alice'), 60);
+    assert.equal(quota.consume('bob'), 0);
+    assert.deepEqual(quota.status(), {
+      limit: 2,
+      used: { alice: 2, bob: 1 },
+      resetsAt: '2026-10-20T00:00:00.000Z'
+    });
+
+    mock.timers.tick(60000);
+    assert.equal(quota.consume('alice'), 0);
+    assert.deepEqual(quota.status().used, { alice: 1 });
+  });
+});
+
+describe('server limits', () => {
+  test('limits the request rate per session, but never ping', async () => {
+    const server = createCalculatorServer({ limits: { requestsPerSecond: 1, burst: 2 } });
+    const client = await connectClient(server);
+    const other = await connectClient(server);
+
+    await client.listTools();
+    await client.listPrompts();
+    await assert.rejects(client.listTools(), (error) => {
+      assert.ok(error instanceof RateLimited);
+      assert.deepEqual(error.data, { retryAfter: 1, limit: 'requestsPerSecond' });
+      return true;
+    });
+    assert.deepEqual(await client.ping(), {});
+    await other.listTools();
+
+    mock.timers.tick(1000);
+    await client.listTools();
+    await client.close();
+    await other.close();
+  });
+
+  test('limits concurrent tool calls per session', async () => {
+    let release;
+    const server = createServerWithTool('slow', () => new Promise((resolve) => {
+      release = () => resolve({ content: [] });
+    }), { limits: { maxConcurrentToolCalls: 1 } });
+    const client = await connectClient(server);
+
+    const running = client.callTool('slow');
+    await assert.rejects(client.callTool('calculator', { operation: 'add', a: 1, b: 2 }), {
+      code: -32029,
+      data: { retryAfter: 1, limit: 'maxConcurrentToolCalls' }
+    });
+    assert.equal(server.getLimiterStatus().sessions[server.sessions[0].id].activeToolCalls, 1);
+
+    release();
+    await running;
+    const result = await client.callTool('calculator', { operation: 'add', a: 1, b: 2 });
+    assert.equal(result.content[0].text, 'Result of 1 add 2 = 3');
+    await client.close();
+  });
+
+  test('enforces daily tool quotas until the day rolls over', async () => {
+    const server = createCalculatorServer({ limits: { toolQuotas: { calculator: 1 } } });
+    const client = await connectClient(server);
+    const call = () => client.callTool('calculator', { operation: 'add', a: 1, b: 2 });
+
+    await call();
+    await assert.rejects(call(), {
+      code: -32029,
+      data: { retryAfter: 60, limit: 'toolQuota', tool: 'calculator' }
+    });
+    // The summary for status endpoints counts callers without naming them
+    assert.deepEqual(server.getStatusSummary().toolQuotas.calculator, {
+      limit: 1,
+      callers: 1,
+      exhausted: 1,
+      resetsAt: '2026-10-20T00:00:00.000Z'
+    });
+
+    mock.timers.tick(60000);
+    await call();
+    assert.deepEqual(server.getLimiterStatus().toolQuotas.calculator.used, { [server.sessions[0].id]: 1 });
+    await client.close();
+  });
+});
@@ -0,0 +1,165 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { McpClient } from '../src/client/index.js';
+import { InMemoryTransport } from '../src/transports/index.js';
+import { RecordingTransport, replayRecording, REDACTED } from '../src/recording/index.js';
+import { createCalculatorServer } from './helpers.js';
+
+// Run a client session against a calculator server through a RecordingTransport
+// Resolves with the recorded entries
+async function record(session, options = {}) {
+  const stream = new PassThrough();
+  const lines = [];
+  stream.on('data', chunk => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+
+  const server = createCalculatorServer();
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(new RecordingTransport(serverTransport, { stream, ...options }));
+
+  const client = new McpClient({ name: 'test-client', version: '1.0.0' });
+  await client.connect(clientTransport);
+  await session(client);
+  await client.close();
+  await server.close();
+
+  return lines.map(line => JSON.parse(line));
+}
+
+describe('RecordingTransport', () => {
+  test('records both directions with timestamps, session IDs and redacted arguments', async () => {
+    const entries = await record(async (client) => {
+      await client.callTool('calculator', { operation: 'add', a: 1, b: 2 });
+    }, { redact: ['a'] });
+
+    const [initialize, response] = entries;
+    assert.equal(initialize.direction, 'in');
+    assert.equal(initialize.message.method, 'initialize');
+    assert.equal(initialize.sessionId, null);
+    assert.ok(!Number.isNaN(Date.parse(initialize.timestamp)));
+    assert.equal(response.direction, 'out');
+    assert.equal(response.message.id, initialize.message.id);
+
+    const call = entries.find(entry => entry.message.method === 'tools/call');
+    assert.deepEqual(call.message.params.arguments, { operation: 'add', a: REDACTED, b: 2 });
+    const result = entries.find(entry => entry.direction === 'out' && entry.message.id === call.message.id);
+    assert.equal(result.message.result.content[0].text, 'Result of 1 add 2 = 3');
+  });
+
+  test('redacts nested fields by name or dotted path, or with a function', async () => {
+    const stream = new PassThrough();
+    const lines = [];
+    stream.on('data', chunk => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+    const [, serverTransport] = InMemoryTransport.createLinkedPair();
+    const recorder = new RecordingTransport(serverTransport, { stream, redact: ['token', 'user.name'] });
+
+    const message = {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name: 'login', arguments: { user: { name: 'ada', token: 't' }, name: 'kept', items: [{ token: 'x' }] } }
+    };
+    serverTransport.onmessage(message);
+    await new Promise(setImmediate);
+    assert.deepEqual(JSON.parse(lines[0]).message.params.arguments, {
+      user: { name: REDACTED, token: REDACTED },
+      name: 'kept',
+      items: [{ token: REDACTED }]
+    });
+    assert.equal(message.params.arguments.user.token, 't');
+
+    const custom = new RecordingTransport(serverTransport, {
+      stream,
+      redact: (recorded, direction) => ({ direction, method: recorded.method })
+    });
+    custom.onmessage = () => {};
+    serverTransport.onmessage(message);
+    await new Promise(setImmediate);
+    assert.deepEqual(JSON.parse(lines[1]).message, { direction: 'in', method: 'tools/call' });
+    await recorder.close();
+  });
+
+  test('redacts within the configured parts of each message', async () => {
+    const entries = await record(async (client) => {
+      await client.callTool('calculator', { operation: 'add', a: 1, b: 2 });
+      await client.readResource('math://constants/pi');
+    }, { redact: ['text', 'uri', 'b'], redactWithin: ['params', 'result'] });
+
+    const call = entries.find(entry => entry.message.method === 'tools/call');
+    assert.deepEqual(call.message.params.arguments, { operation: 'add', a: 1, b: REDACTED });
+    const result = entries.find(entry => entry.direction === 'out' && entry.message.id === call.message.id);
+    assert.deepEqual(result.message.result.content, [{ type: 'text', text: REDACTED }]);
+
+    const read = entries.find(entry => entry.message.method === 'resources/read');
+    assert.equal(read.message.params.uri, REDACTED);
+    assert.equal(entries.find(entry => entry.message.method === 'initialize').message.params.clientInfo.name, 'test-client');
+  });
+});
+
+describe('replayRecording', () => {
+  const session = async (client) => {
+    await client.listTools();
+    await client.callTool('calculator', { operation: 'multiply', a: 6, b: 7 });
+    await client.callTool('calculator', { operation: 'divide', a: 1, b: 0 });
+    await assert.rejects(client.readResource('math://constants/unknown'));
+  };
+
+  test('reports no differences against an unchanged server', async () => {
+    const entries = await record(session);
+    const report = await replayRecording(entries, () => createCalculatorServer());
+
+    assert.equal(report.sessions, 1);
+    assert.equal(report.requests, 5);
+    assert.equal(report.matched, 5);
+    assert.deepEqual(report.mismatches, []);
+  });
+
+  test('diffs responses that changed', async () => {
+    const entries = await record(session);
+    const report = await replayRecording(entries, () => {
+      const server = createCalculatorServer();
+      server.removeTool('calculator');
+      server.registerTool(
+        { name: 'calculator', description: 'Broken', inputSchema: { type: 'object' } },
+        async () => ({ content: [{ type: 'text', text: '42' }] })
+      );
+      return server;
+    });
+
+    const methods = report.mismatches.map(mismatch => mismatch.method);
+    assert.deepEqual(methods, ['tools/list', 'tools/call', 'tools/call']);
+    assert.deepEqual(report.mismatches[1].differences, [{
+      path: '/result/content/0/text',
+      expected: 'Result of 6 multiply 7 = 42',
+      actual: '42'
+    }]);
+  });
+
+  test('skips requests recorded with redacted values and accepts any redacted result', async () => {
+    const entries = await record(async (client) => {
+      await client.callTool('calculator', { operation: 'multiply', a: 6, b: 7 });
+      await client.readResource('docs://calculator');
+    }, { redact: ['a', 'text'], redactWithin: ['params.arguments', 'result'] });
+    const report = await replayRecording(entries, () => createCalculatorServer());
+
+    assert.deepEqual(report.skipped, [{ sessionId: null, id: 1, method: 'tools/call' }]);
+    // initialize and resources/read, whose recorded text was redacted
+    assert.equal(report.requests, 2);
+    assert.equal(report.matched, 2);
+    assert.deepEqual(report.mismatches, []);
+  });
+
+  test('leaves ignored pointers out of the comparison', async () => {
+    const entries = await record(session);
+    const report = await replayRecording(
+      entries,
+      () => createCalculatorServer({ instructions: 'Changed' }).registerTool(
+        { name: 'extra', description: 'Extra tool', inputSchema: { type: 'object' } },
+        async () => ({ content: [] })
+      ),
+      { ignore: ['/result/instructions', '/result/tools/*/description', '/result/tools/1'] }
+    );
+
+    assert.deepEqual(report.mismatches, []);
+  });
+});
@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode, InvalidRequest } from '../src/core/index.js';
+import { createServerWithTool, connectClient } from './helpers.js';
+
+// The tool asks the client's LLM and returns its answer
+async function ask({ question }, { createMessage }) {
+  const result = await createMessage({
+    messages: [{ role: 'user', content: { type: 'text', text: question } }],
+    maxTokens: 50
+  });
+  return { content: [result.content] };
+}
+
+// Options of a client that advertises sampling
+const SAMPLING_CLIENT = { capabilities: { sampling: {} } };
+
+describe('sampling', () => {
+  test("round-trips createMessage through the calling client's handler", async () => {
+    const server = createServerWithTool('ask', ask);
+    const requests = [];
+    const client = await connectClient(server, SAMPLING_CLIENT, {
+      'sampling/createMessage': async (params) => {
+        requests.push(params);
+        return {
+          role: 'assistant',
+          content: { type: 'text', text: `You asked: ${params.messages[0].content.text}` },
+          model: 'fake-model',
+          stopReason: 'endTurn'
+        };
+      }
+    });
+
+    const result = await client.callTool('ask', { question: 'what is 2 + 2?' });
+    assert.equal(result.content[0].text, 'You asked: what is 2 + 2?');
+    assert.deepEqual(requests, [{
+      messages: [{ role: 'user', content: { type: 'text', text: 'what is 2 + 2?' } }],
+      maxTokens: 50
+    }]);
+    await client.close();
+    await server.close();
+  });
+
+  test('fails the tool when the client does not support sampling', async () => {
+    const server = createServerWithTool('ask', ask);
+    const client = await connectClient(server);
+
+    const result = await client.callTool('ask', { question: 'hello?' });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /does not support sampling/);
+    await client.close();
+    await server.close();
+  });
+
+  test('validates the result sent back by the client', async () => {
+    const server = createServerWithTool('ask', ask);
+    const client = await connectClient(server, SAMPLING_CLIENT, {
+      'sampling/createMessage': async () => ({ role: 'assistant', content: { type: 'text' } })
+    });
+
+    const result = await client.callTool('ask', { question: 'hello?' });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Invalid sampling result/);
+    await client.close();
+    await server.close();
+  });
+
+  test("passes on the client's error when it declines", async () => {
+    const server = createServerWithTool('ask', ask);
+    const client = await connectClient(server, SAMPLING_CLIENT, {
+      'sampling/createMessage': async () => {
+        throw new InvalidRequest('User rejected the sampling request');
+      }
+    });
+
+    await assert.rejects(client.callTool('ask', { question: 'hello?' }), {
+      code: ErrorCode.InvalidRequest,
+      message: 'User rejected the sampling request'
+    });
+    await client.close();
+    await server.close();
+  });
+});
@@ -0,0 +1,154 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { LATEST_PROTOCOL_VERSION } from '../src/core/index.js';
+import { HttpSseTransport } from '../src/transports/index.js';
+import { McpSseClient } from '../src/index.js';
+import { createCalculatorServer } from './helpers.js';
+
+// Open a raw SSE stream and read it event by event
+async function openStream(url, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(url, { headers: { Accept: 'text/event-stream', ...headers }, signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  // Resolves with the next event as { event, id, data }, skipping keepalive comments
+  async function nextEvent() {
+    while (true) {
+      const end = buffered.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        const event = {};
+        for (const line of block.split('\n')) {
+          const match = /^(event|id|data): (.*)$/.exec(line);
+          if (match) event[match[1]] = match[2];
+        }
+        if (event.data !== undefined) return event;
+        continue;
+      }
+      const { value } = await reader.read();
+      buffered += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return { status: response.status, nextEvent, close: () => controller.abort() };
+}
+
+describe('HttpSseTransport reconnection', () => {
+  let server, transport, baseUrl;
+
+  before(async () => {
+    server = createCalculatorServer();
+    transport = new HttpSseTransport({ port: 0, reconnectGracePeriod: 5000 });
+    await server.connect(transport);
+    baseUrl = `http://localhost:${transport.options.port}`;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  function post(endpoint, message) {
+    return fetch(new URL(endpoint, baseUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+  }
+
+  test('replays the events sent after Last-Event-ID to a resumed stream', async () => {
+    const stream = await openStream(`${baseUrl}/sse`);
+    const endpoint = (await stream.nextEvent()).data;
+    const sessionId = new URL(endpoint, baseUrl).searchParams.get('sessionId');
+
+    await post(endpoint, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: LATEST_PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: 'raw', version: '1' } }
+    });
+    const initialized = await stream.nextEvent();
+    assert.equal(JSON.parse(initialized.data).id, 1);
+    stream.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Answered while nobody is listening - buffered for the resumed stream
+    await post(endpoint, { jsonrpc: '2.0', method: 'notifications/initialized' });
+    await post(endpoint, { jsonrpc: '2.0', id: 2, method: 'ping' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const resumed = await openStream(`${baseUrl}/sse?sessionId=${sessionId}`, { 'Last-Event-ID': initialized.id });
+    assert.equal(resumed.status, 200);
+    assert.equal((await resumed.nextEvent()).event, 'endpoint');
+    const replayed = await resumed.nextEvent();
+    assert.equal(replayed.event, 'message');
+    assert.equal(Number(replayed.id), Number(initialized.id) + 1);
+    assert.deepEqual(JSON.parse(replayed.data), { jsonrpc: '2.0', id: 2, result: {} });
+    resumed.close();
+  });
+
+  test('refuses to resume a session it does not know', async () => {
+    const stream = await openStream(`${baseUrl}/sse?sessionId=expired`, { 'Last-Event-ID': '3' });
+    assert.equal(stream.status, 404);
+    stream.close();
+  });
+
+  test('McpSseClient resumes its session after the connection drops', async () => {
+    const client = new McpSseClient({
+      serverUrl: `${baseUrl}/sse`,
+      clientInfo: { name: 'test-client', version: '1.0.0' },
+      reconnect: { initialDelay: 20 }
+    });
+    // A throwing error handler must not stop the reconnect
+    client.onerror = () => {
+      throw new Error('handler failed');
+    };
+    await client.connect();
+    const sessionId = client.sessionId;
+
+    const reconnected = new Promise(resolve => client.once('reconnect', resolve));
+    transport._server.closeAllConnections();
+    await reconnected;
+
+    assert.equal(client.sessionId, sessionId);
+    assert.deepEqual(await client.ping(), {});
+    await client.close();
+  });
+});
+
+describe('HttpSseTransport keep-alive', () => {
+  test('closes a session whose keep-alive write failed once the grace period ends', async () => {
+    const server = createCalculatorServer();
+    const transport = new HttpSseTransport({ port: 0, keepAliveInterval: 20, reconnectGracePeriod: 50 });
+    await server.connect(transport);
+    const baseUrl = `http://localhost:${transport.options.port}`;
+    const closed = [];
+    const onsessionclose = transport.onsessionclose;
+    transport.onsessionclose = (sessionId) => {
+      closed.push(sessionId);
+      onsessionclose?.(sessionId);
+    };
+
+    try {
+      const stream = await openStream(`${baseUrl}/sse`);
+      const sessionId = new URL((await stream.nextEvent()).data, baseUrl).searchParams.get('sessionId');
+
+      // The socket goes away under the next keep-alive write, which fails first
+      const res = transport._sessions[sessionId].res;
+      res.write = (chunk, callback) => {
+        res.socket.destroy();
+        callback(new Error('write EPIPE'));
+        return false;
+      };
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      assert.deepEqual(closed, [sessionId]);
+      assert.equal(transport._sessions[sessionId], undefined);
+      stream.close();
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { ErrorCode } from '../src/core/index.js';
+import { StdioTransport } from '../src/transports/index.js';
+import { createCalculatorServer } from './helpers.js';
+
+// A server on a StdioTransport over in-process streams
+// Returns { write(line), next() } - next() resolves with the next line the server wrote, parsed
+async function startStdioServer() {
+  const stdin = new PassThrough();
+  const stdout = new PassThrough();
+  const stderr = new PassThrough().resume();
+
+  const server = createCalculatorServer();
+  await server.connect(new StdioTransport(stdin, stdout, stderr));
+
+  const lines = [];
+  const waiting = [];
+  let buffer = '';
+  stdout.setEncoding('utf8').on('data', (chunk) => {
+    buffer += chunk;
+    const parts = buffer.split('\n');
+    buffer = parts.pop();
+    for (const line of parts) {
+      const resolve = waiting.shift();
+      if (resolve) resolve(JSON.parse(line));
+      else lines.push(JSON.parse(line));
+    }
+  });
+
+  return {
+    server,
+    write: (line) => stdin.write(`${typeof line === 'string' ? line : JSON.stringify(line)}\n`),
+    next: () => lines.length > 0
+      ? Promise.resolve(lines.shift())
+      : new Promise(resolve => waiting.push(resolve))
+  };
+}
+
+test('answers newline-delimited requests', async () => {
+  const { server, write, next } = await startStdioServer();
+
+  write({ jsonrpc: '2.0', id: 1, method: 'ping' });
+  assert.deepEqual(await next(), { jsonrpc: '2.0', id: 1, result: {} });
+  await server.close();
+});
+
+test('answers unparseable lines with -32700 and keeps going', async () => {
+  const { server, write, next } = await startStdioServer();
+
+  write('{"jsonrpc": "2.0", "id": 1,');
+  const error = await next();
+  assert.equal(error.id, null);
+  assert.equal(error.error.code, ErrorCode.ParseError);
+
+  write({ jsonrpc: '2.0', id: 2, method: 'ping' });
+  assert.equal((await next()).id, 2);
+  await server.close();
+});
+
+test('answers non-object JSON with -32600', async () => {
+  const { server, write, next } = await startStdioServer();
+
+  for (const line of ['null', '42', '"text"']) {
+    write(line);
+    const error = await next();
+    assert.equal(error.id, null);
+    assert.equal(error.error.code, ErrorCode.InvalidRequest);
+  }
+
+  write({ jsonrpc: '2.0', id: 3, method: 'ping' });
+  assert.equal((await next()).id, 3);
+  await server.close();
+});